@@ -1,122 +0,0 @@
-const FINANCE_DATA = [
-    {
-        "Year": 2006,
-        "S&P 500 (Jan 1 close)": 1278.73,
-        "Nasdaq Composite (first trading day in Jan)": 2243.74,
-        "Bitcoin USD (Jan 1)": NaN
-    },
-    {
-        "Year": 2007,
-        "S&P 500 (Jan 1 close)": 1424.16,
-        "Nasdaq Composite (first trading day in Jan)": 2423.16,
-        "Bitcoin USD (Jan 1)": NaN
-    },
-    {
-        "Year": 2008,
-        "S&P 500 (Jan 1 close)": 1378.76,
-        "Nasdaq Composite (first trading day in Jan)": 2609.63,
-        "Bitcoin USD (Jan 1)": NaN
-    },
-    {
-        "Year": 2009,
-        "S&P 500 (Jan 1 close)": 865.58,
-        "Nasdaq Composite (first trading day in Jan)": 1632.21,
-        "Bitcoin USD (Jan 1)": NaN
-    },
-    {
-        "Year": 2010,
-        "S&P 500 (Jan 1 close)": 1123.58,
-        "Nasdaq Composite (first trading day in Jan)": 2308.42,
-        "Bitcoin USD (Jan 1)": 0.09
-    },
-    {
-        "Year": 2011,
-        "S&P 500 (Jan 1 close)": 1282.62,
-        "Nasdaq Composite (first trading day in Jan)": 2691.52,
-        "Bitcoin USD (Jan 1)": 0.3
-    },
-    {
-        "Year": 2012,
-        "S&P 500 (Jan 1 close)": 1300.58,
-        "Nasdaq Composite (first trading day in Jan)": 2648.72,
-        "Bitcoin USD (Jan 1)": 5.28
-    },
-    {
-        "Year": 2013,
-        "S&P 500 (Jan 1 close)": 1480.4,
-        "Nasdaq Composite (first trading day in Jan)": 3112.26,
-        "Bitcoin USD (Jan 1)": 13.3
-    },
-    {
-        "Year": 2014,
-        "S&P 500 (Jan 1 close)": 1822.36,
-        "Nasdaq Composite (first trading day in Jan)": 4143.07,
-        "Bitcoin USD (Jan 1)": 754.22
-    },
-    {
-        "Year": 2015,
-        "S&P 500 (Jan 1 close)": 2028.18,
-        "Nasdaq Composite (first trading day in Jan)": 4726.81,
-        "Bitcoin USD (Jan 1)": 314.25
-    },
-    {
-        "Year": 2016,
-        "S&P 500 (Jan 1 close)": 1918.6,
-        "Nasdaq Composite (first trading day in Jan)": 4903.09,
-        "Bitcoin USD (Jan 1)": 434.33
-    },
-    {
-        "Year": 2017,
-        "S&P 500 (Jan 1 close)": 2275.12,
-        "Nasdaq Composite (first trading day in Jan)": 5429.08,
-        "Bitcoin USD (Jan 1)": 998.33
-    },
-    {
-        "Year": 2018,
-        "S&P 500 (Jan 1 close)": 2789.8,
-        "Nasdaq Composite (first trading day in Jan)": 7006.9,
-        "Bitcoin USD (Jan 1)": 13657.2
-    },
-    {
-        "Year": 2019,
-        "S&P 500 (Jan 1 close)": 2607.39,
-        "Nasdaq Composite (first trading day in Jan)": 6665.94,
-        "Bitcoin USD (Jan 1)": 3843.52
-    },
-    {
-        "Year": 2020,
-        "S&P 500 (Jan 1 close)": 3278.2,
-        "Nasdaq Composite (first trading day in Jan)": 9092.19,
-        "Bitcoin USD (Jan 1)": 7200.17
-    },
-    {
-        "Year": 2021,
-        "S&P 500 (Jan 1 close)": 3793.75,
-        "Nasdaq Composite (first trading day in Jan)": 12698.45,
-        "Bitcoin USD (Jan 1)": 29374.15
-    },
-    {
-        "Year": 2022,
-        "S&P 500 (Jan 1 close)": 4573.82,
-        "Nasdaq Composite (first trading day in Jan)": 15832.8,
-        "Bitcoin USD (Jan 1)": 47686.81
-    },
-    {
-        "Year": 2023,
-        "S&P 500 (Jan 1 close)": 3960.66,
-        "Nasdaq Composite (first trading day in Jan)": 10386.98,
-        "Bitcoin USD (Jan 1)": 16625.08
-    },
-    {
-        "Year": 2024,
-        "S&P 500 (Jan 1 close)": 4804.49,
-        "Nasdaq Composite (first trading day in Jan)": 14765.94,
-        "Bitcoin USD (Jan 1)": 44167.33
-    },
-    {
-        "Year": 2025,
-        "S&P 500 (Jan 1 close)": 5979.52,
-        "Nasdaq Composite (first trading day in Jan)": 19280.79,
-        "Bitcoin USD (Jan 1)": 94419.76
-    }
-]
\ No newline at end of file
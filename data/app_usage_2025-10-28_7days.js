@@ -1,5492 +0,0 @@
-const APP_USAGE_DATA = [
-    {
-        "日期": "2025-10-22",
-        "应用名称": "微信",
-        "包名": "com.tencent.mm",
-        "总时长": 129.75,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.35,
-        "8:00-8:59": 6.55,
-        "9:00-9:59": 7.97,
-        "10:00-10:59": 3.0,
-        "11:00-11:59": 3.28,
-        "12:00-12:59": 13.3,
-        "13:00-13:59": 1.03,
-        "14:00-14:59": 0.28,
-        "15:00-15:59": 34.72,
-        "16:00-16:59": 12.9,
-        "17:00-17:59": 1.45,
-        "18:00-18:59": 6.2,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 10.02,
-        "21:00-21:59": 2.33,
-        "22:00-22:59": 0.53,
-        "23:00-23:59": 25.82
-    },
-    {
-        "日期": "2025-10-22",
-        "应用名称": "哔哩哔哩",
-        "包名": "tv.danmaku.bili",
-        "总时长": 89.85,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 9.77,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.3,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 11.28,
-        "16:00-16:59": 43.05,
-        "17:00-17:59": 7.17,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 14.45,
-        "20:00-20:59": 3.82,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-22",
-        "应用名称": "小红书",
-        "包名": "com.xingin.xhs",
-        "总时长": 83.48,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 29.1,
-        "8:00-8:59": 4.92,
-        "9:00-9:59": 18.77,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.38,
-        "12:00-12:59": 3.93,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.98,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 4.23,
-        "18:00-18:59": 0.13,
-        "19:00-19:59": 12.63,
-        "20:00-20:59": 0.65,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.15,
-        "23:00-23:59": 7.58
-    },
-    {
-        "日期": "2025-10-22",
-        "应用名称": "Suki",
-        "包名": "com.masseffect.suki",
-        "总时长": 12.9,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 1.15,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 2.5,
-        "12:00-12:59": 5.85,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 1.78,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 1.6
-    },
-    {
-        "日期": "2025-10-22",
-        "应用名称": "京东",
-        "包名": "com.jingdong.app.mall",
-        "总时长": 11.08,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.85,
-        "13:00-13:59": 2.02,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.83,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.2,
-        "19:00-19:59": 2.58,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 4.6
-    },
-    {
-        "日期": "2025-10-22",
-        "应用名称": "支付宝",
-        "包名": "com.eg.android.AlipayGphone",
-        "总时长": 11.03,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 1.45,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.5,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 5.62,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.68,
-        "19:00-19:59": 0.78,
-        "20:00-20:59": 1.57,
-        "21:00-21:59": 0.43,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-22",
-        "应用名称": "系统桌面",
-        "包名": "com.miui.home",
-        "总时长": 10.1,
-        "0:00-0:59": 0.07,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.5,
-        "8:00-8:59": 0.67,
-        "9:00-9:59": 0.62,
-        "10:00-10:59": 0.12,
-        "11:00-11:59": 0.37,
-        "12:00-12:59": 1.08,
-        "13:00-13:59": 0.2,
-        "14:00-14:59": 0.22,
-        "15:00-15:59": 0.42,
-        "16:00-16:59": 0.28,
-        "17:00-17:59": 0.13,
-        "18:00-18:59": 1.13,
-        "19:00-19:59": 1.55,
-        "20:00-20:59": 0.6,
-        "21:00-21:59": 0.62,
-        "22:00-22:59": 0.9,
-        "23:00-23:59": 0.63
-    },
-    {
-        "日期": "2025-10-22",
-        "应用名称": "飞书",
-        "包名": "com.ss.android.lark",
-        "总时长": 7.13,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.17,
-        "12:00-12:59": 6.1,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.75,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.12
-    },
-    {
-        "日期": "2025-10-22",
-        "应用名称": "番茄免费小说",
-        "包名": "com.dragon.read",
-        "总时长": 5.43,
-        "0:00-0:59": 0.38,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.22,
-        "8:00-8:59": 0.03,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.2,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 1.08,
-        "18:00-18:59": 1.2,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 1.07,
-        "22:00-22:59": 1.25,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-22",
-        "应用名称": "懂车帝",
-        "包名": "com.ss.android.auto",
-        "总时长": 4.58,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 2.6,
-        "22:00-22:59": 1.98,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-22",
-        "应用名称": "养基宝",
-        "包名": "yangjibao.app",
-        "总时长": 4.25,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.32,
-        "12:00-12:59": 0.03,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.67,
-        "15:00-15:59": 0.82,
-        "16:00-16:59": 0.7,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.67,
-        "19:00-19:59": 0.05,
-        "20:00-20:59": 0.7,
-        "21:00-21:59": 0.25,
-        "22:00-22:59": 0.05,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-22",
-        "应用名称": "小米设置",
-        "包名": "com.xiaomi.misettings",
-        "总时长": 2.18,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 1.45,
-        "21:00-21:59": 0.73,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-22",
-        "应用名称": "美团",
-        "包名": "com.sankuai.meituan",
-        "总时长": 1.75,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.2,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 1.55,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-22",
-        "应用名称": "中国移动",
-        "包名": "com.greenpoint.android.mc10086.activity",
-        "总时长": 1.32,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.22,
-        "20:00-20:59": 1.1,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-22",
-        "应用名称": "云闪付",
-        "包名": "com.unionpay",
-        "总时长": 1.25,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.08,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.23,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.13,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.8,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-22",
-        "应用名称": "Via浏览器",
-        "包名": "mark.via",
-        "总时长": 1.2,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 1.2,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-22",
-        "应用名称": "设置",
-        "包名": "com.android.settings",
-        "总时长": 1.13,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.5,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.12,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.52,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-22",
-        "应用名称": "时钟",
-        "包名": "com.android.deskclock",
-        "总时长": 1.07,
-        "0:00-0:59": 0.23,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.83,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-22",
-        "应用名称": "天津地铁",
-        "包名": "com.bwton.tjmetro",
-        "总时长": 1.03,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.55,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.48,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-22",
-        "应用名称": "可乐",
-        "包名": "com.miaoa.cola",
-        "总时长": 1.02,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.27,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.08,
-        "13:00-13:59": 0.12,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.1,
-        "18:00-18:59": 0.22,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.1,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.13,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-22",
-        "应用名称": "京东金融",
-        "包名": "com.jd.jrapp",
-        "总时长": 0.82,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.27,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.45,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.1,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-22",
-        "应用名称": "应用商店",
-        "包名": "com.xiaomi.market",
-        "总时长": 0.78,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.43,
-        "23:00-23:59": 0.35
-    },
-    {
-        "日期": "2025-10-22",
-        "应用名称": "同花顺",
-        "包名": "com.hexin.plat.android",
-        "总时长": 0.63,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.45,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.18,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-22",
-        "应用名称": "ActivityWatch",
-        "包名": "net.activitywatch.android",
-        "总时长": 0.52,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.38,
-        "23:00-23:59": 0.12
-    },
-    {
-        "日期": "2025-10-22",
-        "应用名称": "Google Play 商店",
-        "包名": "com.android.vending",
-        "总时长": 0.48,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.48,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-22",
-        "应用名称": "Steam",
-        "包名": "com.steampy.app",
-        "总时长": 0.35,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.35
-    },
-    {
-        "日期": "2025-10-22",
-        "应用名称": "安全中心",
-        "包名": "com.miui.securitycenter",
-        "总时长": 0.25,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.03,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.02,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.2,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-22",
-        "应用名称": "截屏",
-        "包名": "com.miui.screenshot",
-        "总时长": 0.23,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.15,
-        "16:00-16:59": 0.08,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-22",
-        "应用名称": "小米智能卡",
-        "包名": "com.miui.tsmclient",
-        "总时长": 0.18,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.15,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.03,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-22",
-        "应用名称": "QQ",
-        "包名": "com.tencent.mobileqq",
-        "总时长": 0.12,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.12,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-22",
-        "应用名称": "三方应用异常分析",
-        "包名": "com.miui.thirdappassistant",
-        "总时长": 0.05,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.05,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-22",
-        "应用名称": "Clash",
-        "包名": "com.github.kr328.clash",
-        "总时长": 0.02,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.02,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "微信",
-        "包名": "com.tencent.mm",
-        "总时长": 192.32,
-        "0:00-0:59": 0.48,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 1.6,
-        "9:00-9:59": 25.17,
-        "10:00-10:59": 27.27,
-        "11:00-11:59": 10.48,
-        "12:00-12:59": 13.3,
-        "13:00-13:59": 12.22,
-        "14:00-14:59": 7.08,
-        "15:00-15:59": 20.25,
-        "16:00-16:59": 11.87,
-        "17:00-17:59": 7.0,
-        "18:00-18:59": 5.4,
-        "19:00-19:59": 3.48,
-        "20:00-20:59": 3.02,
-        "21:00-21:59": 0.83,
-        "22:00-22:59": 22.37,
-        "23:00-23:59": 20.47
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "小红书",
-        "包名": "com.xingin.xhs",
-        "总时长": 101.37,
-        "0:00-0:59": 1.2,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 1.18,
-        "9:00-9:59": 32.92,
-        "10:00-10:59": 6.87,
-        "11:00-11:59": 2.97,
-        "12:00-12:59": 0.93,
-        "13:00-13:59": 4.35,
-        "14:00-14:59": 19.03,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 15.55,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 5.97,
-        "19:00-19:59": 4.88,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.7,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 4.77
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "飞书",
-        "包名": "com.ss.android.lark",
-        "总时长": 22.95,
-        "0:00-0:59": 6.53,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 5.83,
-        "12:00-12:59": 1.03,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.08,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 6.78,
-        "21:00-21:59": 2.68,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "支付宝",
-        "包名": "com.eg.android.AlipayGphone",
-        "总时长": 20.22,
-        "0:00-0:59": 0.73,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.15,
-        "10:00-10:59": 0.15,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 1.45,
-        "15:00-15:59": 0.2,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 1.18,
-        "19:00-19:59": 3.4,
-        "20:00-20:59": 0.05,
-        "21:00-21:59": 0.45,
-        "22:00-22:59": 5.68,
-        "23:00-23:59": 6.77
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "系统桌面",
-        "包名": "com.miui.home",
-        "总时长": 18.4,
-        "0:00-0:59": 1.98,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.25,
-        "9:00-9:59": 0.37,
-        "10:00-10:59": 0.58,
-        "11:00-11:59": 1.85,
-        "12:00-12:59": 0.55,
-        "13:00-13:59": 0.63,
-        "14:00-14:59": 0.62,
-        "15:00-15:59": 1.57,
-        "16:00-16:59": 1.28,
-        "17:00-17:59": 0.27,
-        "18:00-18:59": 0.98,
-        "19:00-19:59": 0.92,
-        "20:00-20:59": 0.07,
-        "21:00-21:59": 0.65,
-        "22:00-22:59": 0.75,
-        "23:00-23:59": 5.08
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "Suki",
-        "包名": "com.masseffect.suki",
-        "总时长": 11.27,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 1.2,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.43,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 2.95,
-        "14:00-14:59": 3.9,
-        "15:00-15:59": 1.15,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 1.63,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "番茄免费小说",
-        "包名": "com.dragon.read",
-        "总时长": 7.67,
-        "0:00-0:59": 1.28,
-        "1:00-1:59": 1.57,
-        "2:00-2:59": 0.32,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.02,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.78,
-        "12:00-12:59": 1.75,
-        "13:00-13:59": 1.95,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "养基宝",
-        "包名": "yangjibao.app",
-        "总时长": 6.83,
-        "0:00-0:59": 0.15,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.18,
-        "9:00-9:59": 0.17,
-        "10:00-10:59": 0.62,
-        "11:00-11:59": 0.23,
-        "12:00-12:59": 0.53,
-        "13:00-13:59": 0.78,
-        "14:00-14:59": 1.3,
-        "15:00-15:59": 1.37,
-        "16:00-16:59": 0.02,
-        "17:00-17:59": 0.08,
-        "18:00-18:59": 0.1,
-        "19:00-19:59": 0.12,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.85,
-        "22:00-22:59": 0.32,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "通话界面",
-        "包名": "com.android.incallui",
-        "总时长": 5.53,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 5.53,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "哔哩哔哩",
-        "包名": "tv.danmaku.bili",
-        "总时长": 5.35,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.88,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 1.1,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 3.37,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "钉钉",
-        "包名": "com.alibaba.android.rimet",
-        "总时长": 2.15,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 2.15,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "京东",
-        "包名": "com.jingdong.app.mall",
-        "总时长": 2.13,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 1.72,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.42,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "闲鱼",
-        "包名": "com.taobao.idlefish",
-        "总时长": 2.07,
-        "0:00-0:59": 1.3,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.77,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "应用包管理组件",
-        "包名": "com.miui.packageinstaller",
-        "总时长": 1.7,
-        "0:00-0:59": 1.15,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.55,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "计算器",
-        "包名": "com.miui.calculator",
-        "总时长": 1.68,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 1.67,
-        "23:00-23:59": 0.02
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "可乐",
-        "包名": "com.miaoa.cola",
-        "总时长": 1.57,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.18,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.1,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.22,
-        "19:00-19:59": 0.18,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.88,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "安全中心",
-        "包名": "com.miui.securitycenter",
-        "总时长": 1.52,
-        "0:00-0:59": 0.83,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.67,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.02,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "QQ",
-        "包名": "com.tencent.mobileqq",
-        "总时长": 1.23,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 1.23,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "美团",
-        "包名": "com.sankuai.meituan",
-        "总时长": 1.03,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 1.03,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "IntentResolver",
-        "包名": "com.android.intentresolver",
-        "总时长": 1.0,
-        "0:00-0:59": 0.53,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.37,
-        "12:00-12:59": 0.05,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.03,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "京东金融",
-        "包名": "com.jd.jrapp",
-        "总时长": 0.83,
-        "0:00-0:59": 0.23,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.18,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.13,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.13,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.15,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "天津地铁",
-        "包名": "com.bwton.tjmetro",
-        "总时长": 0.67,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.32,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.1,
-        "19:00-19:59": 0.25,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "设置",
-        "包名": "com.android.settings",
-        "总时长": 0.58,
-        "0:00-0:59": 0.28,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.22,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.08,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "懂车帝",
-        "包名": "com.ss.android.auto",
-        "总时长": 0.52,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.52,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "夸克浏览器",
-        "包名": "com.quark.browser",
-        "总时长": 0.48,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.48,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "微博国际版",
-        "包名": "com.weico.international",
-        "总时长": 0.47,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.47,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "Steam",
-        "包名": "com.steampy.app",
-        "总时长": 0.43,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.43,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "云闪付",
-        "包名": "com.unionpay",
-        "总时长": 0.33,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.1,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.08,
-        "19:00-19:59": 0.08,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.07,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "同花顺",
-        "包名": "com.hexin.plat.android",
-        "总时长": 0.23,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.22,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.02,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "小米账号",
-        "包名": "com.xiaomi.account",
-        "总时长": 0.15,
-        "0:00-0:59": 0.15,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "小米智能卡",
-        "包名": "com.miui.tsmclient",
-        "总时长": 0.13,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.1,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.03,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "小米设置",
-        "包名": "com.xiaomi.misettings",
-        "总时长": 0.12,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.12,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "截屏",
-        "包名": "com.miui.screenshot",
-        "总时长": 0.1,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.1,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "短信",
-        "包名": "com.android.mms",
-        "总时长": 0.07,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.03,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.03,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "高德地图",
-        "包名": "com.autonavi.minimap",
-        "总时长": 0.05,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.05,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "系统界面组件",
-        "包名": "miui.systemui.plugin",
-        "总时长": 0.02,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.02,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-23",
-        "应用名称": "Clash",
-        "包名": "com.github.kr328.clash",
-        "总时长": 0.02,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.02,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-24",
-        "应用名称": "小红书",
-        "包名": "com.xingin.xhs",
-        "总时长": 111.97,
-        "0:00-0:59": 1.13,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 32.1,
-        "8:00-8:59": 23.48,
-        "9:00-9:59": 21.57,
-        "10:00-10:59": 3.33,
-        "11:00-11:59": 4.1,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 1.17,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 8.43,
-        "18:00-18:59": 6.55,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 5.28,
-        "22:00-22:59": 4.77,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-24",
-        "应用名称": "微信",
-        "包名": "com.tencent.mm",
-        "总时长": 69.08,
-        "0:00-0:59": 0.27,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 2.05,
-        "8:00-8:59": 4.07,
-        "9:00-9:59": 1.92,
-        "10:00-10:59": 1.25,
-        "11:00-11:59": 2.58,
-        "12:00-12:59": 0.18,
-        "13:00-13:59": 3.1,
-        "14:00-14:59": 10.28,
-        "15:00-15:59": 9.97,
-        "16:00-16:59": 0.95,
-        "17:00-17:59": 10.6,
-        "18:00-18:59": 2.2,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.98,
-        "21:00-21:59": 1.17,
-        "22:00-22:59": 5.52,
-        "23:00-23:59": 12.0
-    },
-    {
-        "日期": "2025-10-24",
-        "应用名称": "支付宝",
-        "包名": "com.eg.android.AlipayGphone",
-        "总时长": 46.6,
-        "0:00-0:59": 9.65,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 2.45,
-        "9:00-9:59": 7.2,
-        "10:00-10:59": 5.63,
-        "11:00-11:59": 1.07,
-        "12:00-12:59": 1.3,
-        "13:00-13:59": 0.22,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.42,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 3.15,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 13.78,
-        "23:00-23:59": 1.73
-    },
-    {
-        "日期": "2025-10-24",
-        "应用名称": "Suki",
-        "包名": "com.masseffect.suki",
-        "总时长": 22.48,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.75,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 4.2,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 6.27,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.5,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 10.77
-    },
-    {
-        "日期": "2025-10-24",
-        "应用名称": "哔哩哔哩",
-        "包名": "tv.danmaku.bili",
-        "总时长": 20.62,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 3.13,
-        "9:00-9:59": 3.62,
-        "10:00-10:59": 13.87,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-24",
-        "应用名称": "系统桌面",
-        "包名": "com.miui.home",
-        "总时长": 12.23,
-        "0:00-0:59": 0.63,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.08,
-        "8:00-8:59": 1.02,
-        "9:00-9:59": 0.72,
-        "10:00-10:59": 0.78,
-        "11:00-11:59": 0.25,
-        "12:00-12:59": 1.07,
-        "13:00-13:59": 0.7,
-        "14:00-14:59": 0.53,
-        "15:00-15:59": 0.38,
-        "16:00-16:59": 0.07,
-        "17:00-17:59": 1.1,
-        "18:00-18:59": 0.32,
-        "19:00-19:59": 0.4,
-        "20:00-20:59": 0.87,
-        "21:00-21:59": 2.1,
-        "22:00-22:59": 1.07,
-        "23:00-23:59": 0.15
-    },
-    {
-        "日期": "2025-10-24",
-        "应用名称": "养基宝",
-        "包名": "yangjibao.app",
-        "总时长": 6.1,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 1.22,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 1.08,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.45,
-        "13:00-13:59": 0.63,
-        "14:00-14:59": 0.13,
-        "15:00-15:59": 0.1,
-        "16:00-16:59": 0.03,
-        "17:00-17:59": 0.82,
-        "18:00-18:59": 0.17,
-        "19:00-19:59": 0.55,
-        "20:00-20:59": 0.08,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.83,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-24",
-        "应用名称": "京东",
-        "包名": "com.jingdong.app.mall",
-        "总时长": 6.03,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 3.32,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.87,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 1.85,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-24",
-        "应用名称": "美团",
-        "包名": "com.sankuai.meituan",
-        "总时长": 4.67,
-        "0:00-0:59": 4.67,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-24",
-        "应用名称": "高德地图",
-        "包名": "com.autonavi.minimap",
-        "总时长": 2.07,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 1.78,
-        "15:00-15:59": 0.28,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-24",
-        "应用名称": "番茄免费小说",
-        "包名": "com.dragon.read",
-        "总时长": 2.02,
-        "0:00-0:59": 0.33,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.02,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.33,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 1.05,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.28,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-24",
-        "应用名称": "天津地铁",
-        "包名": "com.bwton.tjmetro",
-        "总时长": 1.37,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.17,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.7,
-        "18:00-18:59": 0.18,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.17,
-        "22:00-22:59": 0.15,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-24",
-        "应用名称": "com.max.xiaoheihe",
-        "包名": "com.max.xiaoheihe",
-        "总时长": 1.08,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 1.08,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-24",
-        "应用名称": "相机",
-        "包名": "com.android.camera",
-        "总时长": 0.87,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.23,
-        "21:00-21:59": 0.63,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-24",
-        "应用名称": "云闪付",
-        "包名": "com.unionpay",
-        "总时长": 0.83,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.73,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.1,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-24",
-        "应用名称": "可乐",
-        "包名": "com.miaoa.cola",
-        "总时长": 0.75,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.13,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.08,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.07,
-        "18:00-18:59": 0.12,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.22,
-        "22:00-22:59": 0.13,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-24",
-        "应用名称": "京东金融",
-        "包名": "com.jd.jrapp",
-        "总时长": 0.73,
-        "0:00-0:59": 0.22,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.37,
-        "9:00-9:59": 0.15,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-24",
-        "应用名称": "夸克浏览器",
-        "包名": "com.quark.browser",
-        "总时长": 0.62,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.4,
-        "15:00-15:59": 0.22,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-24",
-        "应用名称": "Steam",
-        "包名": "com.steampy.app",
-        "总时长": 0.55,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.55,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-24",
-        "应用名称": "小米智能卡",
-        "包名": "com.miui.tsmclient",
-        "总时长": 0.55,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.13,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.13,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.28,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-24",
-        "应用名称": "同花顺",
-        "包名": "com.hexin.plat.android",
-        "总时长": 0.47,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.25,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.22,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-24",
-        "应用名称": "微博国际版",
-        "包名": "com.weico.international",
-        "总时长": 0.43,
-        "0:00-0:59": 0.32,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.12,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-24",
-        "应用名称": "通话界面",
-        "包名": "com.android.incallui",
-        "总时长": 0.33,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.33,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-24",
-        "应用名称": "QQ",
-        "包名": "com.tencent.mobileqq",
-        "总时长": 0.33,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.33,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-24",
-        "应用名称": "网易邮箱",
-        "包名": "com.netease.mobimail",
-        "总时长": 0.28,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.28,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-24",
-        "应用名称": "相册",
-        "包名": "com.miui.gallery",
-        "总时长": 0.28,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.08,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.2,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-24",
-        "应用名称": "山姆会员店",
-        "包名": "cn.samsclub.app",
-        "总时长": 0.23,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.2,
-        "17:00-17:59": 0.03,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-24",
-        "应用名称": "快应用服务框架",
-        "包名": "com.miui.hybrid",
-        "总时长": 0.22,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.22,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-24",
-        "应用名称": "拼多多",
-        "包名": "com.xunmeng.pinduoduo",
-        "总时长": 0.18,
-        "0:00-0:59": 0.18,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-24",
-        "应用名称": "安全中心",
-        "包名": "com.miui.securitycenter",
-        "总时长": 0.13,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.07,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.02,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.03,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.02,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-24",
-        "应用名称": "计算器",
-        "包名": "com.miui.calculator",
-        "总时长": 0.13,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.13,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-25",
-        "应用名称": "小红书",
-        "包名": "com.xingin.xhs",
-        "总时长": 46.87,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 6.92,
-        "3:00-3:59": 21.85,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 4.4,
-        "9:00-9:59": 8.35,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.07,
-        "13:00-13:59": 1.27,
-        "14:00-14:59": 1.95,
-        "15:00-15:59": 0.25,
-        "16:00-16:59": 1.55,
-        "17:00-17:59": 0.23,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-25",
-        "应用名称": "微信",
-        "包名": "com.tencent.mm",
-        "总时长": 41.73,
-        "0:00-0:59": 0.03,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 10.62,
-        "9:00-9:59": 3.82,
-        "10:00-10:59": 3.02,
-        "11:00-11:59": 0.03,
-        "12:00-12:59": 3.77,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 1.42,
-        "16:00-16:59": 0.2,
-        "17:00-17:59": 10.12,
-        "18:00-18:59": 5.05,
-        "19:00-19:59": 2.8,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.87
-    },
-    {
-        "日期": "2025-10-25",
-        "应用名称": "美团",
-        "包名": "com.sankuai.meituan",
-        "总时长": 21.67,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.68,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 7.65,
-        "19:00-19:59": 10.43,
-        "20:00-20:59": 0.5,
-        "21:00-21:59": 2.4,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-25",
-        "应用名称": "支付宝",
-        "包名": "com.eg.android.AlipayGphone",
-        "总时长": 20.42,
-        "0:00-0:59": 3.87,
-        "1:00-1:59": 5.9,
-        "2:00-2:59": 0.4,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 1.4,
-        "10:00-10:59": 2.92,
-        "11:00-11:59": 2.48,
-        "12:00-12:59": 0.45,
-        "13:00-13:59": 1.63,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.43,
-        "19:00-19:59": 0.5,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.43,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-25",
-        "应用名称": "哔哩哔哩",
-        "包名": "tv.danmaku.bili",
-        "总时长": 19.95,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 19.95,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-25",
-        "应用名称": "系统桌面",
-        "包名": "com.miui.home",
-        "总时长": 3.93,
-        "0:00-0:59": 0.07,
-        "1:00-1:59": 0.02,
-        "2:00-2:59": 0.08,
-        "3:00-3:59": 0.05,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.42,
-        "9:00-9:59": 0.55,
-        "10:00-10:59": 0.05,
-        "11:00-11:59": 0.33,
-        "12:00-12:59": 1.3,
-        "13:00-13:59": 0.08,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.12,
-        "17:00-17:59": 0.03,
-        "18:00-18:59": 0.25,
-        "19:00-19:59": 0.33,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.25,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-25",
-        "应用名称": "京东",
-        "包名": "com.jingdong.app.mall",
-        "总时长": 2.55,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.82,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 1.73,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-25",
-        "应用名称": "同花顺",
-        "包名": "com.hexin.plat.android",
-        "总时长": 1.97,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 1.97,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-25",
-        "应用名称": "云闪付",
-        "包名": "com.unionpay",
-        "总时长": 1.82,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 1.63,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.17,
-        "18:00-18:59": 0.02,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-25",
-        "应用名称": "通话界面",
-        "包名": "com.android.incallui",
-        "总时长": 1.45,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.35,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 1.1,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-25",
-        "应用名称": "高德地图",
-        "包名": "com.autonavi.minimap",
-        "总时长": 0.98,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.98,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-25",
-        "应用名称": "短信",
-        "包名": "com.android.mms",
-        "总时长": 0.93,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.93,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-25",
-        "应用名称": "Suki",
-        "包名": "com.masseffect.suki",
-        "总时长": 0.57,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.57,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-25",
-        "应用名称": "养基宝",
-        "包名": "yangjibao.app",
-        "总时长": 0.55,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.05,
-        "9:00-9:59": 0.48,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.02,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-25",
-        "应用名称": "微博国际版",
-        "包名": "com.weico.international",
-        "总时长": 0.3,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.3,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-25",
-        "应用名称": "可乐",
-        "包名": "com.miaoa.cola",
-        "总时长": 0.3,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.13,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.17,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-25",
-        "应用名称": "京东金融",
-        "包名": "com.jd.jrapp",
-        "总时长": 0.15,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.15,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-25",
-        "应用名称": "番茄免费小说",
-        "包名": "com.dragon.read",
-        "总时长": 0.13,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.13,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-25",
-        "应用名称": "天津地铁",
-        "包名": "com.bwton.tjmetro",
-        "总时长": 0.02,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.02,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-26",
-        "应用名称": "微信",
-        "包名": "com.tencent.mm",
-        "总时长": 141.52,
-        "0:00-0:59": 2.55,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.3,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 2.67,
-        "11:00-11:59": 4.58,
-        "12:00-12:59": 5.17,
-        "13:00-13:59": 2.92,
-        "14:00-14:59": 4.67,
-        "15:00-15:59": 8.52,
-        "16:00-16:59": 10.32,
-        "17:00-17:59": 0.28,
-        "18:00-18:59": 8.75,
-        "19:00-19:59": 13.5,
-        "20:00-20:59": 44.17,
-        "21:00-21:59": 0.12,
-        "22:00-22:59": 14.87,
-        "23:00-23:59": 18.12
-    },
-    {
-        "日期": "2025-10-26",
-        "应用名称": "小红书",
-        "包名": "com.xingin.xhs",
-        "总时长": 48.67,
-        "0:00-0:59": 0.97,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 1.98,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.27,
-        "11:00-11:59": 0.03,
-        "12:00-12:59": 5.23,
-        "13:00-13:59": 4.68,
-        "14:00-14:59": 14.87,
-        "15:00-15:59": 0.48,
-        "16:00-16:59": 16.8,
-        "17:00-17:59": 2.58,
-        "18:00-18:59": 0.77,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-26",
-        "应用名称": "Suki",
-        "包名": "com.masseffect.suki",
-        "总时长": 17.55,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 2.52,
-        "13:00-13:59": 10.8,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 3.12,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 1.12
-    },
-    {
-        "日期": "2025-10-26",
-        "应用名称": "美团",
-        "包名": "com.sankuai.meituan",
-        "总时长": 5.7,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 1.4,
-        "13:00-13:59": 4.12,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.18,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-26",
-        "应用名称": "系统桌面",
-        "包名": "com.miui.home",
-        "总时长": 2.7,
-        "0:00-0:59": 0.1,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.12,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.15,
-        "11:00-11:59": 0.05,
-        "12:00-12:59": 0.32,
-        "13:00-13:59": 0.87,
-        "14:00-14:59": 0.25,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.12,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.27,
-        "19:00-19:59": 0.03,
-        "20:00-20:59": 0.03,
-        "21:00-21:59": 0.2,
-        "22:00-22:59": 0.12,
-        "23:00-23:59": 0.08
-    },
-    {
-        "日期": "2025-10-26",
-        "应用名称": "闲鱼",
-        "包名": "com.taobao.idlefish",
-        "总时长": 2.03,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 2.03,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-26",
-        "应用名称": "同花顺",
-        "包名": "com.hexin.plat.android",
-        "总时长": 1.45,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 1.45,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-26",
-        "应用名称": "京东",
-        "包名": "com.jingdong.app.mall",
-        "总时长": 1.17,
-        "0:00-0:59": 0.03,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 1.13,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-26",
-        "应用名称": "高德地图",
-        "包名": "com.autonavi.minimap",
-        "总时长": 0.62,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.2,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.42,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-26",
-        "应用名称": "云闪付",
-        "包名": "com.unionpay",
-        "总时长": 0.33,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.22,
-        "13:00-13:59": 0.12,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-26",
-        "应用名称": "可乐",
-        "包名": "com.miaoa.cola",
-        "总时长": 0.27,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.15,
-        "13:00-13:59": 0.12,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-26",
-        "应用名称": "飞书",
-        "包名": "com.ss.android.lark",
-        "总时长": 0.13,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.13,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-26",
-        "应用名称": "com.alibaba.aliyun",
-        "包名": "com.alibaba.aliyun",
-        "总时长": 0.03,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.03,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-26",
-        "应用名称": "系统界面组件",
-        "包名": "miui.systemui.plugin",
-        "总时长": 0.03,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.03,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-26",
-        "应用名称": "安全中心",
-        "包名": "com.miui.securitycenter",
-        "总时长": 0.03,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.03
-    },
-    {
-        "日期": "2025-10-26",
-        "应用名称": "小米智能卡",
-        "包名": "com.miui.tsmclient",
-        "总时长": 0.02,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.02,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-27",
-        "应用名称": "小红书",
-        "包名": "com.xingin.xhs",
-        "总时长": 136.78,
-        "0:00-0:59": 23.3,
-        "1:00-1:59": 54.95,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 24.98,
-        "9:00-9:59": 16.18,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.2,
-        "13:00-13:59": 1.07,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 5.53,
-        "17:00-17:59": 2.73,
-        "18:00-18:59": 0.43,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 7.4
-    },
-    {
-        "日期": "2025-10-27",
-        "应用名称": "微信",
-        "包名": "com.tencent.mm",
-        "总时长": 128.15,
-        "0:00-0:59": 0.15,
-        "1:00-1:59": 0.1,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 10.05,
-        "10:00-10:59": 6.4,
-        "11:00-11:59": 12.18,
-        "12:00-12:59": 9.65,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.55,
-        "15:00-15:59": 7.57,
-        "16:00-16:59": 5.97,
-        "17:00-17:59": 24.25,
-        "18:00-18:59": 1.02,
-        "19:00-19:59": 11.22,
-        "20:00-20:59": 28.8,
-        "21:00-21:59": 1.15,
-        "22:00-22:59": 1.97,
-        "23:00-23:59": 7.12
-    },
-    {
-        "日期": "2025-10-27",
-        "应用名称": "飞书",
-        "包名": "com.ss.android.lark",
-        "总时长": 64.72,
-        "0:00-0:59": 0.25,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 57.27,
-        "15:00-15:59": 7.18,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-27",
-        "应用名称": "com.comingx.zanao",
-        "包名": "com.comingx.zanao",
-        "总时长": 7.92,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 5.87,
-        "16:00-16:59": 2.05,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-27",
-        "应用名称": "系统桌面",
-        "包名": "com.miui.home",
-        "总时长": 7.53,
-        "0:00-0:59": 0.2,
-        "1:00-1:59": 0.12,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.3,
-        "9:00-9:59": 1.02,
-        "10:00-10:59": 0.2,
-        "11:00-11:59": 0.03,
-        "12:00-12:59": 0.05,
-        "13:00-13:59": 0.02,
-        "14:00-14:59": 1.15,
-        "15:00-15:59": 1.4,
-        "16:00-16:59": 0.7,
-        "17:00-17:59": 0.63,
-        "18:00-18:59": 0.25,
-        "19:00-19:59": 0.15,
-        "20:00-20:59": 0.12,
-        "21:00-21:59": 0.63,
-        "22:00-22:59": 0.15,
-        "23:00-23:59": 0.42
-    },
-    {
-        "日期": "2025-10-27",
-        "应用名称": "Suki",
-        "包名": "com.masseffect.suki",
-        "总时长": 7.25,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 3.58,
-        "16:00-16:59": 0.83,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 2.83
-    },
-    {
-        "日期": "2025-10-27",
-        "应用名称": "哔哩哔哩",
-        "包名": "tv.danmaku.bili",
-        "总时长": 6.12,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 3.42,
-        "19:00-19:59": 2.7,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-27",
-        "应用名称": "支付宝",
-        "包名": "com.eg.android.AlipayGphone",
-        "总时长": 6.05,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.9,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 2.38,
-        "17:00-17:59": 0.93,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 1.62,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.22
-    },
-    {
-        "日期": "2025-10-27",
-        "应用名称": "养基宝",
-        "包名": "yangjibao.app",
-        "总时长": 4.28,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.5,
-        "13:00-13:59": 0.18,
-        "14:00-14:59": 0.13,
-        "15:00-15:59": 1.22,
-        "16:00-16:59": 0.02,
-        "17:00-17:59": 0.38,
-        "18:00-18:59": 0.03,
-        "19:00-19:59": 1.55,
-        "20:00-20:59": 0.25,
-        "21:00-21:59": 0.02,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-27",
-        "应用名称": "美团",
-        "包名": "com.sankuai.meituan",
-        "总时长": 1.48,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.98,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.5,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-27",
-        "应用名称": "短信",
-        "包名": "com.android.mms",
-        "总时长": 0.98,
-        "0:00-0:59": 0.88,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.03,
-        "9:00-9:59": 0.07,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-27",
-        "应用名称": "京东金融",
-        "包名": "com.jd.jrapp",
-        "总时长": 0.78,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.08,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.7,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-27",
-        "应用名称": "云闪付",
-        "包名": "com.unionpay",
-        "总时长": 0.73,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.1,
-        "9:00-9:59": 0.08,
-        "10:00-10:59": 0.08,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.17,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.3,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-27",
-        "应用名称": "Clash",
-        "包名": "com.github.kr328.clash",
-        "总时长": 0.47,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.2,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.27,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-27",
-        "应用名称": "番茄免费小说",
-        "包名": "com.dragon.read",
-        "总时长": 0.42,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.23,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.18,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-27",
-        "应用名称": "可乐",
-        "包名": "com.miaoa.cola",
-        "总时长": 0.35,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.07,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.18,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.1,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-27",
-        "应用名称": "应用商店",
-        "包名": "com.xiaomi.market",
-        "总时长": 0.32,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.1,
-        "16:00-16:59": 0.22,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-27",
-        "应用名称": "Via浏览器",
-        "包名": "mark.via",
-        "总时长": 0.27,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.15,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.12,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-27",
-        "应用名称": "QQ",
-        "包名": "com.tencent.mobileqq",
-        "总时长": 0.25,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.25,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-27",
-        "应用名称": "通话界面",
-        "包名": "com.android.incallui",
-        "总时长": 0.2,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.2,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-27",
-        "应用名称": "相机",
-        "包名": "com.android.camera",
-        "总时长": 0.18,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.18,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-27",
-        "应用名称": "com.bankcomm.Bankcomm",
-        "包名": "com.bankcomm.Bankcomm",
-        "总时长": 0.17,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.17,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-27",
-        "应用名称": "IntentResolver",
-        "包名": "com.android.intentresolver",
-        "总时长": 0.12,
-        "0:00-0:59": 0.12,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-27",
-        "应用名称": "快应用服务框架",
-        "包名": "com.miui.hybrid",
-        "总时长": 0.08,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.07,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.02
-    },
-    {
-        "日期": "2025-10-27",
-        "应用名称": "相册",
-        "包名": "com.miui.gallery",
-        "总时长": 0.07,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.07,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-27",
-        "应用名称": "截屏",
-        "包名": "com.miui.screenshot",
-        "总时长": 0.05,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.05,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-27",
-        "应用名称": "淘宝",
-        "包名": "com.taobao.taobao",
-        "总时长": 0.05,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.05,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-27",
-        "应用名称": "系统界面组件",
-        "包名": "miui.systemui.plugin",
-        "总时长": 0.02,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.02,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-27",
-        "应用名称": "京东",
-        "包名": "com.jingdong.app.mall",
-        "总时长": 0.02,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.02,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-27",
-        "应用名称": "小米智能卡",
-        "包名": "com.miui.tsmclient",
-        "总时长": 0.02,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.02,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-28",
-        "应用名称": "小红书",
-        "包名": "com.xingin.xhs",
-        "总时长": 110.95,
-        "0:00-0:59": 2.08,
-        "1:00-1:59": 49.85,
-        "2:00-2:59": 5.83,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 47.6,
-        "9:00-9:59": 5.57,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-28",
-        "应用名称": "哔哩哔哩",
-        "包名": "tv.danmaku.bili",
-        "总时长": 27.85,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 15.6,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 12.25,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-28",
-        "应用名称": "微信",
-        "包名": "com.tencent.mm",
-        "总时长": 7.1,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 7.1,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-28",
-        "应用名称": "Via浏览器",
-        "包名": "mark.via",
-        "总时长": 3.57,
-        "0:00-0:59": 0.15,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 3.42,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-28",
-        "应用名称": "系统桌面",
-        "包名": "com.miui.home",
-        "总时长": 1.95,
-        "0:00-0:59": 0.32,
-        "1:00-1:59": 0.07,
-        "2:00-2:59": 0.13,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.18,
-        "9:00-9:59": 1.25,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-28",
-        "应用名称": "Clash",
-        "包名": "com.github.kr328.clash",
-        "总时长": 0.73,
-        "0:00-0:59": 0.32,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.42,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-28",
-        "应用名称": "com.core.bucd",
-        "包名": "com.core.bucd",
-        "总时长": 0.63,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.63,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-28",
-        "应用名称": "Suki",
-        "包名": "com.masseffect.suki",
-        "总时长": 0.55,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.55,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-28",
-        "应用名称": "应用包管理组件",
-        "包名": "com.miui.packageinstaller",
-        "总时长": 0.38,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.38,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-28",
-        "应用名称": "番茄免费小说",
-        "包名": "com.dragon.read",
-        "总时长": 0.3,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.28,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.02,
-        "9:00-9:59": 0.0,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-28",
-        "应用名称": "京东金融",
-        "包名": "com.jd.jrapp",
-        "总时长": 0.18,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.18,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-28",
-        "应用名称": "飞书",
-        "包名": "com.ss.android.lark",
-        "总时长": 0.12,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.12,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-28",
-        "应用名称": "小米账号",
-        "包名": "com.xiaomi.account",
-        "总时长": 0.08,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.08,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-28",
-        "应用名称": "VpnDialogs",
-        "包名": "com.android.vpndialogs",
-        "总时长": 0.05,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.05,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-28",
-        "应用名称": "安全中心",
-        "包名": "com.miui.securitycenter",
-        "总时长": 0.05,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.05,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-28",
-        "应用名称": "IntentResolver",
-        "包名": "com.android.intentresolver",
-        "总时长": 0.05,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.05,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-28",
-        "应用名称": "应用程序扩展服务",
-        "包名": "com.miui.contentcatcher",
-        "总时长": 0.02,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.02,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    },
-    {
-        "日期": "2025-10-28",
-        "应用名称": "权限管理服务",
-        "包名": "com.lbe.security.miui",
-        "总时长": 0.02,
-        "0:00-0:59": 0.0,
-        "1:00-1:59": 0.0,
-        "2:00-2:59": 0.0,
-        "3:00-3:59": 0.0,
-        "4:00-4:59": 0.0,
-        "5:00-5:59": 0.0,
-        "6:00-6:59": 0.0,
-        "7:00-7:59": 0.0,
-        "8:00-8:59": 0.0,
-        "9:00-9:59": 0.02,
-        "10:00-10:59": 0.0,
-        "11:00-11:59": 0.0,
-        "12:00-12:59": 0.0,
-        "13:00-13:59": 0.0,
-        "14:00-14:59": 0.0,
-        "15:00-15:59": 0.0,
-        "16:00-16:59": 0.0,
-        "17:00-17:59": 0.0,
-        "18:00-18:59": 0.0,
-        "19:00-19:59": 0.0,
-        "20:00-20:59": 0.0,
-        "21:00-21:59": 0.0,
-        "22:00-22:59": 0.0,
-        "23:00-23:59": 0.0
-    }
-]
\ No newline at end of file
@@ -0,0 +1,246 @@
+// annotations.js
+
+/**
+ * @brief 声明式注释层（两个系列共用）
+ *        Declarative annotation layer (shared by both series).
+ *
+ * @note zh-CN:
+ *  注释通过图表 options.annotations 传入，本模块只负责绘制；坐标换算交给各图表
+ *  提供的 layout 适配器（极坐标或直角坐标），因此每次 update 都会按新的比例尺重新定位。
+ *
+ * @note en-US:
+ *  Annotations are passed through the chart's options.annotations; this module only draws
+ *  them. Coordinates come from a layout adapter supplied by each chart (polar or cartesian),
+ *  so every update repositions them through the chart's current scales.
+ *
+ * @example
+ *   // 系列 1：x 为小时，y 为分钟 / Series 1: x is the hour, y is minutes
+ *   { type: 'callout', app: '微信', x: 23, title: '23:00 高峰', label: '睡前集中使用' }
+ *   // 系列 2：x 为年份，y 为价格；可用 asset 读取该资产当年的值 /
+ *   // Series 2: x is the year, y is the price; asset reads that asset's value for the year
+ *   { type: 'range', from: 2008, to: 2009, label: '2008 金融危机' }
+ *   { type: 'point', x: 2009, asset: 'SPX', label: '865.58' }
+ *   { type: 'threshold', value: 1000, label: '1,000' }
+ */
+(function (global) {
+    'use strict';
+
+    /**
+     * @brief 注释类型及绘制顺序（靠前的在下层）
+     *        Annotation types in drawing order (earlier ones sit below).
+     *
+     * @type {string[]}
+     */
+    const ANNOTATION_TYPES = ['range', 'threshold', 'point', 'callout'];
+
+    /**
+     * @brief 注释说明框相对锚点的默认偏移（像素）
+     *        Default offset of a callout note from its anchor (px).
+     *
+     * @type {{dx: number, dy: number}}
+     */
+    const DEFAULT_CALLOUT_OFFSET = { dx: 28, dy: -28 };
+
+    /**
+     * @brief 校验并排序注释列表
+     *        Validate and order an annotation list.
+     *
+     * @param {Object[]} annotations
+     *        注释配置 / Annotation specs.
+     * @return {Object[]}
+     *         带 key 的注释（按绘制顺序）/ Keyed annotations in drawing order.
+     */
+    function normalizeAnnotations(annotations) {
+        if (annotations == null) {
+            return [];
+        }
+        if (!Array.isArray(annotations)) {
+            throw new Error('ChartAnnotations: annotations 必须是数组 / annotations must be an array.');
+        }
+        return annotations
+            .map(function (a, index) {
+                if (!a || ANNOTATION_TYPES.indexOf(a.type) === -1) {
+                    throw new Error('ChartAnnotations: 未知注释类型 / unknown annotation type: ' + (a && a.type));
+                }
+                return Object.assign({ key: a.id != null ? String(a.id) : a.type + '-' + index }, a);
+            })
+            .sort(function (a, b) {
+                return ANNOTATION_TYPES.indexOf(a.type) - ANNOTATION_TYPES.indexOf(b.type);
+            });
+    }
+
+    /**
+     * @brief 为新注释创建 DOM 结构 / Build DOM for a newly entered annotation.
+     *
+     * @param {d3.Selection} group
+     *        单个注释的分组 / Group of one annotation.
+     * @param {Object} a
+     *        注释 / Annotation.
+     */
+    function buildAnnotation(group, a) {
+        if (a.type === 'range') {
+            group.append('path').attr('class', 'annotation-band');
+        } else if (a.type === 'threshold') {
+            group.append('path').attr('class', 'annotation-threshold');
+        } else if (a.type === 'callout') {
+            group.append('line').attr('class', 'annotation-connector');
+        }
+        if (a.type === 'point' || a.type === 'callout') {
+            group.append('circle').attr('class', 'annotation-marker').attr('r', 3.5);
+        }
+
+        const text = group.append('text')
+            .attr('class', a.type === 'callout' ? 'annotation-note' : 'annotation-label');
+        if (a.type === 'callout') {
+            text.append('tspan').attr('class', 'annotation-note-title');
+            text.append('tspan').attr('class', 'annotation-note-body');
+        }
+    }
+
+    /**
+     * @brief 计算单个注释的几何信息
+     *        Compute geometry for one annotation.
+     *
+     * @param {Object} a
+     *        注释 / Annotation.
+     * @param {Object} layout
+     *        图表提供的适配器 / Chart-supplied adapter.
+     * @return {Object|null}
+     *         几何信息；无法定位时为 null（例如对数坐标下的非正阈值）/
+     *         Geometry, or null when it cannot be placed (e.g. a non-positive threshold on a log axis).
+     */
+    function placeAnnotation(a, layout) {
+        if (a.type === 'range') {
+            return layout.band(a.from, a.to);
+        }
+        if (a.type === 'threshold') {
+            return layout.threshold(a.value);
+        }
+
+        const value = a.y != null ? a.y : layout.valueAt(a);
+        if (value == null || isNaN(value)) {
+            return null;
+        }
+        const anchor = layout.point(a.x, value);
+        if (!anchor) {
+            return null;
+        }
+        if (a.type === 'point') {
+            return { anchor: anchor, labelAt: [anchor[0], anchor[1] - 8], textAnchor: 'middle' };
+        }
+
+        const dx = a.dx != null ? a.dx : DEFAULT_CALLOUT_OFFSET.dx;
+        const dy = a.dy != null ? a.dy : DEFAULT_CALLOUT_OFFSET.dy;
+        return {
+            anchor: anchor,
+            labelAt: [anchor[0] + dx, anchor[1] + dy],
+            textAnchor: dx < 0 ? 'end' : 'start'
+        };
+    }
+
+    /**
+     * @brief 绘制（或更新）注释层
+     *        Render (or update) an annotation layer.
+     *
+     * @param {d3.Selection} layer
+     *        注释所在的 <g>（由图表在创建时生成）/ The <g> created by the chart for annotations.
+     * @param {Object[]} annotations
+     *        注释配置 / Annotation specs.
+     * @param {Object} layout
+     *        坐标适配器 / Coordinate adapter:
+     *        - point(x, y) → [px, py] | null
+     *        - band(from, to) → { path, labelAt, textAnchor } | null
+     *        - threshold(value) → { path, labelAt, textAnchor } | null
+     *        - valueAt(annotation) → number | null，未给出 y 时读取数据值 /
+     *          data value used when the annotation has no y
+     * @param {Object} [options]
+     *        { duration }：过渡时长（毫秒）/ Transition duration (ms).
+     */
+    function renderAnnotations(layer, annotations, layout, options) {
+        const duration = options && options.duration != null ? options.duration : 0;
+        const items = normalizeAnnotations(annotations).map(function (a) {
+            return { spec: a, geometry: placeAnnotation(a, layout) };
+        });
+
+        const groups = layer.selectAll('g.annotation')
+            .data(items, function (d) { return d.spec.key; })
+            .join(
+                function (enter) {
+                    return enter.append('g')
+                        .attr('class', function (d) { return 'annotation annotation-' + d.spec.type; })
+                        .attr('opacity', 0)
+                        .each(function (d) { buildAnnotation(d3.select(this), d.spec); });
+                },
+                function (sel) { return sel; },
+                function (exit) {
+                    return exit.transition().duration(duration)
+                        .attr('opacity', 0)
+                        .remove();
+                }
+            )
+            .order();
+
+        groups.each(function (d) {
+            const group = d3.select(this);
+            const geo = d.geometry;
+
+            // 无法定位的注释先隐藏，数据 / 比例尺恢复后再显示 / hide until it can be placed again
+            group.style('display', geo ? null : 'none');
+            if (!geo) return;
+
+            const first = group.attr('data-placed') == null;
+            group.attr('data-placed', '');
+
+            function move(sel) {
+                return first ? sel : sel.transition().duration(duration);
+            }
+
+            group.transition().duration(duration).attr('opacity', 1);
+
+            if (geo.path) {
+                move(group.select('path')).attr('d', geo.path);
+            }
+            if (geo.anchor) {
+                move(group.select('circle.annotation-marker'))
+                    .attr('cx', geo.anchor[0])
+                    .attr('cy', geo.anchor[1]);
+                move(group.select('line.annotation-connector'))
+                    .attr('x1', geo.anchor[0])
+                    .attr('y1', geo.anchor[1])
+                    .attr('x2', geo.labelAt[0])
+                    .attr('y2', geo.labelAt[1]);
+            }
+
+            const text = group.select('text').attr('text-anchor', geo.textAnchor || 'start');
+            if (d.spec.type === 'callout') {
+                // 标题在上、正文在下，两行共享 x / title above body, both share x
+                text.select('.annotation-note-title').text(d.spec.title || '');
+                text.select('.annotation-note-body')
+                    .attr('dy', d.spec.title ? '1.2em' : 0)
+                    .text(d.spec.label || '');
+                move(text.selectAll('tspan')).attr('x', geo.labelAt[0]);
+                move(text).attr('y', geo.labelAt[1] - (d.spec.title && d.spec.label ? 14 : 0));
+            } else {
+                text.text(d.spec.label || '');
+                move(text)
+                    .attr('x', geo.labelAt[0])
+                    .attr('y', geo.labelAt[1]);
+            }
+        });
+    }
+
+    /**
+     * @brief 对外暴露的 ChartAnnotations 模块 API
+     *        Public ChartAnnotations module API.
+     */
+    const api = {
+        /** @brief 支持的注释类型 / Supported annotation types. */
+        TYPES: ANNOTATION_TYPES,
+
+        /** @brief 绘制或更新注释层 / Render or update an annotation layer. */
+        render: renderAnnotations
+    };
+
+    global.ChartAnnotations = api;
+
+})(this);
@@ -0,0 +1,373 @@
+// chartExport.js
+
+/**
+ * @brief 图表导出：把页面上的 SVG 图表存为独立 SVG 或 PNG，或把图表背后的数据存为 CSV / JSON（两个系列共用）
+ *        Chart export: save an on-page SVG chart as a standalone SVG or PNG, or the data behind
+ *        it as CSV / JSON (used by both series).
+ *
+ * @note zh-CN:
+ *  图表的外观来自 css/style.css（包括 CSS 变量与依赖父元素的选择器），直接序列化 SVG 会丢失这些样式。
+ *  导出时逐个元素读取计算样式，把与 SVG 绘制相关的属性写进 style 属性，因此离开页面也能原样显示。
+ *  导出结果在图表上方加标题、下方加数据来源脚注；PNG 通过 canvas 按 1x / 2x / 3x 栅格化。
+ *
+ * @note en-US:
+ *  Charts are styled by css/style.css (custom properties and selectors that depend on ancestors
+ *  included), which a plain serialization loses. Export reads each element's computed style and
+ *  writes the SVG-relevant properties into its style attribute, so the file looks the same off
+ *  the page. The output adds a title above the chart and a data-source footer below it; PNG is
+ *  rasterized through a canvas at 1x / 2x / 3x.
+ *
+ * @example
+ *   ChartExport.downloadSvg(svgNode, { title: '微信 · 合计', source: 'data/app_usage.csv', filename: 'wechat' });
+ *   ChartExport.downloadPng(svgNode, { title: '微信 · 合计', scale: 2, filename: 'wechat' });
+ *   ChartExport.downloadCsv(FinanceSeries2.exportTable(chart.exportData()), 'finance');
+ */
+(function (global) {
+    'use strict';
+
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    /**
+     * @brief 可选的 PNG 倍率 / Available PNG scales.
+     *
+     * @type {number[]}
+     */
+    const SCALES = [1, 2, 3];
+
+    /**
+     * @brief 写进 style 属性的计算样式（只取影响 SVG 绘制的属性）
+     *        Computed styles written into the style attribute (only those that affect SVG painting).
+     *
+     * @type {string[]}
+     */
+    const STYLE_PROPERTIES = [
+        'display',
+        'visibility',
+        'opacity',
+        'fill',
+        'fill-opacity',
+        'stroke',
+        'stroke-width',
+        'stroke-opacity',
+        'stroke-dasharray',
+        'stroke-linecap',
+        'stroke-linejoin',
+        'font-family',
+        'font-size',
+        'font-weight',
+        'font-style',
+        'letter-spacing',
+        'text-anchor',
+        'dominant-baseline',
+        'alignment-baseline',
+        'paint-order'
+    ];
+
+    /**
+     * @brief 标题栏与脚注栏高度（像素）/ Title band and footer band heights (px).
+     *
+     * @type {number}
+     */
+    const TITLE_HEIGHT = 36;
+    const FOOTER_HEIGHT = 26;
+
+    /**
+     * @brief 读取 SVG 的尺寸：优先 viewBox，其次 width / height 属性
+     *        Read an SVG's size: the viewBox first, then the width / height attributes.
+     *
+     * @param {SVGSVGElement} svgNode
+     *        图表 SVG / Chart SVG.
+     * @return {{width: number, height: number}}
+     */
+    function svgSize(svgNode) {
+        const viewBox = (svgNode.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+        if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+            return { width: viewBox[2], height: viewBox[3] };
+        }
+        return {
+            width: parseFloat(svgNode.getAttribute('width')) || 0,
+            height: parseFloat(svgNode.getAttribute('height')) || 0
+        };
+    }
+
+    /**
+     * @brief 第一个有背景色的祖先的背景 / Background of the first ancestor that has one.
+     *
+     * @param {Element} node
+     *        起点元素 / Starting element.
+     * @return {string}
+     */
+    function resolveBackground(node) {
+        for (let el = node; el && el.nodeType === 1; el = el.parentNode) {
+            const color = global.getComputedStyle(el).backgroundColor;
+            if (color && color !== 'transparent' && !/rgba\(.*,\s*0\)$/.test(color)) {
+                return color;
+            }
+        }
+        // 找不到时用当前主题的底色 / fall back to the current theme's backdrop
+        return ChartTheme.tokens().background;
+    }
+
+    /**
+     * @brief 把页面元素的计算样式写进克隆元素的 style 属性
+     *        Copy the live elements' computed styles into the clones' style attributes.
+     *
+     * @param {Element} liveRoot
+     *        页面上的 SVG / SVG on the page.
+     * @param {Element} cloneRoot
+     *        它的深拷贝 / Its deep clone.
+     *
+     * @note 两棵树结构相同，querySelectorAll 的顺序一一对应。
+     *       Both trees have the same structure, so querySelectorAll orders match one to one.
+     */
+    function inlineStyles(liveRoot, cloneRoot) {
+        const live = [liveRoot].concat(Array.from(liveRoot.querySelectorAll('*')));
+        const clones = [cloneRoot].concat(Array.from(cloneRoot.querySelectorAll('*')));
+        live.forEach(function (el, index) {
+            const computed = global.getComputedStyle(el);
+            const declarations = STYLE_PROPERTIES
+                .map(function (name) {
+                    const value = computed.getPropertyValue(name);
+                    return value ? name + ':' + value : null;
+                })
+                .filter(Boolean);
+            const own = clones[index].getAttribute('style');
+            clones[index].setAttribute('style', declarations.join(';') + (own ? ';' + own : ''));
+        });
+    }
+
+    /**
+     * @brief 生成带标题与脚注的独立 SVG 元素
+     *        Build a standalone SVG element with a title and a footer.
+     *
+     * @param {SVGSVGElement} svgNode
+     *        图表 SVG / Chart SVG.
+     * @param {Object} [options]
+     *        { title, source, background }
+     * @return {{node: SVGSVGElement, width: number, height: number}}
+     */
+    function compose(svgNode, options) {
+        const opts = options || {};
+        if (!svgNode || String(svgNode.nodeName).toLowerCase() !== 'svg') {
+            throw new Error('ChartExport: 需要一个 SVG 元素 / an SVG element is required.');
+        }
+        const size = svgSize(svgNode);
+        const titleHeight = opts.title ? TITLE_HEIGHT : 0;
+        const footerHeight = opts.source ? FOOTER_HEIGHT : 0;
+        const width = size.width;
+        const height = titleHeight + size.height + footerHeight;
+        const textColor = global.getComputedStyle(svgNode).color || ChartTheme.tokens().text;
+
+        const doc = svgNode.ownerDocument;
+        const root = doc.createElementNS(SVG_NS, 'svg');
+        root.setAttribute('width', width);
+        root.setAttribute('height', height);
+        root.setAttribute('viewBox', '0 0 ' + width + ' ' + height);
+
+        const background = doc.createElementNS(SVG_NS, 'rect');
+        background.setAttribute('width', width);
+        background.setAttribute('height', height);
+        background.setAttribute('fill', opts.background || resolveBackground(svgNode));
+        root.appendChild(background);
+
+        if (opts.title) {
+            const title = doc.createElementNS(SVG_NS, 'text');
+            title.setAttribute('x', 16);
+            title.setAttribute('y', 24);
+            title.setAttribute('style', 'fill:' + textColor + ';font-family:sans-serif;font-size:15px;font-weight:600');
+            title.textContent = opts.title;
+            root.appendChild(title);
+        }
+
+        const chart = svgNode.cloneNode(true);
+        inlineStyles(svgNode, chart);
+        chart.setAttribute('x', 0);
+        chart.setAttribute('y', titleHeight);
+        chart.setAttribute('width', size.width);
+        chart.setAttribute('height', size.height);
+        chart.style.removeProperty('max-width');
+        root.appendChild(chart);
+
+        if (opts.source) {
+            const footer = doc.createElementNS(SVG_NS, 'text');
+            footer.setAttribute('x', 16);
+            footer.setAttribute('y', height - 9);
+            footer.setAttribute('style', 'fill:' + textColor + ';opacity:0.7;font-family:sans-serif;font-size:11px');
+            footer.textContent = '数据来源 / Source: ' + opts.source;
+            root.appendChild(footer);
+        }
+
+        return { node: root, width: width, height: height };
+    }
+
+    /**
+     * @brief 序列化为独立 SVG 文本 / Serialize to standalone SVG text.
+     *
+     * @param {SVGSVGElement} svgNode
+     *        图表 SVG / Chart SVG.
+     * @param {Object} [options]
+     *        { title, source, background }
+     * @return {string}
+     */
+    function serialize(svgNode, options) {
+        const composed = compose(svgNode, options);
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            new global.XMLSerializer().serializeToString(composed.node);
+    }
+
+    /**
+     * @brief 以文件形式下载 Blob / Download a Blob as a file.
+     *
+     * @param {Blob} blob
+     *        文件内容 / File content.
+     * @param {string} filename
+     *        文件名 / File name.
+     */
+    function downloadBlob(blob, filename) {
+        const url = global.URL.createObjectURL(blob);
+        const link = global.document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        global.document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // 让浏览器先开始下载再释放 / let the download start before revoking
+        global.setTimeout(function () { global.URL.revokeObjectURL(url); }, 0);
+    }
+
+    /**
+     * @brief 下载独立 SVG / Download a standalone SVG.
+     *
+     * @param {SVGSVGElement} svgNode
+     *        图表 SVG / Chart SVG.
+     * @param {Object} [options]
+     *        { title, source, background, filename }（filename 不含扩展名 / without extension）
+     */
+    function downloadSvg(svgNode, options) {
+        const opts = options || {};
+        const blob = new global.Blob([serialize(svgNode, opts)], { type: 'image/svg+xml;charset=utf-8' });
+        downloadBlob(blob, (opts.filename || 'chart') + '.svg');
+    }
+
+    /**
+     * @brief 通过 canvas 栅格化为 PNG
+     *        Rasterize to PNG through a canvas.
+     *
+     * @param {SVGSVGElement} svgNode
+     *        图表 SVG / Chart SVG.
+     * @param {Object} [options]
+     *        { title, source, background, scale }；scale 为 SCALES 之一，默认 1 /
+     *        scale is one of SCALES, 1 by default.
+     * @return {Promise<Blob>}
+     */
+    function toPng(svgNode, options) {
+        const opts = options || {};
+        const scale = opts.scale || 1;
+        if (SCALES.indexOf(scale) === -1) {
+            return Promise.reject(new Error('ChartExport: 不支持的倍率 / unsupported scale ' + scale + '.'));
+        }
+        const composed = compose(svgNode, opts);
+        const text = new global.XMLSerializer().serializeToString(composed.node);
+
+        return new Promise(function (resolve, reject) {
+            const image = new global.Image();
+            image.onload = function () {
+                const canvas = global.document.createElement('canvas');
+                canvas.width = Math.round(composed.width * scale);
+                canvas.height = Math.round(composed.height * scale);
+                const context = canvas.getContext('2d');
+                context.drawImage(image, 0, 0, canvas.width, canvas.height);
+                canvas.toBlob(function (blob) {
+                    if (blob) {
+                        resolve(blob);
+                    } else {
+                        reject(new Error('ChartExport: PNG 编码失败 / PNG encoding failed.'));
+                    }
+                }, 'image/png');
+            };
+            image.onerror = function () {
+                reject(new Error('ChartExport: SVG 无法栅格化 / could not rasterize the SVG.'));
+            };
+            image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(text);
+        });
+    }
+
+    /**
+     * @brief 下载 PNG / Download a PNG.
+     *
+     * @param {SVGSVGElement} svgNode
+     *        图表 SVG / Chart SVG.
+     * @param {Object} [options]
+     *        { title, source, background, scale, filename }
+     * @return {Promise<void>}
+     */
+    function downloadPng(svgNode, options) {
+        const opts = options || {};
+        const scale = opts.scale || 1;
+        return toPng(svgNode, opts).then(function (blob) {
+            downloadBlob(blob, (opts.filename || 'chart') + (scale > 1 ? '@' + scale + 'x' : '') + '.png');
+        });
+    }
+
+    /**
+     * @brief 下载 CSV / Download a CSV.
+     *
+     * @param {{columns: string[], rows: Object[]}} table
+     *        表格（见各系列的 exportTable）/ Table (see each series' exportTable).
+     * @param {string} filename
+     *        文件名（不含扩展名）/ File name without extension.
+     *
+     * @note 带 UTF-8 BOM，Excel 打开中文列名与应用名时不会乱码。
+     *       Written with a UTF-8 BOM so Excel shows Chinese headers and app names correctly.
+     */
+    function downloadCsv(table, filename) {
+        const text = '\ufeff' + d3.csvFormat(table.rows, table.columns);
+        downloadBlob(new global.Blob([text], { type: 'text/csv;charset=utf-8' }), (filename || 'data') + '.csv');
+    }
+
+    /**
+     * @brief 下载 JSON / Download a JSON file.
+     *
+     * @param {Object} data
+     *        可 JSON 序列化的数据（见各系列的 exportData）/ JSON-serializable data (see each series' exportData).
+     * @param {string} filename
+     *        文件名（不含扩展名）/ File name without extension.
+     */
+    function downloadJson(data, filename) {
+        const text = JSON.stringify(data, null, 2);
+        downloadBlob(new global.Blob([text], { type: 'application/json' }), (filename || 'data') + '.json');
+    }
+
+    /**
+     * @brief 对外暴露的 ChartExport 模块 API
+     *        Public ChartExport module API.
+     */
+    const api = {
+        /** @brief 可选的 PNG 倍率 / Available PNG scales. */
+        SCALES: SCALES,
+
+        /** @brief 序列化为独立 SVG 文本 / Serialize to standalone SVG text. */
+        serialize: serialize,
+
+        /** @brief 下载独立 SVG / Download a standalone SVG. */
+        downloadSvg: downloadSvg,
+
+        /** @brief 栅格化为 PNG Blob / Rasterize to a PNG Blob. */
+        toPng: toPng,
+
+        /** @brief 下载 PNG / Download a PNG. */
+        downloadPng: downloadPng,
+
+        /** @brief 下载 CSV / Download a CSV. */
+        downloadCsv: downloadCsv,
+
+        /** @brief 下载 JSON / Download a JSON file. */
+        downloadJson: downloadJson,
+
+        /** @brief 以文件形式下载 Blob / Download a Blob as a file. */
+        downloadBlob: downloadBlob
+    };
+
+    global.ChartExport = api;
+
+})(this);
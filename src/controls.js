@@ -0,0 +1,501 @@
+// controls.js
+
+/**
+ * @brief 页面交互控件模块（与具体图表无关的 UI 组件）
+ *        Page UI controls module (chart-agnostic widgets).
+ *
+ * @note 控件只负责收集用户选择并通过回调通知调用方，不直接调用任何图表模块。
+ *       Controls only collect user choices and report them via callbacks;
+ *       they never call chart modules directly.
+ */
+(function (global) {
+    'use strict';
+
+    /**
+     * @brief 分钟数的展示格式 / Display format for minutes.
+     *
+     * @type {Function}
+     */
+    const formatMinutes = d3.format(',.0f');
+
+    /**
+     * @brief 创建可搜索的多选 App 选择器
+     *        Create a searchable multi-select app picker.
+     *
+     * @param {string} containerSelector
+     *        挂载容器选择器 / Mount container selector.
+     * @param {Object} options
+     *        配置 / Options:
+     *        - apps: {name, packageName, total}[]，按总时长降序 / sorted by total desc
+     *        - selected: string[]，初始选中的应用 / initially selected app names
+     *        - onChange: function(string[])，选择变化时回调（按列表顺序）/
+     *          called with selected names (in list order) whenever selection changes
+     * @return {Object}
+     *         { setApps(apps, selected), getSelected(), destroy() }
+     */
+    function createAppPicker(containerSelector, options) {
+        const opts = options || {};
+        const onChange = typeof opts.onChange === 'function' ? opts.onChange : function () { };
+
+        /** @type {{name: string, packageName: string, total: number}[]} */
+        let apps = opts.apps || [];
+        /** @type {Set<string>} */
+        let selected = new Set(opts.selected || []);
+        let query = '';
+
+        const root = d3.select(containerSelector)
+            .append('div')
+            .attr('class', 'app-picker');
+
+        const head = root.append('div').attr('class', 'app-picker-head');
+
+        const search = head.append('input')
+            .attr('type', 'search')
+            .attr('class', 'app-picker-search')
+            .attr('placeholder', '搜索应用名称或包名… / Search app or package…')
+            .attr('aria-label', '搜索应用 / Search apps')
+            .on('input', function () {
+                query = this.value.trim().toLowerCase();
+                renderList();
+            });
+
+        const count = head.append('span').attr('class', 'app-picker-count');
+
+        head.append('button')
+            .attr('type', 'button')
+            .attr('class', 'app-picker-clear')
+            .text('清空 / Clear')
+            .on('click', function () {
+                selected = new Set();
+                renderList();
+                notify();
+            });
+
+        const list = root.append('ul')
+            .attr('class', 'app-picker-list')
+            .attr('role', 'listbox')
+            .attr('aria-multiselectable', 'true');
+
+        /**
+         * @brief 以列表顺序返回已选应用 / Return selected names in list order.
+         *
+         * @return {string[]}
+         */
+        function getSelected() {
+            return apps
+                .filter(function (d) { return selected.has(d.name); })
+                .map(function (d) { return d.name; });
+        }
+
+        function notify() {
+            onChange(getSelected());
+        }
+
+        function matches(d) {
+            return !query ||
+                d.name.toLowerCase().indexOf(query) !== -1 ||
+                String(d.packageName || '').toLowerCase().indexOf(query) !== -1;
+        }
+
+        function renderList() {
+            const visible = apps.filter(matches);
+
+            count.text('已选 ' + selected.size + ' / ' + apps.length);
+
+            const items = list.selectAll('li.app-picker-option')
+                .data(visible, function (d) { return d.name; })
+                .join(function (enter) {
+                    const li = enter.append('li')
+                        .attr('class', 'app-picker-option')
+                        .attr('role', 'option');
+                    const label = li.append('label');
+                    label.append('input')
+                        .attr('type', 'checkbox')
+                        .on('change', function (event, d) {
+                            if (this.checked) {
+                                selected.add(d.name);
+                            } else {
+                                selected.delete(d.name);
+                            }
+                            renderList();
+                            notify();
+                        });
+                    const text = label.append('span').attr('class', 'app-picker-text');
+                    text.append('span').attr('class', 'app-picker-name');
+                    text.append('span').attr('class', 'app-picker-package');
+                    label.append('span').attr('class', 'app-picker-total');
+                    return li;
+                });
+
+            // 保持与数据相同的顺序（按总时长降序）/ keep DOM order in sync with data order
+            items.order();
+
+            items
+                .classed('is-selected', function (d) { return selected.has(d.name); })
+                .attr('aria-selected', function (d) { return selected.has(d.name); });
+            items.select('input')
+                .property('checked', function (d) { return selected.has(d.name); });
+            items.select('.app-picker-name')
+                .text(function (d) { return d.name; });
+            items.select('.app-picker-package')
+                .text(function (d) { return d.packageName || ''; });
+            items.select('.app-picker-total')
+                .text(function (d) { return formatMinutes(d.total) + ' min'; });
+        }
+
+        /**
+         * @brief 替换候选应用列表（例如导入新数据后）
+         *        Replace the candidate app list (e.g. after importing new data).
+         *
+         * @param {{name: string, packageName: string, total: number}[]} nextApps
+         *        新的候选列表 / New candidates.
+         * @param {string[]} [nextSelected]
+         *        新的选中集合；省略时保留仍然存在的旧选择 /
+         *        New selection; keeps still-available previous picks when omitted.
+         */
+        function setApps(nextApps, nextSelected) {
+            apps = nextApps || [];
+            const available = new Set(apps.map(function (d) { return d.name; }));
+            const base = nextSelected || Array.from(selected);
+            selected = new Set(base.filter(function (name) { return available.has(name); }));
+            renderList();
+        }
+
+        function destroy() {
+            root.remove();
+        }
+
+        search.property('value', '');
+        renderList();
+
+        return {
+            setApps: setApps,
+            getSelected: getSelected,
+            destroy: destroy
+        };
+    }
+
+    /**
+     * @brief 创建分段按钮组（单选）
+     *        Create a segmented button group (single choice).
+     *
+     * @param {string|Element} containerSelector
+     *        挂载容器选择器或元素 / Mount container selector or element.
+     * @param {Object} options
+     *        配置 / Options:
+     *        - label: string，控件标题 / control caption
+     *        - options: {value, label, title?}[]，可选项 / choices
+     *        - value: 初始值 / initial value
+     *        - onChange: function(value)，值变化时回调 / called when value changes
+     * @return {Object}
+     *         { setValue(value), setDisabled(values), getValue(), destroy() }
+     */
+    function createSegmented(containerSelector, options) {
+        const opts = options || {};
+        const onChange = typeof opts.onChange === 'function' ? opts.onChange : function () { };
+        let value = opts.value;
+
+        const root = d3.select(containerSelector)
+            .append('div')
+            .attr('class', 'control-group');
+
+        if (opts.label) {
+            root.append('span')
+                .attr('class', 'control-label')
+                .text(opts.label);
+        }
+
+        const group = root.append('div')
+            .attr('class', 'segmented')
+            .attr('role', 'radiogroup');
+
+        const buttons = group.selectAll('button')
+            .data(opts.options || [])
+            .join('button')
+            .attr('type', 'button')
+            .attr('class', 'segmented-option')
+            .attr('role', 'radio')
+            .attr('title', function (d) { return d.title || null; })
+            .text(function (d) { return d.label; })
+            .on('click', function (event, d) {
+                if (d.value === value || this.disabled) return;
+                value = d.value;
+                refresh();
+                onChange(value);
+            });
+
+        function refresh() {
+            buttons
+                .classed('is-active', function (d) { return d.value === value; })
+                .attr('aria-checked', function (d) { return d.value === value; });
+        }
+
+        /**
+         * @brief 设置当前值（不触发回调）/ Set current value (does not fire onChange).
+         *
+         * @param {*} next 新值 / New value.
+         */
+        function setValue(next) {
+            value = next;
+            refresh();
+        }
+
+        /**
+         * @brief 禁用指定选项（其余选项恢复可用）/ Disable the given options (the others are re-enabled).
+         *
+         * @param {Array} values 要禁用的值 / Values to disable.
+         */
+        function setDisabled(values) {
+            const disabled = new Set(values || []);
+            buttons
+                .property('disabled', function (d) { return disabled.has(d.value); })
+                .attr('aria-disabled', function (d) { return disabled.has(d.value) ? 'true' : null; });
+        }
+
+        refresh();
+
+        return {
+            setValue: setValue,
+            setDisabled: setDisabled,
+            getValue: function () { return value; },
+            destroy: function () { root.remove(); }
+        };
+    }
+
+    /**
+     * @brief 创建动作按钮组（每次点击都触发，不保留选中状态）
+     *        Create an action button group (fires on every click, keeps no selection).
+     *
+     * @param {string|Element} containerSelector
+     *        挂载容器选择器或元素 / Mount container selector or element.
+     * @param {Object} options
+     *        配置 / Options:
+     *        - label: string，控件标题 / control caption
+     *        - actions: {value, label, title?}[]，按钮 / buttons
+     *        - onAction: function(value)，点击时回调 / called on click
+     * @return {Object}
+     *         { destroy() }
+     */
+    function createActionGroup(containerSelector, options) {
+        const opts = options || {};
+        const onAction = typeof opts.onAction === 'function' ? opts.onAction : function () { };
+
+        const root = d3.select(containerSelector)
+            .append('div')
+            .attr('class', 'control-group action-group');
+
+        if (opts.label) {
+            root.append('span')
+                .attr('class', 'control-label')
+                .text(opts.label);
+        }
+
+        root.append('div')
+            .attr('class', 'segmented')
+            .attr('role', 'group')
+            .selectAll('button')
+            .data(opts.actions || [])
+            .join('button')
+            .attr('type', 'button')
+            .attr('class', 'segmented-option')
+            .attr('title', function (d) { return d.title || null; })
+            .text(function (d) { return d.label; })
+            .on('click', function (event, d) {
+                onAction(d.value);
+            });
+
+        return {
+            destroy: function () { root.remove(); }
+        };
+    }
+
+    /**
+     * @brief 日期筛选预设 / Day filter presets.
+     *
+     * @type {{value: string, label: string}[]}
+     */
+    const DAY_FILTER_PRESETS = [
+        { value: 'all', label: '全部 / All' },
+        { value: 'weekdays', label: '工作日 / Weekdays' },
+        { value: 'weekends', label: '周末 / Weekends' }
+    ];
+
+    /**
+     * @brief 创建日期筛选控件：预设（全部 / 工作日 / 周末）+ 单日切换
+     *        Create a day filter: presets (all / weekdays / weekends) + per-day toggles.
+     *
+     * @param {string|Element} containerSelector
+     *        挂载容器选择器或元素 / Mount container selector or element.
+     * @param {Object} options
+     *        配置 / Options:
+     *        - days: {date, label, weekend}[]，可选日期（升序）/ available dates (ascending)
+     *        - value: {mode, dates}，初始筛选条件 / initial filter
+     *        - onChange: function({mode, dates})，筛选变化时回调 / called when filter changes
+     * @return {Object}
+     *         { setDays(days, value), getValue(), destroy() }
+     *
+     * @note 点击单日会切换为 custom 模式；最后一天不能被取消，匹配不到任何日期的预设
+     *       （例如没有周末的导出中的「周末」）被禁用，避免出现空筛选。
+     *       Toggling a single day switches to custom mode; the last day cannot be
+     *       deselected, and presets that match no day (e.g. "weekends" in an export without
+     *       weekend dates) are disabled, so the filter never becomes empty.
+     */
+    function createDayFilter(containerSelector, options) {
+        const opts = options || {};
+        const onChange = typeof opts.onChange === 'function' ? opts.onChange : function () { };
+
+        /** @type {{date: string, label: string, weekend: boolean}[]} */
+        let days = opts.days || [];
+        let value = fitPreset(normalize(opts.value));
+
+        const root = d3.select(containerSelector)
+            .append('div')
+            .attr('class', 'day-filter');
+
+        const presets = createSegmented(root.node(), {
+            label: '日期 / Days',
+            options: DAY_FILTER_PRESETS,
+            value: value.mode,
+            onChange: function (mode) {
+                value = { mode: mode, dates: [] };
+                renderChips();
+                notify();
+            }
+        });
+
+        const chips = root.append('div').attr('class', 'day-chips');
+
+        function normalize(v) {
+            return {
+                mode: v && v.mode ? v.mode : 'all',
+                dates: v && v.dates ? v.dates.slice() : []
+            };
+        }
+
+        /**
+         * @brief 匹配某个预设的日期数 / Number of days a preset matches.
+         *
+         * @param {string} mode 预设值 / Preset value.
+         * @return {number}
+         */
+        function presetSize(mode) {
+            return days.filter(function (d) {
+                if (mode === 'weekdays') return !d.weekend;
+                if (mode === 'weekends') return d.weekend;
+                return true;
+            }).length;
+        }
+
+        /**
+         * @brief 预设匹配不到任何日期时回到「全部」/ Fall back to "all" when a preset matches no day.
+         *
+         * @param {{mode: string, dates: string[]}} v
+         * @return {{mode: string, dates: string[]}}
+         */
+        function fitPreset(v) {
+            if ((v.mode === 'weekdays' || v.mode === 'weekends') && presetSize(v.mode) === 0) {
+                return { mode: 'all', dates: [] };
+            }
+            return v;
+        }
+
+        function notify() {
+            onChange({ mode: value.mode, dates: value.dates.slice() });
+        }
+
+        /**
+         * @brief 当前筛选条件下生效的日期 / Dates active under the current filter.
+         *
+         * @return {Set<string>}
+         */
+        function activeSet() {
+            return new Set(days.filter(function (d) {
+                if (value.mode === 'weekdays') return !d.weekend;
+                if (value.mode === 'weekends') return d.weekend;
+                if (value.mode === 'custom') return value.dates.indexOf(d.date) !== -1;
+                return true;
+            }).map(function (d) { return d.date; }));
+        }
+
+        function renderChips() {
+            const active = activeSet();
+            presets.setValue(value.mode === 'custom' ? null : value.mode);
+            // 「全部」始终可用 / "all" stays available
+            presets.setDisabled(['weekdays', 'weekends'].filter(function (mode) {
+                return presetSize(mode) === 0;
+            }));
+
+            chips.selectAll('button.day-chip')
+                .data(days, function (d) { return d.date; })
+                .join('button')
+                .attr('type', 'button')
+                .attr('class', 'day-chip')
+                .classed('is-weekend', function (d) { return d.weekend; })
+                .classed('is-active', function (d) { return active.has(d.date); })
+                .attr('aria-pressed', function (d) { return active.has(d.date); })
+                .text(function (d) { return d.label; })
+                .on('click', function (event, d) {
+                    const next = activeSet();
+                    if (next.has(d.date)) {
+                        if (next.size === 1) return;
+                        next.delete(d.date);
+                    } else {
+                        next.add(d.date);
+                    }
+                    value = {
+                        mode: next.size === days.length ? 'all' : 'custom',
+                        dates: next.size === days.length ? [] : days
+                            .map(function (x) { return x.date; })
+                            .filter(function (date) { return next.has(date); })
+                    };
+                    renderChips();
+                    notify();
+                });
+        }
+
+        /**
+         * @brief 替换可选日期（例如导入新数据后），不触发回调
+         *        Replace the available dates (e.g. after importing data); does not fire onChange.
+         *
+         * @param {{date: string, label: string, weekend: boolean}[]} nextDays
+         *        新的日期列表 / New dates.
+         * @param {Object} [nextValue]
+         *        新的筛选条件，省略时保留当前条件；匹配不到日期的预设回到「全部」/
+         *        New filter, keeps the current one when omitted; a preset matching no day falls back to "all".
+         */
+        function setDays(nextDays, nextValue) {
+            days = nextDays || [];
+            value = fitPreset(nextValue ? normalize(nextValue) : value);
+            renderChips();
+        }
+
+        renderChips();
+
+        return {
+            setDays: setDays,
+            getValue: function () { return { mode: value.mode, dates: value.dates.slice() }; },
+            destroy: function () { root.remove(); }
+        };
+    }
+
+    /**
+     * @brief 对外暴露的 UIControls 模块 API
+     *        Public UIControls module API.
+     */
+    const api = {
+        /** @brief 可搜索多选 App 选择器 / Searchable multi-select app picker. */
+        createAppPicker: createAppPicker,
+
+        /** @brief 分段按钮组 / Segmented button group. */
+        createSegmented: createSegmented,
+
+        /** @brief 动作按钮组 / Action button group. */
+        createActionGroup: createActionGroup,
+
+        /** @brief 日期筛选（预设 + 单日切换）/ Day filter (presets + per-day toggles). */
+        createDayFilter: createDayFilter
+    };
+
+    global.UIControls = api;
+
+})(this);
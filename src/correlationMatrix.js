@@ -0,0 +1,445 @@
+// correlationMatrix.js
+
+/**
+ * @brief 资产相关性矩阵（系列 2 的配套图表）
+ *        Asset correlation matrix (companion chart to Series 2).
+ *
+ * @note zh-CN:
+ *  取各资产每个自然年最后一个点，计算相邻两年的对数收益 ln(p_t / p_{t-1})，两两求 Pearson 相关系数，
+ *  并以热力图矩阵展示。资产注册表与颜色和 FinanceSeries2 共用；点击格子通过
+ *  onCellClick 回调交给 main.js，在主图中高亮这两条折线。
+ *
+ * @note en-US:
+ *  Takes each asset's last point of every calendar year, computes annual log returns
+ *  ln(p_t / p_{t-1}) between consecutive years, takes pairwise
+ *  Pearson correlations and draws them as a heatmap matrix. The asset registry and colors are
+ *  shared with FinanceSeries2; clicking a cell hands the pair to main.js through onCellClick,
+ *  which highlights both lines in the main chart.
+ */
+(function (global) {
+    'use strict';
+
+    /**
+     * @brief 默认配置
+     *        Default configuration.
+     *
+     * @type {Object}
+     */
+    const DEFAULT_CONFIG = {
+        width: 280,
+        height: 280,
+        marginTop: 40,
+        marginRight: 12,
+        marginBottom: 12,
+        marginLeft: 64,
+        /**
+         * @brief 资产注册表；null 时使用 FinanceSeries2.DEFAULT_ASSETS
+         *        Asset registry; null uses FinanceSeries2.DEFAULT_ASSETS.
+         */
+        assets: null,
+        /**
+         * @brief 日期列名（同 FinanceSeries2）/ Date column (same as FinanceSeries2).
+         */
+        dateColumn: null,
+        /**
+         * @brief 计算相关系数所需的最少共同年数，不足时格子显示为空
+         *        Fewest overlapping years needed for a coefficient; fewer leaves the cell empty.
+         */
+        minYears: 3,
+        /**
+         * @brief 选中的资产对 [rowKey, colKey]；null 表示未选中
+         *        Selected asset pair [rowKey, colKey]; null when nothing is selected.
+         */
+        selected: null,
+        /**
+         * @brief 点击格子后的回调 function([rowKey, colKey] | null)；再次点击同一格子时为 null
+         *        Called after a cell click; null when the same cell is clicked again.
+         */
+        onCellClick: null,
+        /**
+         * @brief 更新时的过渡时长（毫秒）
+         *        Transition duration on update (ms).
+         */
+        transitionDuration: 400
+    };
+
+    /**
+     * @brief 将用户配置合并进默认配置
+     *        Merge user configuration with default configuration.
+     *
+     * @param {Object} userOptions
+     *        用户设置 / User options.
+     * @return {Object}
+     *         合并结果 / Merged configuration.
+     */
+    function mergeConfig(userOptions) {
+        const cfg = Object.assign({}, DEFAULT_CONFIG);
+        if (!userOptions) {
+            return cfg;
+        }
+        Object.keys(userOptions).forEach(function (k) {
+            if (Object.prototype.hasOwnProperty.call(cfg, k)) {
+                cfg[k] = userOptions[k];
+            }
+        });
+        return cfg;
+    }
+
+    /**
+     * @brief Pearson 相关系数 / Pearson correlation coefficient.
+     *
+     * @param {number[]} xs
+     * @param {number[]} ys
+     *        等长数组 / Arrays of equal length.
+     * @return {number|null}
+     *         任一序列方差为 0 时为 null / null when either series has zero variance.
+     */
+    function pearson(xs, ys) {
+        const mx = d3.mean(xs);
+        const my = d3.mean(ys);
+        let sxy = 0;
+        let sxx = 0;
+        let syy = 0;
+        xs.forEach(function (x, i) {
+            const dx = x - mx;
+            const dy = ys[i] - my;
+            sxy += dx * dy;
+            sxx += dx * dx;
+            syy += dy * dy;
+        });
+        return sxx === 0 || syy === 0 ? null : sxy / Math.sqrt(sxx * syy);
+    }
+
+    /**
+     * @brief 年度对数收益：每个自然年取最后一个点，与上一自然年的最后一个点比较
+     *        Annual log returns: the last point of each calendar year vs the last point of the previous one.
+     *
+     * @param {Object[]} points
+     *        按日期升序的点（value 为价格）/ Points in date order (value is the price).
+     * @return {Map<number, number>}
+     *         年份 → ln(p_t / p_{t-1})；上一年缺失或价格非正时跳过该年 /
+     *         year → ln(p_t / p_{t-1}); years whose previous year is missing or whose prices aren't positive are skipped.
+     *
+     * @note 对数收益可加、对称，BTC 这类一年翻十倍的资产不会因简单收益的右偏而主导相关系数。
+     *       Log returns are additive and symmetric, so ten-fold years such as BTC's don't dominate
+     *       the coefficient through the skew of simple returns.
+     */
+    function annualLogReturns(points) {
+        const lastByYear = d3.rollup(
+            points,
+            function (group) { return group[group.length - 1].value; },
+            function (d) { return d.date.getUTCFullYear(); }
+        );
+        const returns = new Map();
+        lastByYear.forEach(function (price, year) {
+            const prev = lastByYear.get(year - 1);
+            if (prev > 0 && price > 0) {
+                returns.set(year, Math.log(price / prev));
+            }
+        });
+        return returns;
+    }
+
+    /**
+     * @brief 计算两两相关系数（同一自然年都有对数收益的年份才参与）
+     *        Compute pairwise correlations over the calendar years where both assets have a log return.
+     *
+     * @param {Object} seriesResult
+     *        FinanceSeries2.buildSeries 的结果 / Result of FinanceSeries2.buildSeries.
+     * @param {number} [minYears]
+     *        最少共同年数 / Fewest overlapping years.
+     * @return {{keys: string[], cells: {row: string, col: string, r: number|null, n: number}[]}}
+     *         cells 为 keys × keys 的全部格子（含对角线）/ every cell of keys × keys (diagonal included).
+     */
+    function computeCorrelations(seriesResult, minYears) {
+        const least = minYears != null ? minYears : DEFAULT_CONFIG.minYears;
+        const keys = Object.keys(seriesResult.series);
+        const returns = {};
+        keys.forEach(function (key) {
+            returns[key] = annualLogReturns(seriesResult.series[key]);
+        });
+
+        const cells = [];
+        keys.forEach(function (row) {
+            keys.forEach(function (col) {
+                const years = Array.from(returns[row].keys()).filter(function (year) {
+                    return returns[col].has(year);
+                });
+                const r = years.length >= least
+                    ? pearson(
+                        years.map(function (year) { return returns[row].get(year); }),
+                        years.map(function (year) { return returns[col].get(year); }))
+                    : null;
+                cells.push({ row: row, col: col, r: r, n: years.length });
+            });
+        });
+
+        return { keys: keys, cells: cells };
+    }
+
+    /**
+     * @brief 相关系数配色：-1 → 红，0 → 白，+1 → 蓝
+     *        Coefficient colors: -1 → red, 0 → white, +1 → blue.
+     *
+     * @type {Function}
+     */
+    const correlationColor = d3.scaleDiverging(d3.interpolateRdBu).domain([-1, 0, 1]);
+
+    const formatCorrelation = d3.format('+.2f');
+
+    /**
+     * @brief 同一资产对（不分顺序）/ Same asset pair, in either order.
+     *
+     * @param {string[]|null} pair
+     * @param {Object} cell
+     * @return {boolean}
+     */
+    function isPair(pair, cell) {
+        return !!pair &&
+            ((pair[0] === cell.row && pair[1] === cell.col) ||
+             (pair[0] === cell.col && pair[1] === cell.row));
+    }
+
+    /**
+     * @brief 创建相关性矩阵实例
+     *        Create a correlation matrix instance.
+     *
+     * @param {string|Element} containerSelector
+     *        容器选择器或元素 / Container selector or element.
+     * @param {Object} userOptions
+     *        用户配置 / User options.
+     * @return {Object}
+     *         { update(rows, options), select(pair), destroy() }
+     *
+     * @example
+     *   const matrix = FinanceCorrelation.create('#series2-correlation', {
+     *       onCellClick: function (pair) { financeChart.highlight(pair); }
+     *   });
+     *   matrix.update(data.finance);
+     */
+    function createCorrelationMatrix(containerSelector, userOptions) {
+        let cfg = mergeConfig(userOptions);
+        let assets = FinanceSeries2.resolveAssets(cfg.assets || FinanceSeries2.DEFAULT_ASSETS);
+        /** @type {Object[]|null} 最近一次 update 的数据行 / rows from the latest update */
+        let lastRows = null;
+
+        const svg = d3.select(containerSelector)
+            .append('svg')
+            .attr('class', 'correlation-matrix')
+            .attr('width', cfg.width)
+            .attr('height', cfg.height)
+            // viewBox 让窄屏下的侧栏能等比缩小矩阵 / lets a narrow side panel scale the matrix down
+            .attr('viewBox', '0 0 ' + cfg.width + ' ' + cfg.height)
+            .attr('role', 'group')
+            .attr('aria-label', '年度对数收益相关性 / Annual log-return correlation');
+        const g = svg.append('g')
+            .attr('transform', 'translate(' + cfg.marginLeft + ',' + cfg.marginTop + ')');
+
+        g.append('text')
+            .attr('class', 'correlation-title')
+            .attr('x', -cfg.marginLeft + 6)
+            .attr('y', -26)
+            .text('年度对数收益相关性 / Log-return correlation');
+
+        const colLabels = g.append('g').attr('class', 'correlation-labels correlation-col-labels');
+        const rowLabels = g.append('g').attr('class', 'correlation-labels correlation-row-labels');
+        const cellGroup = g.append('g').attr('class', 'correlation-cells');
+
+        const tooltip = ChartTooltip.shared();
+
+        /**
+         * @brief 点击格子：切换选中并通知调用方
+         *        Cell click: toggle the selection and notify the caller.
+         *
+         * @param {Object} cell
+         *        格子数据 / Cell datum.
+         */
+        function toggleCell(cell) {
+            const pair = isPair(cfg.selected, cell) ? null : [cell.row, cell.col];
+            select(pair);
+            if (typeof cfg.onCellClick === 'function') {
+                cfg.onCellClick(pair ? pair.slice() : null);
+            }
+        }
+
+        /**
+         * @brief 设置选中的资产对（不触发回调）
+         *        Set the selected asset pair (without calling back).
+         *
+         * @param {string[]|null} pair
+         *        [rowKey, colKey] 或 null / [rowKey, colKey] or null.
+         */
+        function select(pair) {
+            cfg = mergeConfig(Object.assign({}, cfg, { selected: pair }));
+            cellGroup.selectAll('g.correlation-cell')
+                .classed('is-selected', function (d) { return isPair(pair, d); });
+        }
+
+        /**
+         * @brief 按相关系数重绘矩阵 / Redraw the matrix from the coefficients.
+         *
+         * @param {Object} result
+         *        computeCorrelations 的结果 / Result of computeCorrelations.
+         */
+        function render(result) {
+            const innerWidth = cfg.width - cfg.marginLeft - cfg.marginRight;
+            const innerHeight = cfg.height - cfg.marginTop - cfg.marginBottom;
+            const size = Math.min(innerWidth, innerHeight);
+            const band = d3.scaleBand().domain(result.keys).range([0, size]).padding(0.06);
+            const duration = cfg.transitionDuration;
+
+            function asset(key) {
+                return assets.find(function (a) { return a.key === key; });
+            }
+
+            colLabels.selectAll('text')
+                .data(result.keys, function (d) { return d; })
+                .join('text')
+                .attr('x', function (d) { return band(d) + band.bandwidth() / 2; })
+                .attr('y', -8)
+                .attr('text-anchor', 'middle')
+                .attr('fill', function (d) { return asset(d).color; })
+                .text(function (d) { return d; });
+
+            const rows = rowLabels.selectAll('g.correlation-row-label')
+                .data(result.keys, function (d) { return d; })
+                .join(function (enter) {
+                    const row = enter.append('g').attr('class', 'correlation-row-label');
+                    row.append('rect').attr('width', 8).attr('height', 8).attr('rx', 2);
+                    row.append('text').attr('text-anchor', 'end');
+                    return row;
+                })
+                .attr('transform', function (d) {
+                    return 'translate(-8,' + (band(d) + band.bandwidth() / 2) + ')';
+                });
+            rows.select('rect')
+                .attr('x', -8)
+                .attr('y', -4)
+                .attr('fill', function (d) { return asset(d).color; });
+            rows.select('text')
+                .attr('x', -14)
+                .attr('dy', '0.35em')
+                .text(function (d) { return d; });
+
+            const cells = cellGroup.selectAll('g.correlation-cell')
+                .data(result.cells, function (d) { return d.row + '|' + d.col; })
+                .join(function (enter) {
+                    const cell = enter.append('g')
+                        .attr('class', 'correlation-cell')
+                        .attr('role', 'button')
+                        .attr('tabindex', 0)
+                        .on('click', function (event, d) { toggleCell(d); })
+                        .on('keydown', function (event, d) {
+                            if (event.key === 'Enter' || event.key === ' ') {
+                                event.preventDefault();
+                                toggleCell(d);
+                            }
+                        })
+                        .on('pointerenter pointermove', function (event, d) {
+                            tooltip.show(event, {
+                                title: asset(d.row).label + ' × ' + asset(d.col).label,
+                                subtitle: '年度对数收益相关系数 / Annual log-return correlation',
+                                rows: [
+                                    { label: 'r', value: d.r == null ? '—' : formatCorrelation(d.r) },
+                                    { label: '共同年数 / Years', value: String(d.n) }
+                                ],
+                                footer: d.r == null ? '共同年份不足 / Not enough overlapping years' : '点击在主图中高亮 / click to highlight in the main chart'
+                            });
+                        })
+                        .on('pointerleave', function () { tooltip.hide(); });
+                    cell.append('rect').attr('rx', 4);
+                    cell.append('text')
+                        .attr('text-anchor', 'middle')
+                        .attr('dy', '0.35em');
+                    return cell;
+                })
+                .attr('transform', function (d) {
+                    return 'translate(' + band(d.col) + ',' + band(d.row) + ')';
+                })
+                .attr('aria-label', function (d) {
+                    return d.row + ' × ' + d.col + ': ' + (d.r == null ? '—' : formatCorrelation(d.r));
+                })
+                .classed('is-empty', function (d) { return d.r == null; })
+                .classed('is-selected', function (d) { return isPair(cfg.selected, d); });
+
+            cells.select('rect')
+                .attr('width', band.bandwidth())
+                .attr('height', band.bandwidth())
+                .transition()
+                .duration(duration)
+                .attr('fill', function (d) { return d.r == null ? null : correlationColor(d.r); });
+            cells.select('text')
+                .attr('x', band.bandwidth() / 2)
+                .attr('y', band.bandwidth() / 2)
+                .classed('is-strong', function (d) { return d.r != null && Math.abs(d.r) > 0.6; })
+                .text(function (d) { return d.r == null ? '—' : formatCorrelation(d.r); });
+        }
+
+        /**
+         * @brief 用新数据 / 新配置更新矩阵
+         *        Update the matrix with new rows and/or options.
+         *
+         * @param {Object[]} rows
+         *        原始金融数据行（通常是 DataLoader 加载的 finance）/
+         *        Raw finance rows (usually DataLoader's finance dataset).
+         * @param {Object} [nextOptions]
+         *        需要覆盖的配置 / Options to override.
+         */
+        function update(rows, nextOptions) {
+            if (!Array.isArray(rows)) {
+                throw new Error('FinanceCorrelation: rows 必须是数组 / rows must be an array.');
+            }
+            if (nextOptions) {
+                cfg = mergeConfig(Object.assign({}, cfg, nextOptions));
+                assets = FinanceSeries2.resolveAssets(cfg.assets || FinanceSeries2.DEFAULT_ASSETS);
+            }
+            lastRows = rows;
+            render(computeCorrelations(FinanceSeries2.buildSeries(rows, assets, cfg.dateColumn), cfg.minYears));
+        }
+
+        // 切换主题后按新的资产配色重绘 / redraw in the new asset colors after a theme switch
+        const themeWatcher = ChartTheme.observe(function () {
+            if (!lastRows) return;
+            assets = FinanceSeries2.resolveAssets(cfg.assets || FinanceSeries2.DEFAULT_ASSETS);
+            update(lastRows);
+        });
+
+        /**
+         * @brief 销毁矩阵：中断过渡并移除 SVG
+         *        Destroy the matrix: interrupt transitions and remove the SVG.
+         */
+        function destroy() {
+            tooltip.hide();
+            themeWatcher.disconnect();
+            svg.selectAll('*').interrupt();
+            svg.remove();
+        }
+
+        return {
+            update: update,
+            select: select,
+            destroy: destroy
+        };
+    }
+
+    /**
+     * @brief 对外暴露的 FinanceCorrelation 模块 API
+     *        Public FinanceCorrelation module API.
+     */
+    const api = {
+        /** @brief 默认配置 / Default configuration. */
+        DEFAULT_CONFIG: DEFAULT_CONFIG,
+
+        /**
+         * @brief 创建相关性矩阵实例（create → update → destroy）
+         *        Create a correlation matrix instance (create → update → destroy).
+         */
+        create: createCorrelationMatrix,
+
+        /** @brief 两两相关系数（不绘图）/ Pairwise correlations (no drawing). */
+        compute: computeCorrelations
+    };
+
+    global.FinanceCorrelation = api;
+
+})(this);
@@ -0,0 +1,227 @@
+// dataLoader.js
+
+/**
+ * @brief 数据加载层：运行时抓取并解析 data/ 下的 CSV，按列类型做强制转换
+ *        Data-loading layer: fetches and parses the CSVs in data/ at runtime,
+ *        coercing each column to its declared type.
+ *
+ * @note 依赖 d3.csv（fetch），因此页面必须通过 HTTP server 访问。
+ *       Relies on d3.csv (fetch), so the page must be served over HTTP.
+ */
+(function (global) {
+    'use strict';
+
+    /**
+     * @brief 数据集注册表：名称 → { url, schema }
+     *        Dataset registry: name → { url, schema }.
+     *
+     * @note schema.columns 声明列类型；未声明的列使用 schema.defaultType。
+     *       新一周的导出只需放进 data/ 并修改这里的 url。
+     *       schema.columns declares column types; undeclared columns use schema.defaultType.
+     *       A new weekly export only needs to be dropped into data/ and pointed to here.
+     *
+     * @type {Object.<string, {url: string, schema: Object}>}
+     */
+    const DATASETS = {
+        appUsage: {
+            url: 'data/app_usage_2025-10-28_7days.csv',
+            schema: {
+                columns: {
+                    '日期': 'string',
+                    '应用名称': 'string',
+                    '包名': 'string'
+                },
+                // 总时长 + 24 个小时桶 / total minutes + 24 hour buckets
+                defaultType: 'number'
+            }
+        },
+        finance: {
+            url: 'data/SP500_Nasdaq_BTC_20yrs_annual.csv',
+            schema: {
+                // Year（整数年份）或 Date（ISO 日期，日度 / 月度价格）/ integer years or ISO dates
+                columns: {
+                    Year: 'integer',
+                    Date: 'date'
+                },
+                defaultType: 'number'
+            }
+        }
+    };
+
+    /**
+     * @brief 各列类型的转换函数
+     *        Coercion function per column type.
+     *
+     * @note 空字符串统一视为缺失：数值类为 NaN，日期为 null，字符串保持 ''。
+     *       Empty strings are treated as missing: NaN for numbers, null for dates, '' for strings.
+     *
+     * @type {Object.<string, Function>}
+     */
+    const COERCERS = {
+        string: function (raw) {
+            return raw == null ? '' : String(raw).trim();
+        },
+        number: function (raw) {
+            const text = raw == null ? '' : String(raw).trim();
+            return text === '' ? NaN : +text;
+        },
+        integer: function (raw) {
+            const text = raw == null ? '' : String(raw).trim();
+            return text === '' ? NaN : parseInt(text, 10);
+        },
+        date: function (raw) {
+            const text = raw == null ? '' : String(raw).trim();
+            return text === '' ? null : d3.isoParse(text);
+        },
+        boolean: function (raw) {
+            const text = raw == null ? '' : String(raw).trim().toLowerCase();
+            return text === 'true' || text === '1' || text === 'yes';
+        }
+    };
+
+    /**
+     * @brief 按类型转换单个值
+     *        Coerce a single value to the given type.
+     *
+     * @param {*} raw
+     *        原始值（通常是 CSV 字符串）/ Raw value (usually a CSV string).
+     * @param {string} type
+     *        列类型，见 COERCERS / Column type, see COERCERS.
+     * @return {*}
+     */
+    function coerceValue(raw, type) {
+        const coerce = COERCERS[type];
+        if (!coerce) {
+            throw new Error('DataLoader: 未知列类型 / unknown column type: ' + type);
+        }
+        return coerce(raw);
+    }
+
+    /**
+     * @brief 按 schema 转换一整行
+     *        Coerce a whole row according to a schema.
+     *
+     * @param {Object} row
+     *        d3.csvParse 得到的原始行 / Raw row from d3.csvParse.
+     * @param {Object} schema
+     *        { columns, defaultType } / Schema.
+     * @return {Object}
+     *         新的行对象 / New row object.
+     */
+    function coerceRow(row, schema) {
+        const columns = schema.columns || {};
+        const defaultType = schema.defaultType || 'string';
+        const out = {};
+        Object.keys(row).forEach(function (key) {
+            const type = Object.prototype.hasOwnProperty.call(columns, key)
+                ? columns[key]
+                : defaultType;
+            out[key] = coerceValue(row[key], type);
+        });
+        return out;
+    }
+
+    /**
+     * @brief 解析 CSV 文本
+     *        Parse CSV text.
+     *
+     * @param {string} text
+     *        CSV 文本 / CSV text.
+     * @param {Object} schema
+     *        列类型 schema / Column type schema.
+     * @return {Object[]}
+     *         已转换的行数组（带 d3 的 columns 属性）/
+     *         Coerced rows (with d3's columns property).
+     */
+    function parseCsvText(text, schema) {
+        return d3.csvParse(text, function (row) {
+            return coerceRow(row, schema);
+        });
+    }
+
+    /**
+     * @brief 抓取并解析远程 CSV
+     *        Fetch and parse a remote CSV.
+     *
+     * @param {string} url
+     *        CSV 地址 / CSV URL.
+     * @param {Object} schema
+     *        列类型 schema / Column type schema.
+     * @return {Promise<Object[]>}
+     */
+    function loadCsv(url, schema) {
+        return d3.csv(url, function (row) {
+            return coerceRow(row, schema);
+        });
+    }
+
+    /**
+     * @brief 按注册表名称加载数据集
+     *        Load a dataset by its registry name.
+     *
+     * @param {string} name
+     *        DATASETS 中的键 / Key in DATASETS.
+     * @return {Promise<Object[]>}
+     */
+    function loadDataset(name) {
+        const dataset = DATASETS[name];
+        if (!dataset) {
+            return Promise.reject(new Error('DataLoader: 未注册的数据集 / unknown dataset: ' + name));
+        }
+        return loadCsv(dataset.url, dataset.schema).catch(function (err) {
+            throw new Error('DataLoader: 加载失败 / failed to load ' + dataset.url + ': ' + err.message);
+        });
+    }
+
+    /**
+     * @brief 并行加载多个数据集
+     *        Load several datasets in parallel.
+     *
+     * @param {string[]} [names]
+     *        数据集名称，默认全部 / Dataset names, defaults to all.
+     * @return {Promise<Object.<string, Object[]>>}
+     *         名称 → 行数组 / Name → rows.
+     *
+     * @example
+     *   DataLoader.loadAll().then(function (data) {
+     *       console.log(data.appUsage.length, data.finance.length);
+     *   });
+     */
+    function loadAll(names) {
+        const keys = names || Object.keys(DATASETS);
+        return Promise.all(keys.map(loadDataset)).then(function (results) {
+            const out = {};
+            keys.forEach(function (key, i) {
+                out[key] = results[i];
+            });
+            return out;
+        });
+    }
+
+    /**
+     * @brief 对外暴露的 DataLoader 模块 API
+     *        Public DataLoader module API.
+     */
+    const api = {
+        /** @brief 数据集注册表 / Dataset registry. */
+        DATASETS: DATASETS,
+
+        /** @brief 加载全部（或指定）数据集 / Load all (or selected) datasets. */
+        loadAll: loadAll,
+
+        /** @brief 按名称加载数据集 / Load a dataset by name. */
+        loadDataset: loadDataset,
+
+        /** @brief 抓取并解析任意 CSV / Fetch and parse any CSV. */
+        loadCsv: loadCsv,
+
+        /** @brief 解析 CSV 文本 / Parse CSV text. */
+        parseCsvText: parseCsvText,
+
+        /** @brief 按 schema 转换一行 / Coerce one row by schema. */
+        coerceRow: coerceRow
+    };
+
+    global.DataLoader = api;
+
+})(this);
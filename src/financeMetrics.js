@@ -0,0 +1,204 @@
+// financeMetrics.js
+
+/**
+ * @brief 金融指标引擎（基于 FinanceSeries2 的多资产序列）
+ *        Finance metrics engine (on top of FinanceSeries2's multi-asset series).
+ *
+ * @note zh-CN:
+ *  输入为 buildSeriesByAsset 的结果（点为 { date, value, yoy }，value 为原始价格），
+ *  只做计算、不碰 DOM：同比收益、区间 CAGR、最大回撤、年化波动率。
+ *  图表的指标表与同比柱状面板都从这里取数。
+ *
+ * @note en-US:
+ *  Takes the result of buildSeriesByAsset (points are { date, value, yoy } with raw prices)
+ *  and only computes — no DOM: YoY returns, CAGR over a range, max drawdown and annualized
+ *  volatility. The chart's metrics table and YoY bar panel both read from here.
+ *
+ * @example
+ *   const metrics = FinanceMetrics.compute(seriesResult, [new Date('2017-01-01'), new Date('2022-01-01')]);
+ *   metrics.assets[0];  // { key, first, last, cagr, maxDrawdown, volatility, yoy }
+ */
+(function (global) {
+    'use strict';
+
+    /**
+     * @brief 一年的毫秒数（按 365.25 天计，用于年化）
+     *        Milliseconds per year (365.25 days, used for annualizing).
+     *
+     * @type {number}
+     */
+    const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+    /**
+     * @brief 截取区间内的点 / Points inside a date range.
+     *
+     * @param {Object[]} points
+     *        按日期排序的点 / Points sorted by date.
+     * @param {Date[]|null} range
+     *        [from, to]，null 表示全部 / [from, to], null for all points.
+     * @return {Object[]}
+     */
+    function pointsInRange(points, range) {
+        if (!range) return points;
+        return points.filter(function (d) {
+            return d.date >= range[0] && d.date <= range[1];
+        });
+    }
+
+    /**
+     * @brief 每个自然年一条同比收益：取该年最后一个点相对一年前的涨跌幅
+     *        One YoY return per calendar year: the year's last point vs one year earlier.
+     *
+     * @param {Object[]} points
+     *        带 yoy 的点（见 buildSeriesByAsset）/ Points with yoy (see buildSeriesByAsset).
+     * @return {{date: Date, value: number}[]}
+     *         date 为该点的日期，便于与主图 X 轴对齐 / date is the point's own date, so it lines up with the main X axis.
+     *
+     * @note 年度数据（每年一个点）时即为逐点的 yoy；日度数据不会产生几百根柱子。
+     *       For annual data (one point a year) this is just each point's yoy; daily data
+     *       does not turn into hundreds of bars.
+     */
+    function yoyReturns(points) {
+        const lastByYear = d3.rollup(
+            points,
+            function (group) { return group[group.length - 1]; },
+            function (d) { return d.date.getUTCFullYear(); }
+        );
+        return Array.from(lastByYear.values())
+            .filter(function (d) { return d.yoy != null; })
+            .map(function (d) { return { date: d.date, value: d.yoy }; });
+    }
+
+    /**
+     * @brief 区间年化复合增长率 / Compound annual growth rate over the points.
+     *
+     * @param {Object[]} points
+     *        区间内的点 / Points inside the range.
+     * @return {number|null}
+     *         不足一个点对、跨度为 0 或起点非正时为 null /
+     *         null with fewer than two points, a zero span or a non-positive start.
+     */
+    function cagr(points) {
+        if (points.length < 2) return null;
+        const first = points[0];
+        const last = points[points.length - 1];
+        const years = (last.date - first.date) / MS_PER_YEAR;
+        if (years <= 0 || first.value <= 0 || last.value < 0) return null;
+        return Math.pow(last.value / first.value, 1 / years) - 1;
+    }
+
+    /**
+     * @brief 最大回撤：从此前最高点到之后最低点的最大跌幅
+     *        Max drawdown: the largest fall from a running peak to a later trough.
+     *
+     * @param {Object[]} points
+     *        区间内的点 / Points inside the range.
+     * @return {{value: number, peak: Date, trough: Date}|null}
+     *         value 为负数或 0 / value is negative or 0.
+     */
+    function maxDrawdown(points) {
+        if (points.length < 2) return null;
+        let peak = points[0];
+        let worst = { value: 0, peak: peak.date, trough: peak.date };
+        points.forEach(function (d) {
+            if (d.value > peak.value) {
+                peak = d;
+                return;
+            }
+            const drawdown = peak.value > 0 ? d.value / peak.value - 1 : 0;
+            if (drawdown < worst.value) {
+                worst = { value: drawdown, peak: peak.date, trough: d.date };
+            }
+        });
+        return worst;
+    }
+
+    /**
+     * @brief 年化波动率：相邻点对数收益的标准差 × √(每年点数)
+     *        Annualized volatility: std dev of log returns between points × √(points per year).
+     *
+     * @param {Object[]} points
+     *        区间内的点 / Points inside the range.
+     * @return {number|null}
+     *         少于三个点或含非正价格时为 null / null with fewer than three points or non-positive prices.
+     *
+     * @note 每年点数按区间实际跨度估算，年度、月度、日度（含只有交易日）数据都适用。
+     *       Points per year are estimated from the actual span, so annual, monthly and daily
+     *       (trading days only) data all work.
+     */
+    function volatility(points) {
+        if (points.length < 3) return null;
+        const returns = [];
+        for (let i = 1; i < points.length; i++) {
+            if (points[i - 1].value <= 0 || points[i].value <= 0) return null;
+            returns.push(Math.log(points[i].value / points[i - 1].value));
+        }
+        const years = (points[points.length - 1].date - points[0].date) / MS_PER_YEAR;
+        if (years <= 0) return null;
+        return d3.deviation(returns) * Math.sqrt(returns.length / years);
+    }
+
+    /**
+     * @brief 计算全部资产的指标
+     *        Compute metrics for every asset.
+     *
+     * @param {Object} seriesResult
+     *        buildSeriesByAsset 的结果 / Result of buildSeriesByAsset.
+     * @param {Date[]|null} [range]
+     *        CAGR、回撤与波动率的区间（通常是图表的可见窗口），null 表示全部 /
+     *        Range for CAGR, drawdown and volatility (usually the chart's visible window), null for all.
+     * @return {Object}
+     *         { range, assets: [{ key, first, last, cagr, maxDrawdown, volatility, yoy }], yoy: {key: [...]} }；
+     *         first / last 为区间首尾点，yoy 为区间内最后一个同比值；顶层 yoy 为全部日期的逐年同比，
+     *         供柱状面板使用 / first / last are the range's end points, yoy the last YoY in range; the
+     *         top-level yoy holds per-year YoY over every date for the bar panel.
+     */
+    function computeMetrics(seriesResult, range) {
+        const yoy = {};
+        const assets = Object.keys(seriesResult.series).map(function (key) {
+            const all = seriesResult.series[key];
+            const points = pointsInRange(all, range || null);
+            const lastYoy = points.slice().reverse().find(function (d) { return d.yoy != null; });
+            yoy[key] = yoyReturns(all);
+            return {
+                key: key,
+                first: points[0] || null,
+                last: points[points.length - 1] || null,
+                cagr: cagr(points),
+                maxDrawdown: maxDrawdown(points),
+                volatility: volatility(points),
+                yoy: lastYoy ? lastYoy.yoy : null
+            };
+        });
+
+        return {
+            range: range || [seriesResult.meta.minDate, seriesResult.meta.maxDate],
+            assets: assets,
+            yoy: yoy
+        };
+    }
+
+    /**
+     * @brief 对外暴露的 FinanceMetrics 模块 API
+     *        Public FinanceMetrics module API.
+     */
+    const api = {
+        /** @brief 计算全部资产的指标 / Compute metrics for every asset. */
+        compute: computeMetrics,
+
+        /** @brief 每个自然年一条同比收益 / One YoY return per calendar year. */
+        yoyReturns: yoyReturns,
+
+        /** @brief 年化复合增长率 / Compound annual growth rate. */
+        cagr: cagr,
+
+        /** @brief 最大回撤 / Max drawdown. */
+        maxDrawdown: maxDrawdown,
+
+        /** @brief 年化波动率 / Annualized volatility. */
+        volatility: volatility
+    };
+
+    global.FinanceMetrics = api;
+
+})(this);
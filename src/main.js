@@ -3,6 +3,9 @@
  * @brief 项目入口：负责数据调度、DOM 初始化、图表渲染
  *        Project entry point: orchestrates datasets, DOM init, and chart rendering.
  *
+ * @note 数据通过 DataLoader 在运行时从 data/*.csv 加载。
+ *       Datasets are loaded at runtime from data/*.csv through DataLoader.
+ *
  * @note 本文件不包含任何绘图逻辑，仅作为 orchestrator。
  *       This file contains no visualization logic; it only orchestrates calls.
  */
@@ -10,6 +13,14 @@
 (function () {
     'use strict';
 
+    /**
+     * @brief 导入报告中最多列出的错误条数
+     *        Max number of malformed rows listed in the import report.
+     *
+     * @type {number}
+     */
+    const MAX_REPORTED_ERRORS = 12;
+
     /**
      * @brief 初始化整个项目 / Initialize whole project.
      *
@@ -18,62 +29,555 @@
     function init() {
         console.log('Main.init(): 项目启动中 / Project booting…');
 
-        // === 1. 检查全局数据（防止加载错误） ===========================
-        if (!Array.isArray(APP_USAGE_DATA)) {
-            console.error('APP_USAGE_DATA 加载失败 / APP_USAGE_DATA not loaded.');
-            return;
-        }
-        if (!Array.isArray(FINANCE_DATA)) {
-            console.error('FINANCE_DATA 加载失败 / FINANCE_DATA not loaded.');
-            return;
-        }
+        // === 0. 导入面板（拖拽 / 文件选择）+ 主题切换 ======================
+        setupImportPanel();
+        setupThemeToggle();
+
+        // 从 URL 恢复视图状态（分享链接），渲染时再按数据校验
+        applyViewState(ViewState.read());
 
-        // === 2. 系列1：APP 使用情况极坐标图 ==============================
-        renderSeries1();
+        // === 1. 运行时加载 CSV 数据集 ==================================
+        DataLoader.loadAll(['appUsage', 'finance'])
+            .then(function (data) {
+                // === 2. 系列1：APP 使用情况极坐标图 ==========================
+                renderSeries1(data.appUsage);
 
-        // === 3. 系列2：年度金融折线图 ================================
-        renderSeries2();
+                // === 3. 系列2：年度金融折线图 ============================
+                renderSeries2(data.finance);
 
-        console.log('Main.init(): 所有图表已渲染完毕 / All charts rendered.');
+                // 规范化 URL（去掉失效的值），之后监听前进 / 后退
+                syncUrl(true);
+                ViewState.listen(restoreViewState);
+
+                console.log('Main.init(): 所有图表已渲染完毕 / All charts rendered.');
+            }, function (err) {
+                console.error('数据集加载失败 / Failed to load datasets:', err);
+                showChartError('数据集加载失败 / Failed to load datasets', err);
+            })
+            .catch(function (err) {
+                // 渲染出错与加载失败分开报告 / rendering errors are reported apart from load failures
+                console.error('图表渲染失败 / Failed to render charts:', err);
+                showChartError('图表渲染失败 / Failed to render charts', err);
+            });
+    }
+
+    /**
+     * @brief 在两个图表容器顶部显示错误
+     *        Show an error at the top of both chart containers.
+     *
+     * @param {string} title 错误标题 / Error title.
+     * @param {Error} err 原始错误 / The original error.
+     */
+    function showChartError(title, err) {
+        ['#series1', '#series2'].forEach(function (selector) {
+            const container = document.querySelector(selector);
+            if (!container) return;
+            const message = document.createElement('p');
+            message.className = 'chart-error';
+            message.setAttribute('role', 'alert');
+            message.textContent = title + '：' + (err && err.message ? err.message : String(err));
+            container.prepend(message);
+        });
+    }
+
+    /**
+     * @brief 系列1 的运行时状态 / Series 1 runtime state.
+     *
+     * @note cards 记录已挂载的卡片（app 名 → { div, chart }），用于增量增删与更新。
+     *       cards maps app name → { div, chart } so cards can be added, removed and updated incrementally.
+     */
+    const series1State = {
+        /** @type {Object[]} */
+        records: [],
+        /** @type {string[]|null} null = 尚未选择；[] = 已清空 / null = not chosen yet; [] = cleared */
+        selected: null,
+        /** @type {Map<string, {div: HTMLElement, chart: Object}>} */
+        cards: new Map(),
+        /** @type {Object|null} */
+        picker: null,
+        /** @type {{mode: string, dates: string[]}} */
+        dayFilter: { mode: 'all', dates: [] },
+        /** @type {Object|null} */
+        dayFilterControl: null,
+        /** @type {string} */
+        aggregation: 'sum',
+        /** @type {Object|null} */
+        aggregationControl: null,
+        /** @type {string} */
+        radialScale: 'per-card',
+        /** @type {Object|null} */
+        radialScaleControl: null,
+        /** @type {string} 当前数据来源（导出脚注）/ current data source (export footer) */
+        source: DataLoader.DATASETS.appUsage.url,
+        /** @type {Object|null} 数据导出按钮组 / data export buttons */
+        dataExportControl: null
+    };
+
+    /**
+     * @brief 首次进入页面时默认展示的应用 / Apps shown by default on first load.
+     *
+     * @type {string[]}
+     */
+    const DEFAULT_APPS = ['微信', 'QQ'];
+
+    /**
+     * @brief 系列1 卡片的绘图配置（尺寸取自卡片容器）/ Chart options for Series 1 cards (sized from the card).
+     *
+     * @type {Object}
+     */
+    const SERIES1_CHART_OPTIONS = {
+        annotations: [
+            { type: 'callout', app: '微信', x: 23, title: '23:00 高峰', label: '睡前集中使用 / late-night spike', dx: -24, dy: -34 }
+        ]
+    };
+
+    /**
+     * @brief 系列2 的注释 / Annotations on the Series 2 chart.
+     *
+     * @type {Object[]}
+     */
+    const SERIES2_ANNOTATIONS = [
+        { type: 'range', from: 2008, to: 2009, label: '金融危机 / GFC' },
+        { type: 'callout', x: 2009, asset: 'SPX', title: '2008 股灾 / 2008 crash', label: 'S&P 500 −37%', dx: 24, dy: -40 }
+    ];
+
+    /**
+     * @brief 系列2 的运行时状态 / Series 2 runtime state.
+     *
+     * @note chart 在首次渲染时创建；baseDate 由图表上的点击回写。
+     *       chart is created on first render; baseDate is written back by clicks on the chart.
+     */
+    const series2State = {
+        /** @type {Object|null} */
+        chart: null,
+        /** @type {Object[]} */
+        rows: [],
+        /** @type {string} */
+        comparison: 'price',
+        /** @type {Date|null} */
+        baseDate: null,
+        /** @type {boolean} */
+        useLogScale: false,
+        /** @type {string[]} */
+        hiddenAssets: [],
+        /** @type {Date[]|null} */
+        dateWindow: null,
+        /** @type {Object|null} */
+        comparisonControl: null,
+        /** @type {Object|null} 年度对数收益相关性矩阵 / annual log-return correlation matrix */
+        correlation: null,
+        /** @type {Object|null} 导出按钮组 / export buttons */
+        exportMenu: null,
+        /** @type {Object|null} 数据导出按钮组 / data export buttons */
+        dataExportControl: null
+    };
+
+    /**
+     * @brief 可分享视图状态的默认值（与之相同的字段不写进 URL）
+     *        Defaults of the shareable view state (equal fields stay out of the URL).
+     *
+     * @type {Object}
+     */
+    const VIEW_DEFAULTS = {
+        apps: DEFAULT_APPS,
+        dayFilter: { mode: 'all', dates: [] },
+        aggregation: 'sum',
+        radialScale: 'per-card',
+        comparison: 'price',
+        baseDate: null,
+        useLogScale: false,
+        hiddenAssets: [],
+        dateWindow: null
+    };
+
+    /**
+     * @brief 收集两个系列当前的可分享视图状态 / Collect the shareable view state of both series.
+     *
+     * @return {Object}
+     */
+    function currentViewState() {
+        return {
+            apps: series1State.selected,
+            dayFilter: series1State.dayFilter,
+            aggregation: series1State.aggregation,
+            radialScale: series1State.radialScale,
+            comparison: series2State.comparison,
+            baseDate: series2State.baseDate,
+            useLogScale: series2State.useLogScale,
+            hiddenAssets: series2State.hiddenAssets,
+            dateWindow: series2State.dateWindow
+        };
+    }
+
+    /**
+     * @brief 把当前视图写进 URL / Write the current view into the URL.
+     *
+     * @param {boolean} [replace]
+     *        替换当前历史记录而不是新增（缩放、平移等连续操作）/
+     *        Replace the current history entry instead of pushing one (zoom, pan and other continuous changes).
+     */
+    function syncUrl(replace) {
+        ViewState.write(currentViewState(), { defaults: VIEW_DEFAULTS, replace: replace });
+    }
+
+    /**
+     * @brief 把 URL 中解码出的状态写入两个系列的运行时状态（缺省字段回到默认值）
+     *        Apply a state decoded from the URL to both series' runtime state (missing fields reset to defaults).
+     *
+     * @param {Object} parsed ViewState.read() 的结果 / Result of ViewState.read().
+     *
+     * @note 应用名与自选日期留给 renderSeries1 按数据校验；未知的聚合 / 刻度 / 对比方式被忽略；
+     *       未知资产被去掉，且不会隐藏全部资产；日期窗口按先后排序，再由图表裁剪到数据范围。
+     *       App names and custom days are checked against the data by renderSeries1; unknown
+     *       aggregation, scale and comparison values are ignored; unknown assets are dropped and
+     *       never all of them are hidden; the date window is sorted, then clamped to the data by the chart.
+     */
+    function applyViewState(parsed) {
+        const view = Object.assign({}, VIEW_DEFAULTS, parsed);
+        series1State.selected = view.apps.slice();
+        series1State.dayFilter = view.dayFilter;
+        series1State.aggregation = view.aggregation in AppUsageSeries1.AGGREGATIONS ? view.aggregation : VIEW_DEFAULTS.aggregation;
+        series1State.radialScale = view.radialScale === 'shared' ? 'shared' : VIEW_DEFAULTS.radialScale;
+        series2State.comparison = view.comparison in FinanceSeries2.COMPARISON_MODES ? view.comparison : VIEW_DEFAULTS.comparison;
+        series2State.baseDate = view.baseDate;
+        series2State.useLogScale = view.useLogScale;
+        series2State.hiddenAssets = FinanceSeries2.fitHiddenAssets(view.hiddenAssets, FinanceSeries2.DEFAULT_ASSETS);
+        series2State.dateWindow = view.dateWindow ? view.dateWindow.slice().sort(d3.ascending) : null;
+    }
+
+    /**
+     * @brief 前进 / 后退后按 URL 恢复整个视图 / Restore the whole view from the URL after back / forward.
+     *
+     * @param {Object} parsed ViewState.read() 的结果 / Result of ViewState.read().
+     */
+    function restoreViewState(parsed) {
+        applyViewState(parsed);
+
+        series1State.aggregationControl.setValue(series1State.aggregation);
+        series1State.radialScaleControl.setValue(series1State.radialScale);
+        renderSeries1(series1State.records);
+
+        series2State.comparisonControl.setValue(series2State.comparison);
+        series2State.chart.update(series2State.rows, {
+            comparison: series2State.comparison,
+            baseDate: series2State.baseDate,
+            useLogScale: series2State.useLogScale,
+            hiddenAssets: series2State.hiddenAssets,
+            dateWindow: series2State.dateWindow
+        });
+        Object.assign(series2State, series2State.chart.viewState());
+
+        // 手动改过的哈希可能带有失效的值 / a hand-edited hash may carry stale values
+        syncUrl(true);
+    }
+
+    /**
+     * @brief 导出按钮：独立 SVG + 各倍率 PNG / Export buttons: standalone SVG + PNG per scale.
+     *
+     * @type {{value: (string|number), label: string, title: string}[]}
+     */
+    const EXPORT_ACTIONS = [
+        { value: 'svg', label: 'SVG', title: '矢量图（内联样式）/ Standalone SVG with inlined styles' }
+    ].concat(ChartExport.SCALES.map(function (scale) {
+        return { value: scale, label: 'PNG ' + scale + 'x', title: 'PNG · ' + scale + ' 倍分辨率 / ' + scale + 'x resolution' };
+    }));
+
+    /**
+     * @brief 数据导出按钮 / Data export buttons.
+     *
+     * @type {{value: string, label: string, title: string}[]}
+     */
+    const DATA_EXPORT_ACTIONS = [
+        { value: 'csv', label: 'CSV', title: '表格（当前筛选）/ Table for the current filters' },
+        { value: 'json', label: 'JSON', title: '结构化数据（当前筛选）/ Structured data for the current filters' }
+    ];
+
+    /**
+     * @brief 在容器中挂载图表的导出按钮组
+     *        Mount a chart's export buttons in a container.
+     *
+     * @param {string|Element} container 挂载容器 / Mount container.
+     * @param {Function} getChart 返回图表实例 / Returns the chart instance.
+     * @param {Function} describe 返回 { title, source, filename }（点击时读取，反映当前筛选）/
+     *        Returns { title, source, filename } (read on click, so it reflects the current filters).
+     * @return {Object} 按钮组 / Action group.
+     */
+    function createExportMenu(container, getChart, describe) {
+        return UIControls.createActionGroup(container, {
+            label: '导出 / Export',
+            actions: EXPORT_ACTIONS,
+            onAction: function (action) {
+                const svgNode = getChart().node();
+                const info = describe();
+                if (action === 'svg') {
+                    ChartExport.downloadSvg(svgNode, info);
+                    return;
+                }
+                ChartExport.downloadPng(svgNode, Object.assign({ scale: action }, info))
+                    .catch(function (err) {
+                        console.error('导出失败 / Export failed:', err);
+                    });
+            }
+        });
     }
 
     /**
      * @brief 渲染系列1（APP 使用情况） / Render Series 1 (app usage polar charts)
+     *
+     * @param {Object[]} records APP 使用记录 / App usage records.
+     *
+     * @note 数据集变化时，保留的卡片通过 chart.update 过渡到新数据；
+     *       选择变化走 syncSeries1Cards 增量增删。
+     *       When the dataset changes, kept cards transition via chart.update;
+     *       selection changes go through syncSeries1Cards incrementally.
      */
-    function renderSeries1() {
+    function renderSeries1(records) {
         console.log('渲染 Series1 / Rendering Series1…');
 
-        // (1) 指定要绘制的应用名称（至少两个）
-        // 你可以随时扩展
-        const appsToShow = ['微信', 'QQ'];
-
-        // (2) 自动为每个 app 创建容器 div
         const containerRoot = document.querySelector('#series1');
         if (!containerRoot) {
             console.error('#series1 容器缺失 / Missing #series1 container.');
             return;
         }
-        containerRoot.innerHTML = ''; // 清空旧内容
 
-        appsToShow.forEach(app => {
+        // (1) 从数据中汇总可选应用（按总时长降序）
+        const apps = AppUsageSeries1.summarizeApps(records);
+        const available = new Set(apps.map(function (d) { return d.name; }));
+
+        // (2) 沿用仍然存在的旧选择（包括清空后的空选择）；尚未选择过、或旧选择的应用在新数据中都不存在时，
+        //     用默认应用，再否则取总时长前两名
+        const previous = series1State.selected;
+        let selected = (previous || []).filter(function (name) { return available.has(name); });
+        if (previous === null || (previous.length && !selected.length)) {
+            selected = DEFAULT_APPS.filter(function (name) { return available.has(name); });
+            if (!selected.length) {
+                selected = apps.slice(0, 2).map(function (d) { return d.name; });
+            }
+        }
+
+        series1State.records = records;
+
+        if (series1State.picker) {
+            series1State.picker.setApps(apps, selected);
+        } else {
+            series1State.picker = UIControls.createAppPicker('#series1-app-picker', {
+                apps: apps,
+                selected: selected,
+                onChange: function (next) {
+                    syncSeries1Cards(next);
+                    syncUrl();
+                }
+            });
+        }
+        selected = series1State.picker.getSelected();
+
+        // (3) 日期筛选：沿用仍然存在的自选日期，否则回到「全部」
+        const dates = AppUsageSeries1.collectDates(records);
+        const days = dates.map(function (date) {
+            return {
+                date: date,
+                label: AppUsageSeries1.formatDateLabel(date),
+                weekend: AppUsageSeries1.isWeekend(date)
+            };
+        });
+        if (!AppUsageSeries1.resolveDayFilter(dates, series1State.dayFilter).length) {
+            series1State.dayFilter = { mode: 'all', dates: [] };
+        }
+        if (series1State.dayFilterControl) {
+            series1State.dayFilterControl.setDays(days, series1State.dayFilter);
+        } else {
+            series1State.dayFilterControl = UIControls.createDayFilter('#series1-day-filter', {
+                days: days,
+                value: series1State.dayFilter,
+                onChange: function (dayFilter) {
+                    series1State.dayFilter = dayFilter;
+                    refreshSeries1();
+                    syncUrl();
+                }
+            });
+        }
+
+        // (4) 聚合方式控件只需创建一次
+        if (!series1State.aggregationControl) {
+            series1State.aggregationControl = UIControls.createSegmented('#series1-aggregation', {
+                label: '聚合 / Aggregate',
+                options: Object.keys(AppUsageSeries1.AGGREGATIONS).map(function (key) {
+                    const mode = AppUsageSeries1.AGGREGATIONS[key];
+                    return { value: key, label: mode.short, title: mode.label };
+                }),
+                value: series1State.aggregation,
+                onChange: function (aggregation) {
+                    series1State.aggregation = aggregation;
+                    refreshSeries1();
+                    syncUrl();
+                }
+            });
+        }
+
+        if (!series1State.radialScaleControl) {
+            series1State.radialScaleControl = UIControls.createSegmented('#series1-radial-scale', {
+                label: '刻度 / Scale',
+                options: [
+                    { value: 'per-card', label: '各自 / Per card', title: '每张卡片按自身最大值缩放' },
+                    { value: 'shared', label: '共享 / Shared', title: '所有卡片使用同一个径向刻度' }
+                ],
+                value: series1State.radialScale,
+                onChange: function (radialScale) {
+                    series1State.radialScale = radialScale;
+                    refreshSeries1();
+                    syncUrl();
+                }
+            });
+        }
+
+        if (!series1State.dataExportControl) {
+            series1State.dataExportControl = UIControls.createActionGroup('#series1-data-export', {
+                label: '数据 / Data',
+                actions: DATA_EXPORT_ACTIONS,
+                onAction: exportSeries1Data
+            });
+        }
+
+        // (5) 数据变了：已有卡片过渡到新数据，再增删卡片
+        const kept = selected.filter(function (name) { return series1State.cards.has(name); });
+        syncSeries1Cards(selected);
+        updateSeries1Cards(kept);
+        renderSeries1Legend();
+    }
+
+    /**
+     * @brief 筛选 / 聚合条件变化后，重新聚合所有可见卡片
+     *        Re-aggregate every visible card after filters or aggregation options change.
+     */
+    function refreshSeries1() {
+        updateSeries1Cards(Array.from(series1State.cards.keys()));
+        renderSeries1Legend();
+    }
+
+    /**
+     * @brief 刷新共享日期图例（筛选掉的日期淡出）
+     *        Refresh the shared date legend (filtered-out dates are faded).
+     */
+    function renderSeries1Legend() {
+        const dates = AppUsageSeries1.collectDates(series1State.records);
+        AppUsageSeries1.renderDateLegend(
+            '#series1-legend',
+            dates,
+            AppUsageSeries1.resolveDayFilter(dates, series1State.dayFilter)
+        );
+    }
+
+    /**
+     * @brief 当前系列1 的数据准备选项 / Current Series 1 data-preparation options.
+     *
+     * @return {Object}
+     */
+    function series1DataOptions() {
+        return {
+            dayFilter: series1State.dayFilter,
+            aggregation: series1State.aggregation
+        };
+    }
+
+    /**
+     * @brief 下载系列1 当前筛选下的 24 小时序列 / Download Series 1's 24-hour series for the current filters.
+     *
+     * @param {string} format 'csv' | 'json'
+     */
+    function exportSeries1Data(format) {
+        const exported = AppUsageSeries1.exportData(series1State.records, series1State.selected, series1DataOptions());
+        if (format === 'csv') {
+            ChartExport.downloadCsv(AppUsageSeries1.exportTable(exported), 'series1-hourly');
+        } else {
+            ChartExport.downloadJson(Object.assign({ source: series1State.source }, exported), 'series1-hourly');
+        }
+    }
+
+    /**
+     * @brief 用当前数据更新指定卡片 / Update the given cards with the current records.
+     *
+     * @param {string[]} names 要更新的应用 / Apps to update.
+     *
+     * @note 共享刻度下任何一张卡片都可能改变共同上限，因此总是更新全部卡片。
+     *       With a shared scale any card may move the common bound, so all cards are updated.
+     */
+    function updateSeries1Cards(names) {
+        if (!names.length) return;
+        const shared = series1State.radialScale === 'shared';
+        const targets = shared ? Array.from(series1State.cards.keys()) : names;
+        const prepared = AppUsageSeries1.buildSeriesForApps(series1State.records, targets, series1DataOptions());
+        targets.forEach(function (name) {
+            series1State.cards.get(name).chart.update(prepared.seriesByApp.get(name), {
+                dates: prepared.dates,
+                aggregation: series1State.aggregation,
+                radialScale: series1State.radialScale,
+                radialMax: shared ? prepared.maxValue : null
+            });
+        });
+    }
+
+    /**
+     * @brief 增量同步系列1 卡片：只创建新增应用、只移除取消的应用
+     *        Incrementally sync Series 1 cards: create only added apps, remove only dropped ones.
+     *
+     * @param {string[]} selected 选中的应用（展示顺序）/ Selected apps (display order).
+     */
+    function syncSeries1Cards(selected) {
+        const containerRoot = document.querySelector('#series1');
+        if (!containerRoot) return;
+
+        const cards = series1State.cards;
+        const keep = new Set(selected);
+
+        // (1) 销毁取消选择的卡片
+        cards.forEach(function (card, name) {
+            if (!keep.has(name)) {
+                card.chart.destroy();
+                card.div.remove();
+                cards.delete(name);
+            }
+        });
+
+        // (2) 为新增应用创建容器 div 与图表实例
+        const added = selected.filter(function (name) { return !cards.has(name); });
+        added.forEach(function (name) {
             const div = document.createElement('div');
-            div.id = 'series1-app-' + app;
             div.className = 'series1-app-container';
             containerRoot.appendChild(div);
+            const toolbar = document.createElement('div');
+            toolbar.className = 'chart-export';
+            div.appendChild(toolbar);
+            const card = {
+                div: div,
+                chart: AppUsageSeries1.create(div, name, SERIES1_CHART_OPTIONS)
+            };
+            createExportMenu(toolbar, function () { return card.chart; }, function () {
+                return {
+                    title: name + ' · ' + AppUsageSeries1.AGGREGATIONS[series1State.aggregation].label,
+                    source: series1State.source,
+                    filename: 'series1-' + name
+                };
+            });
+            cards.set(name, card);
         });
 
-        // (3) 调用系列1模块
-        AppUsageSeries1.renderFromRawRecords(APP_USAGE_DATA, appsToShow, {
-            containerPrefix: '#series1-app-',
-            width: 360,
-            height: 380
+        // (3) 按选择顺序重排（appendChild 只移动节点，不会重绘）
+        selected.forEach(function (name) {
+            containerRoot.appendChild(cards.get(name).div);
         });
+
+        // (4) 只为新增应用灌入数据
+        updateSeries1Cards(added);
+
+        series1State.selected = selected.slice();
     }
 
     /**
      * @brief 渲染系列2（金融重制图）/ Render Series 2 (finance line chart)
+     *
+     * @param {Object[]} rows 金融数据行 / Finance rows.
      */
-    function renderSeries2() {
+    function renderSeries2(rows) {
         console.log('渲染 Series2 / Rendering Series2…');
 
         const container = '#series2';
@@ -82,11 +586,253 @@
             console.error('#series2 容器缺失 / Missing #series2 container.');
             return;
         }
-        root.innerHTML = ''; // 清空
 
-        FinanceSeries2.renderFromRawRows(container, FINANCE_DATA, {
-            width: 780,
-            height: 440
+        series2State.rows = rows;
+
+        if (!series2State.chart) {
+            // 宽度跟随容器，窄屏下自动切换紧凑布局 / width follows the container, compact on phones
+            series2State.chart = FinanceSeries2.create(container, {
+                height: 620,
+                annotations: SERIES2_ANNOTATIONS,
+                showYoyPanel: true,
+                metricsTable: '#series2-metrics',
+                dataQuality: '#series2-quality',
+                comparison: series2State.comparison,
+                baseDate: series2State.baseDate,
+                useLogScale: series2State.useLogScale,
+                onBaseDateChange: function (date) {
+                    series2State.baseDate = date;
+                    syncUrl();
+                },
+                hiddenAssets: series2State.hiddenAssets,
+                dateWindow: series2State.dateWindow,
+                onScaleChange: function (useLogScale) {
+                    series2State.useLogScale = useLogScale;
+                    syncUrl();
+                },
+                onHiddenAssetsChange: function (keys) {
+                    series2State.hiddenAssets = keys;
+                    syncUrl();
+                },
+                onDateWindowChange: function (dateWindow) {
+                    series2State.dateWindow = dateWindow;
+                    syncUrl(true);
+                }
+            });
+        }
+
+        if (!series2State.comparisonControl) {
+            series2State.comparisonControl = UIControls.createSegmented('#series2-comparison', {
+                label: '对比 / Compare',
+                options: Object.keys(FinanceSeries2.COMPARISON_MODES).map(function (key) {
+                    return { value: key, label: FinanceSeries2.COMPARISON_MODES[key].label };
+                }),
+                value: series2State.comparison,
+                onChange: function (comparison) {
+                    series2State.comparison = comparison;
+                    series2State.chart.update(series2State.rows, { comparison: comparison });
+                    syncUrl();
+                }
+            });
+        }
+
+        if (!series2State.exportMenu) {
+            series2State.exportMenu = createExportMenu('#series2-options', function () {
+                return series2State.chart;
+            }, function () {
+                return {
+                    title: '资产价格 / Asset prices · ' + FinanceSeries2.COMPARISON_MODES[series2State.comparison].label,
+                    source: DataLoader.DATASETS.finance.url,
+                    filename: 'series2-finance'
+                };
+            });
+        }
+
+        if (!series2State.dataExportControl) {
+            series2State.dataExportControl = UIControls.createActionGroup('#series2-options', {
+                label: '数据 / Data',
+                actions: DATA_EXPORT_ACTIONS.concat([
+                    { value: 'metrics', label: '指标 CSV / Metrics CSV', title: '可见窗口内的指标 / Metrics for the visible window' }
+                ]),
+                onAction: exportSeries2Data
+            });
+        }
+
+        // 相关性矩阵：点击格子在主图中高亮这两条折线 / clicking a cell highlights both lines
+        if (!series2State.correlation && document.querySelector('#series2-correlation')) {
+            series2State.correlation = FinanceCorrelation.create('#series2-correlation', {
+                onCellClick: function (pair) {
+                    series2State.chart.highlight(pair);
+                }
+            });
+        }
+
+        series2State.chart.update(rows);
+        // 取回图表规范化后的基期、隐藏资产与窗口 / take back the base date, hidden assets and window as normalized by the chart
+        Object.assign(series2State, series2State.chart.viewState());
+        if (series2State.correlation) {
+            series2State.correlation.update(rows);
+        }
+    }
+
+    /**
+     * @brief 下载系列2 当前视图的序列与指标 / Download Series 2's series and metrics for the current view.
+     *
+     * @param {string} format 'csv' | 'json' | 'metrics'（指标 CSV / metrics CSV）
+     */
+    function exportSeries2Data(format) {
+        const exported = series2State.chart.exportData();
+        if (format === 'json') {
+            ChartExport.downloadJson(Object.assign({ source: DataLoader.DATASETS.finance.url }, exported), 'series2-finance');
+        } else if (format === 'metrics') {
+            ChartExport.downloadCsv(FinanceSeries2.exportTable(exported, 'metrics'), 'series2-metrics');
+        } else {
+            ChartExport.downloadCsv(FinanceSeries2.exportTable(exported), 'series2-finance');
+        }
+    }
+
+    /**
+     * @brief 把导入的文件解析为记录数组 / Parse an imported file into records.
+     *
+     * @param {File} file 用户拖入或选择的文件 / File dropped or picked by the user.
+     * @return {Promise<Object[]>} 已做列类型转换的记录 / Records with coerced columns.
+     */
+    function parseImportFile(file) {
+        const schema = DataLoader.DATASETS.appUsage.schema;
+        const isJson = /\.json$/i.test(file.name) || file.type === 'application/json';
+
+        return file.text().then(function (text) {
+            if (!isJson) {
+                return DataLoader.parseCsvText(text, schema);
+            }
+            const parsed = JSON.parse(text);
+            if (!Array.isArray(parsed)) {
+                throw new Error('JSON 顶层必须是数组 / JSON top level must be an array.');
+            }
+            return parsed.map(function (row) {
+                return DataLoader.coerceRow(row, schema);
+            });
+        });
+    }
+
+    /**
+     * @brief 在导入面板中展示校验结果 / Show validation results in the import panel.
+     *
+     * @param {string} fileName 文件名 / File name.
+     * @param {{valid: Object[], errors: {row: number, message: string}[]}} report 校验结果 / Validation report.
+     */
+    function showImportReport(fileName, report) {
+        const status = document.querySelector('#series1-import-status');
+        if (!status) return;
+        status.innerHTML = '';
+
+        const summary = document.createElement('p');
+        summary.className = 'import-summary ' + (report.valid.length ? 'is-ok' : 'is-error');
+        summary.textContent = fileName + '：' + report.valid.length + ' 条有效记录，' +
+            report.errors.length + ' 条错误 / ' + report.valid.length + ' valid, ' +
+            report.errors.length + ' malformed' +
+            (report.valid.length ? '' : '（未重新渲染 / not rendered）');
+        status.appendChild(summary);
+
+        if (!report.errors.length) return;
+
+        const list = document.createElement('ul');
+        list.className = 'import-errors';
+        report.errors.slice(0, MAX_REPORTED_ERRORS).forEach(function (err) {
+            const item = document.createElement('li');
+            item.textContent = (err.row ? '记录 #' + err.row + '：' : '') + err.message;
+            list.appendChild(item);
+        });
+        if (report.errors.length > MAX_REPORTED_ERRORS) {
+            const more = document.createElement('li');
+            more.textContent = '… 另有 ' + (report.errors.length - MAX_REPORTED_ERRORS) + ' 条 / more';
+            list.appendChild(more);
+        }
+        status.appendChild(list);
+    }
+
+    /**
+     * @brief 处理一个导入文件：解析 → 校验 → 重新渲染系列1
+     *        Handle one imported file: parse → validate → re-render Series 1.
+     *
+     * @param {File} file 导入文件 / Imported file.
+     */
+    function importFile(file) {
+        parseImportFile(file)
+            .then(function (records) {
+                const report = AppUsageSeries1.validateRecords(records);
+                showImportReport(file.name, report);
+                if (report.valid.length) {
+                    series1State.source = file.name;
+                    renderSeries1(report.valid);
+                    syncUrl(true);
+                }
+            })
+            .catch(function (err) {
+                showImportReport(file.name, {
+                    valid: [],
+                    errors: [{ row: 0, message: '无法解析 / cannot parse: ' + err.message }]
+                });
+            });
+    }
+
+    /**
+     * @brief 创建导航栏中的主题切换，并在切换后刷新 HTML 日期图例
+     *        Create the theme toggle in the navbar and refresh the HTML date legend after a switch.
+     *
+     * @note 图表实例自己订阅 ChartTheme.observe 重绘；这里只负责不属于任何图表的部分。
+     *       Chart instances subscribe to ChartTheme.observe themselves; this only covers what no chart owns.
+     */
+    function setupThemeToggle() {
+        if (!document.querySelector('#theme-toggle')) return;
+        UIControls.createSegmented('#theme-toggle', {
+            label: '主题 / Theme',
+            options: Object.keys(ChartTheme.THEMES).map(function (key) {
+                const theme = ChartTheme.THEMES[key];
+                return { value: key, label: theme.short, title: theme.label };
+            }),
+            value: ChartTheme.current(),
+            onChange: function (name) {
+                ChartTheme.apply(name);
+            }
+        });
+        ChartTheme.observe(function () {
+            if (series1State.records.length) renderSeries1Legend();
+        });
+    }
+
+    /**
+     * @brief 绑定导入面板的拖拽与文件选择事件 / Wire drag-and-drop and file picker of the import panel.
+     */
+    function setupImportPanel() {
+        const panel = document.querySelector('#series1-import');
+        const input = document.querySelector('#series1-import-input');
+        if (!panel || !input) return;
+
+        input.addEventListener('change', function () {
+            if (input.files && input.files[0]) {
+                importFile(input.files[0]);
+            }
+            input.value = ''; // 允许重复导入同名文件 / allow re-importing the same file
+        });
+
+        ['dragenter', 'dragover'].forEach(function (type) {
+            panel.addEventListener(type, function (event) {
+                event.preventDefault();
+                panel.classList.add('is-dragover');
+            });
+        });
+        ['dragleave', 'drop'].forEach(function (type) {
+            panel.addEventListener(type, function (event) {
+                event.preventDefault();
+                panel.classList.remove('is-dragover');
+            });
+        });
+        panel.addEventListener('drop', function (event) {
+            const files = event.dataTransfer && event.dataTransfer.files;
+            if (files && files[0]) {
+                importFile(files[0]);
+            }
         });
     }
 
@@ -0,0 +1,115 @@
+// responsive.js
+
+/**
+ * @brief 图表尺寸工具：按容器测量宽度、监听尺寸变化（两个系列共用）
+ *        Chart sizing helpers: measure the container width and watch for resizes
+ *        (used by both series).
+ *
+ * @note zh-CN:
+ *  图表不再写死像素宽度，而是读取容器的内容宽度，并通过 ResizeObserver 在容器变宽 / 变窄时
+ *  重新布局。宽度低于 BREAKPOINTS.phone 时，各图表切换到紧凑布局（更小的边距、图例换位）。
+ *
+ * @note en-US:
+ *  Charts no longer hard-code pixel widths: they read the container's content width and
+ *  re-layout through a ResizeObserver whenever the container grows or shrinks. Below
+ *  BREAKPOINTS.phone each chart switches to a compact layout (smaller margins, legend moved).
+ */
+(function (global) {
+    'use strict';
+
+    /**
+     * @brief 断点（容器内容宽度，像素）
+     *        Breakpoints (container content width, px).
+     *
+     * @type {{phone: number}}
+     */
+    const BREAKPOINTS = {
+        phone: 480
+    };
+
+    /**
+     * @brief 容器的内容宽度（去掉内边距）
+     *        Content width of a container (padding excluded).
+     *
+     * @param {Element} node
+     *        容器元素 / Container element.
+     * @param {number} fallback
+     *        容器尚未布局（宽度为 0，例如隐藏时）时使用的宽度 /
+     *        Width used while the container has no layout yet (0 wide, e.g. hidden).
+     * @return {number}
+     */
+    function containerWidth(node, fallback) {
+        if (!node) return fallback;
+        const style = global.getComputedStyle ? global.getComputedStyle(node) : null;
+        const padding = style
+            ? (parseFloat(style.paddingLeft) || 0) + (parseFloat(style.paddingRight) || 0)
+            : 0;
+        const width = Math.floor(node.clientWidth - padding);
+        return width > 0 ? width : fallback;
+    }
+
+    /**
+     * @brief 是否落在手机断点以下 / Whether a width is below the phone breakpoint.
+     *
+     * @param {number} width
+     *        容器宽度 / Container width.
+     * @return {boolean}
+     */
+    function isPhone(width) {
+        return width < BREAKPOINTS.phone;
+    }
+
+    /**
+     * @brief 监听容器内容宽度的变化
+     *        Watch a container's content width.
+     *
+     * @param {Element} node
+     *        容器元素 / Container element.
+     * @param {Function} onResize
+     *        function(width)，取整后的宽度变化时调用（包括开始监听时报告的首个宽度）/
+     *        function(width), called when the rounded width changes (including the first
+     *        width reported once watching starts).
+     * @return {{disconnect: Function}}
+     *         停止监听 / Stops watching.
+     *
+     * @note 浏览器不支持 ResizeObserver 时退化为固定尺寸（disconnect 为空操作）。
+     *       Without ResizeObserver the chart simply keeps its first size (disconnect is a no-op).
+     */
+    function observeWidth(node, onResize) {
+        if (!node || typeof global.ResizeObserver !== 'function') {
+            return { disconnect: function () { } };
+        }
+        let lastWidth = null;
+        const observer = new global.ResizeObserver(function (entries) {
+            const width = Math.floor(entries[entries.length - 1].contentRect.width);
+            if (width <= 0 || width === lastWidth) return;
+            lastWidth = width;
+            onResize(width);
+        });
+        observer.observe(node);
+        return {
+            disconnect: function () { observer.disconnect(); }
+        };
+    }
+
+    /**
+     * @brief 对外暴露的 ChartResponsive 模块 API
+     *        Public ChartResponsive module API.
+     */
+    const api = {
+        /** @brief 断点 / Breakpoints. */
+        BREAKPOINTS: BREAKPOINTS,
+
+        /** @brief 容器的内容宽度 / Content width of a container. */
+        containerWidth: containerWidth,
+
+        /** @brief 是否低于手机断点 / Whether a width is below the phone breakpoint. */
+        isPhone: isPhone,
+
+        /** @brief 监听容器宽度变化 / Watch a container's width. */
+        observeWidth: observeWidth
+    };
+
+    global.ChartResponsive = api;
+
+})(this);
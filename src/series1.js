@@ -4,8 +4,8 @@
  * @brief 系列1：APP 使用情况极坐标图模块
  *        Series 1: Polar chart for app usage.
  *
- * @note 该模块假设全局存在 APP_USAGE_DATA（从 JS 常量文件加载）
- *       This module assumes global APP_USAGE_DATA is available (from JS constant file).
+ * @note 记录由调用方传入（通常来自 DataLoader 加载的 app usage CSV）。
+ *       Records are passed in by the caller (usually the app usage CSV loaded by DataLoader).
  */
 (function (global) {
     'use strict';
@@ -17,8 +17,16 @@
      * @type {Object}
      */
     const DEFAULT_CONFIG = {
-        width: 320,
-        height: 360,
+        /**
+         * @brief 总宽度（像素）；null 表示跟随卡片容器宽度，并在容器尺寸变化时重新布局
+         *        Total width (px); null follows the card container and re-lays out when it resizes.
+         */
+        width: null,
+        /**
+         * @brief 总高度（像素）；null 表示按宽度推算，使内部绘图区为正方形
+         *        Total height (px); null derives it from the width so the inner area is square.
+         */
+        height: null,
         marginTop: 40,
         marginRight: 40,
         marginBottom: 50,
@@ -27,12 +35,49 @@
         outerRadiusRatio: 0.46,
         backgroundRingCount: 3,
         hourLabelStep: 3,
-        transitionDuration: 640
+        transitionDuration: 640,
+        /**
+         * @brief 径向模式：'stacked' 按日期堆叠分段，'magnitude' 按总量单色渐变
+         *        Radial mode: 'stacked' splits wedges per day, 'magnitude' colors by total.
+         */
+        radialMode: 'stacked',
+        /**
+         * @brief 日期颜色比例尺的定义域（多卡片共享时传入，保证同一天同一颜色）
+         *        Date color domain (pass a shared list so every card uses the same colors).
+         */
+        dates: null,
+        /**
+         * @brief 共享日期图例的容器选择器（可选）
+         *        Container selector for the shared date legend (optional).
+         */
+        legendContainer: null,
+        /**
+         * @brief 聚合方式（见 AGGREGATIONS），用于标题与提示文本
+         *        Aggregation mode (see AGGREGATIONS), shown in title and tooltips.
+         */
+        aggregation: 'sum',
+        /**
+         * @brief 径向比例尺：'per-card' 每张卡片各自缩放，'shared' 使用 radialMax 作为共同上限
+         *        Radial scale: 'per-card' scales each card on its own, 'shared' uses radialMax for all.
+         */
+        radialScale: 'per-card',
+        /**
+         * @brief 共享比例尺的定义域上限（分钟），由 buildSeriesForApps 的 maxValue 提供
+         *        Upper domain bound (minutes) for the shared scale, from buildSeriesForApps' maxValue.
+         */
+        radialMax: null,
+        /**
+         * @brief 注释列表（见 annotations.js）：x 为小时（0–23），y 为分钟，省略 y 时取该小时的聚合值；
+         *        带 app 字段的注释只画在对应应用的卡片上
+         *        Annotations (see annotations.js): x is the hour (0–23), y is minutes and defaults to the
+         *        hour's aggregated value; entries with an app field only appear on that app's card.
+         */
+        annotations: []
     };
 
     /**
-     * @brief 小时字段名称列表（与 APP_USAGE_DATA 列名对应）
-     *        Hour column names list (matching APP_USAGE_DATA).
+     * @brief 小时字段名称列表（与 app usage CSV 列名对应）
+     *        Hour column names list (matching the app usage CSV).
      *
      * @type {string[]}
      */
@@ -48,37 +93,55 @@
     })();
 
     /**
-     * @brief startup 风格 APP 配色表（design tokens）
-     *        Startup-style APP color tokens.
-     */
-    const APP_COLOR_TOKENS = {
-        '微信': {
-            hue: 140,   // 统一用 HSL 自适应
-            saturation: 76,
-            lightBase: 48,
-            alphaFrom: 0.16,
-            alphaTo: 0.92
-        },
-        'QQ': {
-            hue: 198,
-            saturation: 88,
-            lightBase: 54,
-            alphaFrom: 0.18,
-            alphaTo: 0.96
-        }
-    };
+     * @brief 导入记录必须包含的列（元信息列 + 24 个小时桶）
+     *        Columns an imported record must have (meta columns + 24 hour buckets).
+     *
+     * @type {string[]}
+     */
+    const REQUIRED_COLUMNS = ['日期', '应用名称', '包名', '总时长'].concat(HOUR_KEYS);
 
     /**
-     * @brief 默认配色（用主品牌紫色）
+     * @brief 校验时允许的「总时长 vs 小时桶之和」误差（分钟，吸收两位小数的舍入）
+     *        Tolerance (minutes) between 总时长 and the sum of hour buckets, absorbing 2-dp rounding.
+     *
+     * @type {number}
      */
-    const DEFAULT_COLOR_TOKEN = {
-        hue: 248,
-        saturation: 86,
-        lightBase: 52,
-        alphaFrom: 0.20,
-        alphaTo: 0.96
+    const TOTAL_TOLERANCE = 1;
+
+    /**
+     * @brief 聚合方式：键 → 展示名称
+     *        Aggregation modes: key → display labels.
+     *
+     * @note zh-CN:
+     *  - sum：所选日期内逐时辰求和
+     *  - mean-observed：除以该 App 有记录的天数
+     *  - mean-calendar：除以所选日历天数（无记录的日子按 0 计）
+     *  - median / max：在有记录的日子之间取中位数 / 最大值
+     *
+     * @note en-US:
+     *  - sum: per-hour total over the selected dates
+     *  - mean-observed: divided by the number of days the app has a record
+     *  - mean-calendar: divided by the number of selected calendar days (missing days count as 0)
+     *  - median / max: median / max across the days the app has a record
+     *
+     * @type {Object.<string, {short: string, label: string}>}
+     */
+    const AGGREGATIONS = {
+        'sum': { short: '合计', label: '合计 / Sum' },
+        'mean-observed': { short: '日均（有记录日）', label: '日均·有记录日 / Mean per observed day' },
+        'mean-calendar': { short: '日均（日历日）', label: '日均·日历日 / Mean per calendar day' },
+        'median': { short: '中位数', label: '中位数 / Median' },
+        'max': { short: '最大值', label: '最大值 / Max' }
     };
 
+    /**
+     * @brief 星期名称（索引与 Date#getUTCDay 对应）
+     *        Weekday names (indexed by Date#getUTCDay).
+     *
+     * @type {string[]}
+     */
+    const WEEKDAY_NAMES = ['周日', '周一', '周二', '周三', '周四', '周五', '周六'];
+
     /**
      * @brief 将 token 转换为渐变色结构
      *
@@ -95,11 +158,154 @@
     }
 
     /**
-     * @brief 获取 APP 配色（含 fallback + 自适应）
+     * @brief 获取 APP 配色（取自当前主题的 token，未登记的应用用默认 token）
+     *        Get an app's colors (from the current theme's tokens; unregistered apps use the default token).
      */
     function getAppColorStops(appName) {
-        const token = APP_COLOR_TOKENS[appName] || DEFAULT_COLOR_TOKEN;
-        return tokenToColorStops(token);
+        return tokenToColorStops(ChartTheme.appToken(appName));
+    }
+
+    /**
+     * @brief 获取日期（YYYY-MM-DD）对应的星期名称
+     *        Get weekday name for a YYYY-MM-DD date string.
+     *
+     * @param {string} date
+     *        日期字符串 / Date string.
+     * @return {string}
+     *         星期名称，无法解析时返回空串 / Weekday name, or '' when unparsable.
+     */
+    function weekdayOf(date) {
+        const d = new Date(date + 'T00:00:00Z');
+        return isNaN(d.getTime()) ? '' : WEEKDAY_NAMES[d.getUTCDay()];
+    }
+
+    /**
+     * @brief 判断日期是否为周末（周六 / 周日）
+     *        Whether a date falls on a weekend (Saturday / Sunday).
+     *
+     * @param {string} date
+     *        日期字符串 / Date string.
+     * @return {boolean}
+     */
+    function isWeekend(date) {
+        const d = new Date(date + 'T00:00:00Z');
+        const day = d.getUTCDay();
+        return day === 0 || day === 6;
+    }
+
+    /**
+     * @brief 日期的简短展示文本，例如 "10-22 周三"
+     *        Short display label for a date, e.g. "10-22 周三".
+     *
+     * @param {string} date
+     *        日期字符串 / Date string.
+     * @return {string}
+     */
+    function formatDateLabel(date) {
+        const weekday = weekdayOf(date);
+        const short = /^\d{4}-/.test(date) ? date.slice(5) : date;
+        return weekday ? short + ' ' + weekday : short;
+    }
+
+    /**
+     * @brief 收集记录中出现过的所有日期（升序）
+     *        Collect all distinct dates appearing in records (ascending).
+     *
+     * @param {Object[]} records
+     *        原始记录数组 / Raw records array.
+     * @return {string[]}
+     */
+    function collectDates(records) {
+        const set = new Set();
+        records.forEach(function (row) {
+            if (row['日期'] != null && row['日期'] !== '') {
+                set.add(String(row['日期']));
+            }
+        });
+        return Array.from(set).sort(d3.ascending);
+    }
+
+    /**
+     * @brief 按日期筛选条件求出生效的日期
+     *        Resolve the dates kept by a day filter.
+     *
+     * @param {string[]} dates
+     *        全部日期（升序）/ All dates (ascending).
+     * @param {Object} [dayFilter]
+     *        { mode: 'all' | 'weekdays' | 'weekends' | 'custom', dates: string[] }，
+     *        custom 模式下使用 dates 列表 / custom mode uses the dates list.
+     * @return {string[]}
+     *         生效日期（升序）/ Kept dates (ascending).
+     */
+    function resolveDayFilter(dates, dayFilter) {
+        const mode = dayFilter && dayFilter.mode ? dayFilter.mode : 'all';
+        if (mode === 'weekdays') {
+            return dates.filter(function (d) { return !isWeekend(d); });
+        }
+        if (mode === 'weekends') {
+            return dates.filter(isWeekend);
+        }
+        if (mode === 'custom') {
+            const picked = new Set(dayFilter.dates || []);
+            return dates.filter(function (d) { return picked.has(d); });
+        }
+        return dates.slice();
+    }
+
+    /**
+     * @brief 按日期筛选条件过滤原始记录
+     *        Filter raw records by a day filter.
+     *
+     * @param {Object[]} records
+     *        原始记录数组 / Raw records array.
+     * @param {Object} [dayFilter]
+     *        见 resolveDayFilter / See resolveDayFilter.
+     * @return {Object[]}
+     */
+    function filterRecordsByDay(records, dayFilter) {
+        const kept = new Set(resolveDayFilter(collectDates(records), dayFilter));
+        return records.filter(function (row) {
+            return kept.has(String(row['日期']));
+        });
+    }
+
+    /**
+     * @brief 从 24 小时序列中收集出现过的日期（升序）
+     *        Collect dates appearing in a 24-hour series (ascending).
+     *
+     * @param {Object[]} hourlySeries
+     *        buildHourlySeriesForApp 的结果 / Result of buildHourlySeriesForApp.
+     * @return {string[]}
+     */
+    function collectDatesFromSeries(hourlySeries) {
+        const set = new Set();
+        hourlySeries.forEach(function (h) {
+            h.days.forEach(function (d) { set.add(d.date); });
+        });
+        return Array.from(set).sort(d3.ascending);
+    }
+
+    /**
+     * @brief 构造日期 → 颜色的序数比例尺
+     *        Build an ordinal date → color scale.
+     *
+     * @param {string[]} dates
+     *        日期定义域（升序）/ Date domain (ascending).
+     * @return {Function}
+     *         d3.scaleOrdinal 实例 / d3.scaleOrdinal instance.
+     *
+     * @note 日期数不超过当前主题的分类色数量时直接使用分类色；更长的区间改为从彩虹色带均匀取样。
+     *       Up to as many days as the current theme has categorical colors use those colors;
+     *       longer ranges sample the sinebow ramp evenly.
+     */
+    function buildDateColorScale(dates) {
+        const categorical = ChartTheme.tokens().categorical;
+        const range = dates.length <= categorical.length
+            ? categorical
+            : d3.quantize(d3.interpolateSinebow, dates.length + 1).slice(0, dates.length);
+        return d3.scaleOrdinal()
+            .domain(dates)
+            .range(range);
     }
 
     /**
@@ -147,52 +353,361 @@
         return byApp;
     }
 
+    /**
+     * @brief 汇总每个应用的包名与总时长，按总时长降序
+     *        Summarize package name and total minutes per app, sorted by total desc.
+     *
+     * @param {Object[]} records
+     *        原始记录数组 / Raw records array.
+     * @return {{name: string, packageName: string, total: number}[]}
+     */
+    function summarizeApps(records) {
+        const summary = [];
+        groupByApp(records).forEach(function (rows, name) {
+            summary.push({
+                name: name,
+                packageName: rows[0]['包名'] || '',
+                total: d3.sum(rows, function (r) {
+                    const v = typeof r['总时长'] === 'number' ? r['总时长'] : parseFloat(r['总时长']);
+                    return isNaN(v) ? 0 : v;
+                })
+            });
+        });
+        return summary.sort(function (a, b) {
+            return d3.descending(a.total, b.total) || d3.ascending(a.name, b.name);
+        });
+    }
+
+    /**
+     * @brief 按 HOUR_KEYS schema 校验记录，拆分为合法记录与错误报告
+     *        Validate records against the HOUR_KEYS schema, splitting valid rows from errors.
+     *
+     * @param {Object[]} records
+     *        待校验记录（数值列应已转换为 number；d3.csvParse 的结果带 columns 表头）/
+     *        Records to validate (numeric columns already coerced to numbers; d3.csvParse results
+     *        carry the header as columns).
+     * @return {{valid: Object[], errors: {row: number, message: string}[]}}
+     *         valid 为通过校验的记录；errors 中 row 为 1 起始的记录序号，0 表示整体结构错误 /
+     *         valid holds passing rows; in errors, row is the 1-based record index, 0 for structural errors.
+     */
+    function validateRecords(records) {
+        /** @type {{row: number, message: string}[]} */
+        const errors = [];
+        const valid = [];
+
+        if (!Array.isArray(records) || records.length === 0) {
+            errors.push({ row: 0, message: '没有任何记录 / no records found' });
+            return { valid: valid, errors: errors };
+        }
+
+        // CSV 的表头缺列是整体结构错误 / a CSV header without a column is a structural error
+        if (Array.isArray(records.columns)) {
+            const missing = REQUIRED_COLUMNS.filter(function (key) {
+                return records.columns.indexOf(key) === -1;
+            });
+            if (missing.length > 0) {
+                errors.push({
+                    row: 0,
+                    message: '缺少列 / missing columns: ' + missing.join(', ')
+                });
+                return { valid: valid, errors: errors };
+            }
+        }
+
+        records.forEach(function (row, index) {
+            // 每条记录都检查列（JSON 的各条记录字段可以不同）/ check columns on every record (JSON records may differ)
+            const absent = REQUIRED_COLUMNS.filter(function (key) {
+                return !row || !Object.prototype.hasOwnProperty.call(row, key);
+            });
+            if (absent.length > 0) {
+                errors.push({ row: index + 1, message: '缺少列 / missing columns: ' + absent.join(', ') });
+                return;
+            }
+
+            const problems = [];
+
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(String(row['日期']))) {
+                problems.push('日期格式应为 YYYY-MM-DD / bad date "' + row['日期'] + '"');
+            }
+            if (!row['应用名称']) {
+                problems.push('应用名称为空 / empty app name');
+            }
+
+            let sum = 0;
+            HOUR_KEYS.forEach(function (key) {
+                const v = row[key];
+                if (typeof v !== 'number' || !isFinite(v) || v < 0 || v > 60) {
+                    problems.push(key + ' 应为 0–60 的分钟数 / must be 0–60 minutes, got "' + v + '"');
+                } else {
+                    sum += v;
+                }
+            });
+
+            const total = row['总时长'];
+            if (typeof total !== 'number' || !isFinite(total) || total < 0) {
+                problems.push('总时长无效 / invalid 总时长 "' + total + '"');
+            } else if (problems.length === 0 && Math.abs(total - sum) > TOTAL_TOLERANCE) {
+                problems.push('总时长与小时桶之和不符 / 总时长 ' + total + ' ≠ Σ hours ' + sum.toFixed(2));
+            }
+
+            if (problems.length > 0) {
+                errors.push({ row: index + 1, message: problems.join('; ') });
+            } else {
+                valid.push(row);
+            }
+        });
+
+        return { valid: valid, errors: errors };
+    }
+
     /**
      * @brief 针对单个应用，聚合为 24 小时序列
      *        Build 24-hour aggregated series for a single app.
      *
      * @param {Object[]} appRecords
      *        属于同一应用的所有记录 / All records of one app.
+     * @param {Object} [userOptions]
+     *        可选 { aggregation, calendarDays }：聚合方式（默认 sum）及日历天数
+     *        （mean-calendar 的分母，默认等于有记录的天数）/
+     *        Optional { aggregation, calendarDays }: mode (default sum) and number of
+     *        calendar days (denominator of mean-calendar, defaults to observed days).
      * @return {Object[]}
-     *         形如 [{ hour: 0, label: "0:00-0:59", value: 12.3 }, ...] 的数组 /
-     *         Array of objects like above.
+     *         形如 [{ hour: 0, label: "0:00-0:59", value: 12.3, days: [...], parts: [...] }, ...]
+     *         的数组：value 为聚合值；days 为该时辰按日期（升序）的原始分钟数；
+     *         parts 为各日期对 value 的贡献（之和等于 value），用于堆叠 /
+     *         value is the aggregated value; days holds the raw per-date minutes (ascending);
+     *         parts holds each date's contribution to value (summing to value), used for stacking.
      */
-    function buildHourlySeriesForApp(appRecords) {
+    function buildHourlySeriesForApp(appRecords, userOptions) {
+        const opts = userOptions || {};
+        const mode = opts.aggregation || 'sum';
+        if (!AGGREGATIONS[mode]) {
+            throw new Error('AppUsageSeries1: 未知聚合方式 / unknown aggregation: ' + mode);
+        }
+
         const hours = [];
         for (let i = 0; i < 24; i++) {
             hours.push({
                 hour: i,
                 label: HOUR_KEYS[i],
-                value: 0
+                value: 0,
+                days: [],
+                parts: []
             });
         }
 
-        appRecords.forEach(function (row) {
+        const sorted = appRecords.slice().sort(function (a, b) {
+            return d3.ascending(String(a['日期']), String(b['日期']));
+        });
+
+        sorted.forEach(function (row) {
+            const date = String(row['日期']);
             for (let i = 0; i < 24; i++) {
                 const key = HOUR_KEYS[i];
                 const raw = row[key];
                 const v = typeof raw === 'number' ? raw : parseFloat(raw);
-                if (!isNaN(v)) {
-                    hours[i].value += v;
+                if (isNaN(v)) {
+                    continue;
+                }
+                hours[i].value += v;
+
+                const days = hours[i].days;
+                const last = days[days.length - 1];
+                if (last && last.date === date) {
+                    last.value += v;
+                } else {
+                    days.push({ date: date, value: v });
                 }
             }
         });
 
+        const observedDays = new Set(sorted.map(function (row) { return String(row['日期']); })).size;
+        const calendarDays = opts.calendarDays != null ? opts.calendarDays : observedDays;
+
+        hours.forEach(function (h) {
+            aggregateHour(h, mode, observedDays, calendarDays);
+        });
+
         return hours;
     }
 
     /**
-     * @brief 计算内部绘图区域尺寸
-     *        Compute inner chart area size.
+     * @brief 按聚合方式改写单个时辰的 value 与 parts
+     *        Rewrite value and parts of one hour according to the aggregation mode.
+     *
+     * @param {Object} h
+     *        时辰条目（value 为原始合计）/ Hour entry (value holds the raw sum).
+     * @param {string} mode
+     *        聚合方式 / Aggregation mode.
+     * @param {number} observedDays
+     *        有记录的天数 / Days with a record.
+     * @param {number} calendarDays
+     *        日历天数 / Calendar days.
+     *
+     * @note 均值按比例缩放各日贡献；中位数 / 最大值只把取到该值的日期作为分段，
+     *       这样堆叠颜色仍能回答「是哪一天」。
+     *       Means scale every day's contribution; median / max keep only the day(s) that
+     *       produce the value, so stacked colors still answer "which day".
+     */
+    function aggregateHour(h, mode, observedDays, calendarDays) {
+        const days = h.days;
+
+        if (mode === 'mean-observed' || mode === 'mean-calendar') {
+            const n = mode === 'mean-observed' ? observedDays : calendarDays;
+            const factor = n > 0 ? 1 / n : 0;
+            h.value *= factor;
+            h.parts = days.map(function (d) { return { date: d.date, value: d.value * factor }; });
+            return;
+        }
+
+        if (mode === 'median' || mode === 'max') {
+            const ranked = days.slice().sort(function (a, b) { return d3.ascending(a.value, b.value); });
+            const n = ranked.length;
+            if (n === 0) {
+                h.value = 0;
+                h.parts = [];
+            } else if (mode === 'max') {
+                const top = ranked[n - 1];
+                h.value = top.value;
+                h.parts = [{ date: top.date, value: top.value }];
+            } else if (n % 2 === 1) {
+                const mid = ranked[(n - 1) / 2];
+                h.value = mid.value;
+                h.parts = [{ date: mid.date, value: mid.value }];
+            } else {
+                const lo = ranked[n / 2 - 1];
+                const hi = ranked[n / 2];
+                h.value = (lo.value + hi.value) / 2;
+                h.parts = [lo, hi]
+                    .map(function (d) { return { date: d.date, value: d.value / 2 }; })
+                    .sort(function (a, b) { return d3.ascending(a.date, b.date); });
+            }
+            return;
+        }
+
+        h.parts = days.map(function (d) { return { date: d.date, value: d.value }; });
+    }
+
+    /**
+     * @brief 将 24 小时序列展开为按日期堆叠的扇形分段
+     *        Flatten a 24-hour series into per-day stacked wedge segments.
+     *
+     * @param {Object[]} hourlySeries
+     *        buildHourlySeriesForApp 的结果 / Result of buildHourlySeriesForApp.
+     * @return {Object[]}
+     *         [{ key, hour, label, date, value, y0, y1, total, days }, ...]，只包含非零分段 /
+     *         Non-zero segments only; y0/y1 are cumulative minutes within the hour,
+     *         days is the hour's raw per-date breakdown.
+     */
+    function buildStackedSegments(hourlySeries) {
+        const segments = [];
+        hourlySeries.forEach(function (h) {
+            let y0 = 0;
+            (h.parts || h.days).forEach(function (d) {
+                if (!(d.value > 0)) {
+                    return;
+                }
+                segments.push({
+                    key: h.hour + '|' + d.date,
+                    hour: h.hour,
+                    label: h.label,
+                    date: d.date,
+                    value: d.value,
+                    y0: y0,
+                    y1: y0 + d.value,
+                    total: h.value,
+                    days: h.days
+                });
+                y0 += d.value;
+            });
+        });
+        return segments;
+    }
+
+    /**
+     * @brief 单色模式下的扇形分段：每个非零时辰一个整段
+     *        Segments for magnitude mode: one whole segment per non-zero hour.
+     *
+     * @param {Object[]} hourlySeries
+     *        buildHourlySeriesForApp 的结果 / Result of buildHourlySeriesForApp.
+     * @return {Object[]}
+     *         与 buildStackedSegments 同结构，date 为 null /
+     *         Same shape as buildStackedSegments, with date set to null.
+     */
+    function buildMagnitudeSegments(hourlySeries) {
+        return hourlySeries
+            .filter(function (h) { return h.value > 0; })
+            .map(function (h) {
+                return {
+                    key: String(h.hour),
+                    hour: h.hour,
+                    label: h.label,
+                    date: null,
+                    value: h.value,
+                    y0: 0,
+                    y1: h.value,
+                    total: h.value,
+                    days: h.days
+                };
+            });
+    }
+
+    /**
+     * @brief 容器尚未布局时使用的宽度（像素）
+     *        Width used while the container has no layout yet (px).
+     *
+     * @type {number}
+     */
+    const FALLBACK_WIDTH = 320;
+
+    /**
+     * @brief 手机断点以下覆盖的边距（卡片占满屏宽时把空间留给极坐标图）
+     *        Margins overridden below the phone breakpoint (a full-width card gives the
+     *        room to the polar chart).
+     *
+     * @type {Object}
+     */
+    const COMPACT_LAYOUT = {
+        marginLeft: 16,
+        marginRight: 16
+    };
+
+    /**
+     * @brief 按实际宽度解析布局尺寸
+     *        Resolve layout sizes for an actual width.
      *
      * @param {Object} cfg
      *        配置对象 / Config object.
+     * @param {number} width
+     *        总宽度（cfg.width 或容器宽度）/ Total width (cfg.width or the container width).
+     * @return {Object}
+     *         带实际 width / height / 边距的配置副本，另含 compact /
+     *         A copy of the config with the actual width / height / margins, plus compact.
+     */
+    function resolveLayout(cfg, width) {
+        const compact = ChartResponsive.isPhone(width);
+        const layout = Object.assign({}, cfg, compact ? COMPACT_LAYOUT : null, {
+            width: width,
+            compact: compact
+        });
+        if (layout.height == null) {
+            layout.height = width - layout.marginLeft - layout.marginRight + layout.marginTop + layout.marginBottom;
+        }
+        return layout;
+    }
+
+    /**
+     * @brief 计算内部绘图区域尺寸
+     *        Compute inner chart area size.
+     *
+     * @param {Object} layout
+     *        resolveLayout 的结果 / Result of resolveLayout.
      * @return {Object}
      *         { innerWidth, innerHeight }
      */
-    function computeInnerSize(cfg) {
-        const innerWidth = cfg.width - cfg.marginLeft - cfg.marginRight;
-        const innerHeight = cfg.height - cfg.marginTop - cfg.marginBottom;
+    function computeInnerSize(layout) {
+        const innerWidth = layout.width - layout.marginLeft - layout.marginRight;
+        const innerHeight = layout.height - layout.marginTop - layout.marginBottom;
         return {
             innerWidth: innerWidth,
             innerHeight: innerHeight
@@ -200,182 +715,714 @@
     }
 
     /**
-     * @brief 创建 SVG 根节点并返回绘图分组
-     *        Create SVG root and return main group.
+     * @brief 计算极坐标几何：中心与半径
+     *        Compute the polar geometry: center and radii.
      *
-     * @param {string} containerSelector
-     *        容器选择器 / Container CSS selector.
+     * @param {Object} layout
+     *        resolveLayout 的结果 / Result of resolveLayout.
+     * @return {Object}
+     *         { cx, cy, radius, innerRadius, outerRadius }
+     */
+    function computePolarGeometry(layout) {
+        const size = computeInnerSize(layout);
+        const radius = Math.min(size.innerWidth, size.innerHeight) / 2;
+        return {
+            cx: layout.marginLeft + size.innerWidth / 2,
+            cy: layout.marginTop + size.innerHeight / 2,
+            radius: radius,
+            innerRadius: radius * layout.innerRadiusRatio,
+            outerRadius: radius * layout.outerRadiusRatio
+        };
+    }
+
+    /**
+     * @brief 创建 SVG 根节点并返回绘图分组（尺寸由 viewBox 描述，见 createAppChart 的 applyLayout）
+     *        Create SVG root and return main group (sized through the viewBox, see applyLayout
+     *        in createAppChart).
+     *
+     * @param {string|Element} containerSelector
+     *        容器选择器或元素 / Container CSS selector or element.
      * @param {Object} cfg
      *        配置对象 / Config.
      * @return {Object}
-     *         { svg, g, radius, innerRadius, outerRadius }
+     *         { svg, g }
+     *
+     * @note SVG 占满卡片宽度、高度按 viewBox 等比；固定 width 时用 max-width 限制放大。
+     *       The SVG fills the card width with the height following the viewBox ratio; a fixed
+     *       width caps it with max-width.
      */
     function createSvgRoot(containerSelector, cfg) {
-        const size = computeInnerSize(cfg);
         const svg = d3.select(containerSelector)
             .append('svg')
             .attr('class', 'series1-svg')
-            .attr('width', cfg.width)
-            .attr('height', cfg.height);
-
-        const g = svg.append('g')
-            .attr(
-                'transform',
-                'translate(' +
-                (cfg.marginLeft + size.innerWidth / 2) + ',' +
-                (cfg.marginTop + size.innerHeight / 2) + ')'
-            );
+            .attr('preserveAspectRatio', 'xMidYMid meet')
+            .style('max-width', cfg.width != null ? cfg.width + 'px' : null);
 
-        const radius = Math.min(size.innerWidth, size.innerHeight) / 2;
-        const innerRadius = radius * cfg.innerRadiusRatio;
-        const outerRadius = radius * cfg.outerRadiusRatio;
+        const g = svg.append('g');
 
         return {
             svg: svg,
-            g: g,
-            radius: radius,
-            innerRadius: innerRadius,
-            outerRadius: outerRadius
+            g: g
         };
     }
 
     /**
-     * @brief 为单个应用绘制极坐标图
-     *        Render polar chart for a single app.
+     * @brief 绘制小时刻度标签（只依赖几何尺寸，创建与重新布局时绘制）
+     *        Draw hour labels (geometry only, drawn on create and on re-layout).
+     *
+     * @param {Object} labelGroup
+     *        标签分组（d3 selection）/ Label group selection.
+     * @param {Function} angle
+     *        角度 band 比例尺 / Angle band scale.
+     * @param {number} outerRadius
+     *        外半径 / Outer radius.
+     * @param {Object} cfg
+     *        配置对象 / Config.
+     */
+    function renderHourLabels(labelGroup, angle, outerRadius, cfg) {
+        const hours = angle.domain().filter(function (h) {
+            return h % cfg.hourLabelStep === 0;
+        });
+
+        labelGroup.selectAll('text.series1-hour-label')
+            .data(hours)
+            .join('text')
+            .attr('class', 'series1-hour-label')
+            .attr('x', function (h) {
+                return Math.cos(angle(h) + angle.bandwidth() / 2 - Math.PI / 2) * (outerRadius + 12);
+            })
+            .attr('y', function (h) {
+                return Math.sin(angle(h) + angle.bandwidth() / 2 - Math.PI / 2) * (outerRadius + 12);
+            })
+            .attr('text-anchor', 'middle')
+            .attr('alignment-baseline', 'middle')
+            .text(function (h) { return h; });
+    }
+
+    /**
+     * @brief 构造扇形分段的提示框内容
+     *        Build tooltip content for a wedge segment.
      *
-     * @param {string} containerSelector
-     *        容器选择器 / Container selector.
      * @param {string} appName
      *        应用名称 / App name.
+     * @param {Object} d
+     *        扇形分段 / Segment.
+     * @param {Object} context
+     *        { aggregation, seriesTotal, dateColor }：聚合方式、全天聚合总量、日期颜色 /
+     *        Aggregation mode, aggregated whole-day total and date color scale.
+     * @return {Object}
+     *         ChartTooltip 内容 / ChartTooltip content.
+     */
+    function segmentTooltip(appName, d, context) {
+        const mode = AGGREGATIONS[context.aggregation] || AGGREGATIONS.sum;
+        const share = context.seriesTotal > 0 ? d.total / context.seriesTotal : 0;
+
+        const rows = [
+            { label: '本时段 · ' + mode.short, value: d.total.toFixed(1) + ' min' },
+            { label: '占全天 / Share of day', value: d3.format('.1%')(share) }
+        ];
+        if (d.date != null && d.value !== d.total) {
+            rows.splice(1, 0, {
+                label: formatDateLabel(d.date) + ' 贡献',
+                value: d.value.toFixed(1) + ' min',
+                color: context.dateColor(d.date)
+            });
+        }
+
+        // 按日明细（原始分钟数）/ per-day breakdown (raw minutes)
+        d.days.forEach(function (day) {
+            rows.push({
+                label: formatDateLabel(day.date),
+                value: day.value.toFixed(1) + ' min',
+                color: context.dateColor(day.date),
+                active: day.date === d.date
+            });
+        });
+
+        return {
+            title: appName,
+            subtitle: d.label + (d.date != null ? ' · ' + formatDateLabel(d.date) : '') + ' · ' + mode.short,
+            rows: rows,
+            footer: context.aggregation === 'sum' ? null : '按日明细为原始分钟数 / per-day rows show raw minutes'
+        };
+    }
+
+    /**
+     * @brief 构造极坐标注释适配器（小时 → 角度，分钟 → 半径）
+     *        Build the polar annotation layout (hour → angle, minutes → radius).
+     *
+     * @param {d3.ScaleBand} angle
+     *        小时角度比例尺 / Hour angle scale.
+     * @param {d3.ScaleLinear} radius
+     *        分钟半径比例尺 / Minutes radius scale.
      * @param {Object[]} hourlySeries
-     *        24 小时聚合序列 / 24-hour aggregated series.
+     *        当前 24 小时序列 / Current 24-hour series.
+     * @return {Object}
+     *         ChartAnnotations.render 所需的 layout / Layout for ChartAnnotations.render.
+     */
+    function buildPolarLayout(angle, radius, hourlySeries) {
+        const r = radius.copy().clamp(true);
+        const range = r.range();
+
+        function midAngle(hour) {
+            return angle(hour) + angle.bandwidth() / 2;
+        }
+
+        function polar(a, rad) {
+            return [rad * Math.sin(a), -rad * Math.cos(a)];
+        }
+
+        return {
+            point: function (hour, value) {
+                if (angle(hour) == null) return null;
+                return polar(midAngle(hour), r(value));
+            },
+            band: function (from, to) {
+                if (angle(from) == null || angle(to) == null) return null;
+                const start = angle(from);
+                let end = angle(to) + angle.bandwidth();
+                // 跨午夜的区间（如 22–2 点）/ ranges wrapping past midnight (e.g. 22–2h)
+                if (end <= start) end += Math.PI * 2;
+                return {
+                    path: d3.arc()({
+                        innerRadius: range[0],
+                        outerRadius: range[1],
+                        startAngle: start,
+                        endAngle: end
+                    }),
+                    labelAt: polar((start + end) / 2, range[1] - 10),
+                    textAnchor: 'middle'
+                };
+            },
+            threshold: function (value) {
+                const rad = r(value);
+                return {
+                    path: d3.arc()({
+                        innerRadius: rad,
+                        outerRadius: rad,
+                        startAngle: 0,
+                        endAngle: Math.PI * 2
+                    }),
+                    // 放在参考环标注的另一侧 / opposite side from the ring labels
+                    labelAt: [-3, -rad - 2],
+                    textAnchor: 'end'
+                };
+            },
+            valueAt: function (a) {
+                const h = hourlySeries[a.x];
+                return h ? h.value : null;
+            }
+        };
+    }
+
+    /**
+     * @brief 创建单个应用的极坐标图实例
+     *        Create a polar chart instance for a single app.
+     *
+     * @param {string|Element} containerSelector
+     *        容器选择器或元素 / Container selector or element.
+     * @param {string} appName
+     *        应用名称 / App name.
      * @param {Object} userOptions
      *        用户配置 / User options.
+     * @return {Object}
+     *         { update(hourlySeries, options), node(), destroy() }
+     *
+     * @note zh-CN:
+     *  骨架（SVG、分组、小时标签、标题）只在创建时生成；update 通过 D3 join
+     *  让背景环与扇形从旧状态过渡到新状态：新增分段从中心长出，消失的分段缩回中心。
+     *
+     * @note en-US:
+     *  The skeleton (SVG, groups, hour labels, title) is built once; update uses D3 joins
+     *  so rings and wedges transition from the previous state: new segments grow out of the
+     *  center and removed ones shrink back into it.
+     *
+     * @note 未指定 width 时尺寸取自卡片容器，容器变化（ResizeObserver）会重新布局并立即重绘。
+     *       Without a width the chart is sized from its card and re-lays out and redraws
+     *       immediately when the card resizes (ResizeObserver).
+     *
+     * @example
+     *   const chart = AppUsageSeries1.create('#card', '微信');
+     *   chart.update(hourlySeries);
+     *   chart.update(otherSeries, { radialMode: 'magnitude' });
+     *   chart.destroy();
      */
-    function renderAppChart(containerSelector, appName, hourlySeries, userOptions) {
-        const cfg = mergeConfig(userOptions);
+    function createAppChart(containerSelector, appName, userOptions) {
+        let cfg = mergeConfig(userOptions);
 
+        const containerNode = d3.select(containerSelector).node();
         const root = createSvgRoot(containerSelector, cfg);
         const g = root.g;
-        const innerRadius = root.innerRadius;
-        const outerRadius = root.outerRadius;
 
-        const maxValue = d3.max(hourlySeries, function (d) { return d.value; }) || 0;
+        /** @type {Object} 当前布局（见 resolveLayout）/ current layout (see resolveLayout) */
+        let layout = null;
+        let innerRadius = 0;
+        let outerRadius = 0;
+
+        const ringGroup = g.append('g').attr('class', 'background-rings');
+        const arcGroup = g.append('g').attr('class', 'series1-arcs');
+        const labelGroup = g.append('g').attr('class', 'series1-hour-labels');
+        const annotationGroup = g.append('g').attr('class', 'series1-annotations annotation-layer');
+
+        // 标题 / title（第二行显示当前聚合方式 / second line shows the aggregation mode）
+        const title = g.append('text')
+            .attr('class', 'series1-title')
+            .attr('x', 0)
+            .attr('text-anchor', 'middle')
+            .text(appName);
+
+        const subtitle = g.append('text')
+            .attr('class', 'series1-subtitle')
+            .attr('x', 0)
+            .attr('text-anchor', 'middle');
 
         const angle = d3.scaleBand()
-            .domain(hourlySeries.map(function (d) { return d.hour; }))
+            .domain(d3.range(24))
             .range([0, Math.PI * 2])
             .align(0);
 
-        const radius = d3.scaleLinear()
-            .domain([0, maxValue || 1])
-            .range([innerRadius, outerRadius])
-            .nice();
-
-        // 背景环 / background rings
-        const ringStepCount = cfg.backgroundRingCount;
-        if (ringStepCount > 0) {
-            const ticks = radius.ticks(ringStepCount);
-            const gr = g.append('g').attr('class', 'background-rings');
-            ticks.forEach(function (t) {
-                gr.append('circle')
-                    .attr('class', 'series1-ring')
-                    .attr('r', radius(t));
-            });
-        }
-
-        // 为该 App 构造颜色渐变尺度 / build color scale for this app
-        const colorStops = getAppColorStops(appName);
-        const colorScale = d3.scaleLinear()
-            .domain([0, maxValue || 1])
-            .range([colorStops.from, colorStops.to]);
-
-        // 扇形（使用 d3.arc），先定义“目标形状”和“初始形状”
-        // arc used for final state
-        const arcFinal = d3.arc()
-            .innerRadius(function () { return radius(0); })
-            .outerRadius(function (d) { return radius(d.value); })
+        // 扇形以像素半径描述，比例尺变化时也能从旧形状平滑过渡
+        // segments are described in pixel radii so shapes tween smoothly across scale changes
+        const arc = d3.arc()
+            .innerRadius(function (d) { return d.r0; })
+            .outerRadius(function (d) { return d.r1; })
             .startAngle(function (d) { return angle(d.hour); })
             .endAngle(function (d) { return angle(d.hour) + angle.bandwidth(); })
-            .padAngle(0.02)
-            .padRadius(innerRadius);
+            .padAngle(0.02);
 
-        // arc used for entry animation (all collapsed to inner radius)
-        const arcInitial = d3.arc()
-            .innerRadius(function () { return radius(0); })
-            .outerRadius(function () { return radius(0); })
-            .startAngle(function (d) { return angle(d.hour); })
-            .endAngle(function (d) { return angle(d.hour) + angle.bandwidth(); })
-            .padAngle(0.02)
-            .padRadius(innerRadius);
+        const tooltip = ChartTooltip.shared();
+        let tooltipContext = null;
 
-        const arcGroup = g.append('g').attr('class', 'series1-arcs');
+        /** @type {Object[]|null} 最近一次 update 的序列 / series of the latest update */
+        let lastSeries = null;
 
-        // 先 append path，再单独追加 title，再做 transition，
-        // 避免链式调用里混入 transition 影响结构。
-        const arcEnter = arcGroup.selectAll('path')
-            .data(hourlySeries)
-            .enter()
-            .append('path')
-            .attr('class', 'series1-arc')
-            .attr('fill', function (d) {
-                return colorScale(d.value || 0);
-            })
-            // 初始形状：收缩在中心 / initial collapsed shape
-            .attr('d', arcInitial);
-
-        // tooltip title
-        arcEnter
-            .append('title')
-            .text(function (d) {
-                return appName + ' ' + d.label + ': ' + d.value.toFixed(1) + ' min';
+        /**
+         * @brief 实际宽度：固定 width 时用它，否则用观察到的宽度或读取卡片容器宽度
+         *        Actual width: the fixed width when set, otherwise the observed width or the
+         *        measured card container width.
+         *
+         * @param {number} [observedWidth]
+         *        ResizeObserver 报告的内容宽度 / Content width reported by the ResizeObserver.
+         * @return {number}
+         */
+        function measureWidth(observedWidth) {
+            if (cfg.width != null) return cfg.width;
+            return observedWidth || ChartResponsive.containerWidth(containerNode, FALLBACK_WIDTH);
+        }
+
+        /**
+         * @brief 按布局摆放骨架：viewBox、中心、半径、标题与小时标签
+         *        Position the skeleton for a layout: viewBox, center, radii, titles and hour labels.
+         *
+         * @param {Object} nextLayout
+         *        resolveLayout 的结果 / Result of resolveLayout.
+         */
+        function applyLayout(nextLayout) {
+            layout = nextLayout;
+            const geometry = computePolarGeometry(layout);
+            innerRadius = geometry.innerRadius;
+            outerRadius = geometry.outerRadius;
+
+            root.svg.attr('viewBox', '0 0 ' + layout.width + ' ' + layout.height)
+                .classed('is-compact', layout.compact);
+            g.attr('transform', 'translate(' + geometry.cx + ',' + geometry.cy + ')');
+            title.attr('y', -outerRadius - 24);
+            subtitle.attr('y', outerRadius + 32);
+            arc.padRadius(innerRadius);
+
+            // 小时标签 / hour labels（维持信息完备性，符合 STRUCTURE 要求）
+            renderHourLabels(labelGroup, angle, outerRadius, layout);
+        }
+
+        /**
+         * @brief 按当前配置与宽度重新布局，尺寸变化时才重排
+         *        Re-layout for the current config and width; only re-arranges when the size changed.
+         *
+         * @param {number} [observedWidth]
+         *        ResizeObserver 报告的宽度 / Width reported by the ResizeObserver.
+         * @return {boolean}
+         *         布局是否改变 / Whether the layout changed.
+         */
+        function relayout(observedWidth) {
+            const next = resolveLayout(cfg, measureWidth(observedWidth));
+            const changed = !layout || ['width', 'height', 'marginLeft', 'marginRight', 'hourLabelStep'].some(function (k) {
+                return next[k] !== layout[k];
             });
+            if (changed) applyLayout(next);
+            return changed;
+        }
 
-        // 入场动画：中心向外“长出” / grow from center
-        arcEnter
-            .transition()
-            .duration(cfg.transitionDuration)
-            .delay(function (d) {
-                // 轻微按时间错峰，增强 rhythm / stagger by hour
-                return d.hour * 12;
-            })
-            .attrTween('d', function (d) {
-                const i = d3.interpolate(0, d.value || 0);
-                return function (t) {
-                    const v = i(t);
-                    return arcFinal({
+        relayout();
+
+        // 卡片尺寸变化时重排并立即重绘（不做过渡）/ re-layout and redraw at once when the card resizes
+        const resizeWatcher = ChartResponsive.observeWidth(containerNode, function (width) {
+            if (cfg.width != null) return;
+            if (relayout(width) && lastSeries) draw(true);
+        });
+
+        // 切换主题后按新配色立即重绘 / redraw at once in the new colors after a theme switch
+        const themeWatcher = ChartTheme.observe(function () {
+            if (lastSeries) draw(true);
+        });
+
+        /**
+         * @brief 用新数据 / 新配置更新图表
+         *        Update the chart with new data and/or options.
+         *
+         * @param {Object[]} hourlySeries
+         *        24 小时聚合序列 / 24-hour aggregated series.
+         * @param {Object} [nextOptions]
+         *        需要覆盖的配置 / Options to override.
+         */
+        function update(hourlySeries, nextOptions) {
+            if (nextOptions) {
+                cfg = mergeConfig(Object.assign({}, cfg, nextOptions));
+                root.svg.style('max-width', cfg.width != null ? cfg.width + 'px' : null);
+                relayout();
+            }
+            lastSeries = hourlySeries;
+            draw();
+        }
+
+        /**
+         * @brief 按当前配置与布局重绘最近的序列
+         *        Redraw the latest series with the current config and layout.
+         *
+         * @param {boolean} [immediate]
+         *        跳过过渡（尺寸变化时）/ Skip transitions (on resize).
+         */
+        function draw(immediate) {
+            const hourlySeries = lastSeries;
+            const maxValue = d3.max(hourlySeries, function (d) { return d.value; }) || 0;
+            const domainMax = cfg.radialScale === 'shared' && cfg.radialMax != null
+                ? Math.max(cfg.radialMax, maxValue)
+                : maxValue;
+
+            const radius = d3.scaleLinear()
+                .domain([0, domainMax || 1])
+                .range([innerRadius, outerRadius])
+                .nice();
+
+            const mode = AGGREGATIONS[cfg.aggregation] || AGGREGATIONS.sum;
+            subtitle.text(mode.short + ' · 分钟 / min');
+
+            const stacked = cfg.radialMode === 'stacked';
+            const segments = stacked
+                ? buildStackedSegments(hourlySeries)
+                : buildMagnitudeSegments(hourlySeries);
+
+            const dates = cfg.dates || collectDatesFromSeries(hourlySeries);
+            const dateColor = buildDateColorScale(dates);
+
+            // 提示框在事件触发时读取，始终对应最近一次 update / read by tooltip handlers at event time
+            tooltipContext = {
+                aggregation: cfg.aggregation,
+                seriesTotal: d3.sum(hourlySeries, function (h) { return h.value; }),
+                dateColor: dateColor
+            };
+
+            let fill;
+            if (stacked) {
+                fill = function (d) { return dateColor(d.date); };
+            } else {
+                // 为该 App 构造颜色渐变尺度 / build color scale for this app
+                const colorStops = getAppColorStops(appName);
+                const magnitudeColor = d3.scaleLinear()
+                    .domain([0, maxValue || 1])
+                    .range([colorStops.from, colorStops.to]);
+                fill = function (d) { return magnitudeColor(d.value || 0); };
+            }
+
+            const duration = immediate ? 0 : cfg.transitionDuration;
+
+            // 背景参考环 + 分钟标注 / reference rings with minute labels
+            const ticks = cfg.backgroundRingCount > 0 ? radius.ticks(cfg.backgroundRingCount) : [];
+            const rings = ringGroup.selectAll('g.series1-ring-tick')
+                .data(ticks, function (t) { return t; })
+                .join(
+                    function (enter) {
+                        const tick = enter.append('g')
+                            .attr('class', 'series1-ring-tick')
+                            .attr('opacity', 0);
+                        tick.append('circle')
+                            .attr('class', 'series1-ring')
+                            .attr('r', function (t) { return radius(t); });
+                        tick.append('text')
+                            .attr('class', 'series1-ring-label')
+                            .attr('x', 3)
+                            .attr('y', function (t) { return -radius(t) - 2; })
+                            // 0 分钟就是内圈，不必标注 / the inner circle is 0 min, no label needed
+                            .text(function (t) { return t > 0 ? t + ' min' : ''; });
+                        return tick;
+                    },
+                    function (sel) { return sel; },
+                    function (exit) {
+                        return exit.transition().duration(duration)
+                            .attr('opacity', 0)
+                            .remove();
+                    }
+                );
+
+            rings.transition().duration(duration).attr('opacity', 1);
+            rings.select('circle')
+                .transition()
+                .duration(duration)
+                .attr('r', function (t) { return radius(t); });
+            rings.select('text')
+                .transition()
+                .duration(duration)
+                .attr('y', function (t) { return -radius(t) - 2; });
+
+            // 收缩在中心的形状 / collapsed shape at the center
+            function collapsed(d) {
+                return { hour: d.hour, r0: innerRadius, r1: innerRadius };
+            }
+
+            arcGroup.selectAll('path.series1-arc')
+                .data(segments, function (d) { return d.key; })
+                .join(
+                    function (enter) {
+                        return enter.append('path')
+                            .attr('class', 'series1-arc')
+                            .attr('fill', fill)
+                            .each(function (d) { this._current = collapsed(d); })
+                            .attr('d', function () { return arc(this._current); })
+                            .on('pointerenter', function (event, d) {
+                                tooltip.show(event, segmentTooltip(appName, d, tooltipContext));
+                            })
+                            .on('pointermove', function (event) {
+                                tooltip.move(event);
+                            })
+                            .on('pointerleave', function () {
+                                tooltip.hide();
+                            });
+                    },
+                    function (sel) { return sel; },
+                    function (exit) {
+                        return exit.transition()
+                            .duration(duration)
+                            .attrTween('d', function (d) {
+                                const i = d3.interpolate(this._current, collapsed(d));
+                                return function (t) { return arc(i(t)); };
+                            })
+                            .remove();
+                    }
+                )
+                .classed('series1-arc-segment', stacked)
+                .transition()
+                .duration(duration)
+                .delay(function (d) {
+                    // 轻微按时间错峰，增强 rhythm / stagger by hour
+                    return immediate ? 0 : d.hour * 12;
+                })
+                .attr('fill', fill)
+                .attrTween('d', function (d) {
+                    const i = d3.interpolate(this._current, {
                         hour: d.hour,
-                        value: v
+                        r0: radius(d.y0),
+                        r1: radius(d.y1)
                     });
-                };
-            });
+                    const node = this;
+                    return function (t) {
+                        node._current = i(t);
+                        return arc(node._current);
+                    };
+                });
 
-        // 小时标签 / hour labels（维持信息完备性，符合 STRUCTURE 要求）
-        const labelGroup = g.append('g').attr('class', 'series1-hour-labels');
-        hourlySeries.forEach(function (d) {
-            if (d.hour % cfg.hourLabelStep !== 0) {
-                return;
-            }
-            const a = angle(d.hour) + angle.bandwidth() / 2 - Math.PI / 2;
-            const r = outerRadius + 12;
-            const x = Math.cos(a) * r;
-            const y = Math.sin(a) * r;
-            labelGroup.append('text')
-                .attr('class', 'series1-hour-label')
-                .attr('x', x)
-                .attr('y', y)
-                .attr('text-anchor', 'middle')
-                .attr('alignment-baseline', 'middle')
-                .text(d.hour);
+            ChartAnnotations.render(
+                annotationGroup,
+                (cfg.annotations || []).filter(function (a) { return a.app == null || a.app === appName; }),
+                buildPolarLayout(angle, radius, hourlySeries),
+                { duration: duration }
+            );
+        }
+
+        /**
+         * @brief 销毁图表：中断过渡并移除 SVG
+         *        Destroy the chart: interrupt transitions and remove the SVG.
+         */
+        function destroy() {
+            tooltip.hide();
+            resizeWatcher.disconnect();
+            themeWatcher.disconnect();
+            root.svg.selectAll('*').interrupt();
+            root.svg.remove();
+        }
+
+        return {
+            update: update,
+            /** @brief SVG 根节点（供导出使用）/ Root SVG node (for export). */
+            node: function () { return root.svg.node(); },
+            destroy: destroy
+        };
+    }
+
+    /**
+     * @brief 渲染共享日期图例（HTML）
+     *        Render the shared date legend (HTML).
+     *
+     * @param {string} containerSelector
+     *        图例容器选择器 / Legend container selector.
+     * @param {string[]} dates
+     *        日期定义域（升序）/ Date domain (ascending).
+     * @param {string[]} [activeDates]
+     *        当前参与聚合的日期，其余日期显示为淡出 /
+     *        Dates currently aggregated; the others are shown faded.
+     */
+    function renderDateLegend(containerSelector, dates, activeDates) {
+        const active = new Set(activeDates || dates);
+        const colorScale = buildDateColorScale(dates);
+        const root = d3.select(containerSelector);
+        root.selectAll('*').remove();
+
+        root.append('span')
+            .attr('class', 'series1-legend-title')
+            .text('颜色 · 日期');
+
+        const items = root.selectAll('.series1-legend-item')
+            .data(dates)
+            .enter()
+            .append('span')
+            .attr('class', 'series1-legend-item')
+            .classed('is-inactive', function (d) { return !active.has(d); });
+
+        items.append('span')
+            .attr('class', 'series1-legend-swatch')
+            .style('background', function (d) { return colorScale(d); });
+
+        items.append('span')
+            .attr('class', 'series1-legend-label')
+            .text(formatDateLabel);
+    }
+
+    /**
+     * @brief 为单个应用绘制极坐标图
+     *        Render polar chart for a single app.
+     *
+     * @param {string} containerSelector
+     *        容器选择器 / Container selector.
+     * @param {string} appName
+     *        应用名称 / App name.
+     * @param {Object[]} hourlySeries
+     *        24 小时聚合序列 / 24-hour aggregated series.
+     * @param {Object} userOptions
+     *        用户配置 / User options.
+     * @return {Object}
+     *         图表实例，见 createAppChart / Chart instance, see createAppChart.
+     */
+    function renderAppChart(containerSelector, appName, hourlySeries, userOptions) {
+        const chart = createAppChart(containerSelector, appName, userOptions);
+        chart.update(hourlySeries);
+        return chart;
+    }
+
+    /**
+     * @brief 为多个应用构建 24 小时序列及共享日期定义域
+     *        Build 24-hour series for several apps plus the shared date domain.
+     *
+     * @param {Object[]} records
+     *        原始 APP 使用记录 / Raw app usage records.
+     * @param {string[]} appNames
+     *        应用名称列表 / App names.
+     * @param {Object} [userOptions]
+     *        可选 dayFilter（见 resolveDayFilter）与 aggregation（见 AGGREGATIONS）/
+     *        Optional dayFilter (see resolveDayFilter) and aggregation (see AGGREGATIONS).
+     * @return {{dates: string[], activeDates: string[], seriesByApp: Map<string, Object[]>, maxValue: number}}
+     *         dates 为完整日期定义域（颜色保持稳定），activeDates 为筛选后的日期，
+     *         maxValue 为所有应用的最大时辰值（共享径向比例尺的上限）/
+     *         dates is the full domain (keeps colors stable), activeDates the filtered ones,
+     *         maxValue the largest hour value across apps (upper bound of the shared radial scale).
+     */
+    function buildSeriesForApps(records, appNames, userOptions) {
+        const dayFilter = userOptions ? userOptions.dayFilter : null;
+        const dates = collectDates(records);
+        const activeDates = resolveDayFilter(dates, dayFilter);
+        const byApp = groupByApp(filterRecordsByDay(records, dayFilter));
+
+        /** @type {Map<string, Object[]>} */
+        const seriesByApp = new Map();
+        const hourlyOptions = {
+            aggregation: userOptions && userOptions.aggregation,
+            calendarDays: activeDates.length
+        };
+        appNames.forEach(function (name) {
+            seriesByApp.set(name, buildHourlySeriesForApp(byApp.get(name) || [], hourlyOptions));
+        });
+        let maxValue = 0;
+        seriesByApp.forEach(function (hourly) {
+            maxValue = Math.max(maxValue, d3.max(hourly, function (h) { return h.value; }) || 0);
         });
 
-        // 标题 / title
-        g.append('text')
-            .attr('class', 'series1-title')
-            .attr('x', 0)
-            .attr('y', -outerRadius - 24)
-            .attr('text-anchor', 'middle')
-            .text(appName);
+        return {
+            dates: dates,
+            activeDates: activeDates,
+            seriesByApp: seriesByApp,
+            maxValue: maxValue
+        };
+    }
+
+    /**
+     * @brief 导出当前筛选下各应用的 24 小时序列（可直接 JSON 序列化）
+     *        Export each app's 24-hour series under the current filters (JSON-serializable).
+     *
+     * @param {Object[]} records
+     *        原始 APP 使用记录 / Raw app usage records.
+     * @param {string[]} appNames
+     *        要导出的应用 / Apps to export.
+     * @param {Object} [userOptions]
+     *        与 buildSeriesForApps 相同的 dayFilter / aggregation /
+     *        The same dayFilter / aggregation as buildSeriesForApps.
+     * @return {Object}
+     *         { aggregation, dates, apps: [{ app, series: [{ hour, label, value, days: [{ date, value }] }] }] }；
+     *         dates 为参与聚合的日期 / dates are the aggregated dates.
+     *
+     * @note 序列即 buildHourlySeriesForApp 的结果，只去掉仅供堆叠绘制的 parts。
+     *       The series is buildHourlySeriesForApp's result minus parts, which only serves stacking.
+     */
+    function exportData(records, appNames, userOptions) {
+        const aggregation = (userOptions && userOptions.aggregation) || 'sum';
+        const prepared = buildSeriesForApps(records, appNames, userOptions);
+        return {
+            aggregation: aggregation,
+            dates: prepared.activeDates,
+            apps: appNames.map(function (name) {
+                return {
+                    app: name,
+                    series: prepared.seriesByApp.get(name).map(function (h) {
+                        return {
+                            hour: h.hour,
+                            label: h.label,
+                            value: h.value,
+                            days: h.days.map(function (d) { return { date: d.date, value: d.value }; })
+                        };
+                    })
+                };
+            })
+        };
+    }
+
+    /**
+     * @brief 把 exportData 的结果摊平成表格（每个应用每个时辰一行，各日期的原始分钟数各占一列）
+     *        Flatten exportData's result into a table (one row per app and hour, one column of
+     *        raw minutes per date).
+     *
+     * @param {Object} exported
+     *        exportData 的结果 / Result of exportData.
+     * @return {{columns: string[], rows: Object[]}}
+     */
+    function exportTable(exported) {
+        const columns = ['app', 'hour', 'label', exported.aggregation].concat(exported.dates);
+        const rows = [];
+        exported.apps.forEach(function (entry) {
+            entry.series.forEach(function (h) {
+                const row = { app: entry.app, hour: h.hour, label: h.label };
+                row[exported.aggregation] = h.value;
+                exported.dates.forEach(function (date) { row[date] = 0; });
+                h.days.forEach(function (d) { row[d.date] = d.value; });
+                rows.push(row);
+            });
+        });
+        return { columns: columns, rows: rows };
     }
 
     /**
@@ -383,19 +1430,26 @@
      *        Render polar charts for multiple apps from raw records.
      *
      * @param {Object[]} records
-     *        原始 APP 使用记录（通常是 APP_USAGE_DATA）/
-     *        Raw app usage records (usually APP_USAGE_DATA).
+     *        原始 APP 使用记录（通常是 DataLoader 加载的 appUsage）/
+     *        Raw app usage records (usually DataLoader's appUsage dataset).
      * @param {string[]} appNames
      *        要渲染的应用名称列表 / App names to render.
      * @param {Object} userOptions
-     *        用户配置，其中 containerPrefix 必须指定，例如 "#series1-app-" /
-     *        User options. containerPrefix must be specified, e.g. "#series1-app-".
+     *        用户配置，其中 containerPrefix 必须指定，例如 "#series1-app-"；
+     *        传入 legendContainer 时会同时渲染共享日期图例；dayFilter 可限定聚合的日期；
+     *        radialScale: 'shared' 时所有卡片共用一个径向定义域 /
+     *        User options. containerPrefix must be specified, e.g. "#series1-app-";
+     *        when legendContainer is given the shared date legend is rendered too;
+     *        dayFilter restricts which dates are aggregated;
+     *        radialScale: 'shared' gives every card one common radial domain.
+     * @return {Map<string, Object>}
+     *         应用名称 → 图表实例 / App name → chart instance.
      *
      * @example
      *   AppUsageSeries1.renderFromRawRecords(
-     *       APP_USAGE_DATA,
+     *       data.appUsage,
      *       ['微信', 'QQ'],
-     *       { containerPrefix: '#series1-app-', width: 360, height: 380 }
+     *       { containerPrefix: '#series1-app-' }
      *   );
      */
     function renderFromRawRecords(records, appNames, userOptions) {
@@ -409,14 +1463,28 @@
             throw new Error('AppUsageSeries1: containerPrefix 必须提供 / containerPrefix is required.');
         }
 
-        const byApp = groupByApp(records);
+        const prepared = buildSeriesForApps(records, appNames, userOptions);
+
+        // 所有卡片共用同一个日期定义域，颜色才可比 / share one date domain so colors match across cards
+        const dates = userOptions.dates || prepared.dates;
+        const chartOptions = Object.assign({}, userOptions, {
+            dates: dates,
+            // 共享刻度时，所有卡片使用同一个径向上限 / shared scale: one radial bound for every card
+            radialMax: userOptions.radialScale === 'shared' ? prepared.maxValue : null
+        });
+
+        if (userOptions.legendContainer) {
+            renderDateLegend(userOptions.legendContainer, dates, prepared.activeDates);
+        }
 
+        /** @type {Map<string, Object>} */
+        const charts = new Map();
         appNames.forEach(function (name) {
-            const appRecords = byApp.get(name) || [];
-            const hourlySeries = buildHourlySeriesForApp(appRecords);
-            const selector = userOptions.containerPrefix + name;
-            renderAppChart(selector, name, hourlySeries, userOptions);
+            // 应用名可能含空格或点号（如 "com.alibaba.aliyun"），需转义 / names may contain spaces or dots
+            const selector = userOptions.containerPrefix + CSS.escape(name);
+            charts.set(name, renderAppChart(selector, name, prepared.seriesByApp.get(name), chartOptions));
         });
+        return charts;
     }
 
     /**
@@ -427,19 +1495,91 @@
         /** @brief 默认配置 / Default configuration. */
         DEFAULT_CONFIG: DEFAULT_CONFIG,
 
+        /** @brief 小时字段名称列表 / Hour column names. */
+        HOUR_KEYS: HOUR_KEYS,
+
+        /**
+         * @brief 汇总各应用包名与总时长（降序）
+         *        Summarize apps with package name and total minutes (desc).
+         */
+        summarizeApps: summarizeApps,
+
+        /**
+         * @brief 按 HOUR_KEYS schema 校验导入记录
+         *        Validate imported records against the HOUR_KEYS schema.
+         */
+        validateRecords: validateRecords,
+
+        /**
+         * @brief 创建单个应用的图表实例（create → update → destroy）
+         *        Create a single-app chart instance (create → update → destroy).
+         */
+        create: createAppChart,
+
+        /**
+         * @brief 为多个应用构建 24 小时序列
+         *        Build 24-hour series for several apps.
+         */
+        buildSeriesForApps: buildSeriesForApps,
+
         /**
-         * @brief 从原始记录渲染多个应用图表
-         *        Render multiple app charts from raw records.
+         * @brief 导出当前筛选下各应用的 24 小时序列
+         *        Export each app's 24-hour series under the current filters.
+         */
+        exportData: exportData,
+
+        /**
+         * @brief 把导出结果摊平成表格（CSV 用）
+         *        Flatten the export into a table (for CSV).
+         */
+        exportTable: exportTable,
+
+        /**
+         * @brief 从原始记录渲染多个应用图表（一次性创建实例）
+         *        Render multiple app charts from raw records (creates instances once).
          */
         renderFromRawRecords: renderFromRawRecords,
 
+        /**
+         * @brief 渲染共享日期图例
+         *        Render the shared date legend.
+         */
+        renderDateLegend: renderDateLegend,
+
+        /** @brief 聚合方式列表 / Aggregation modes. */
+        AGGREGATIONS: AGGREGATIONS,
+
+        /**
+         * @brief 日期的简短展示文本（含星期）/ Short date label with weekday.
+         */
+        formatDateLabel: formatDateLabel,
+
+        /** @brief 是否为周末 / Whether a date is a weekend. */
+        isWeekend: isWeekend,
+
+        /**
+         * @brief 按日期筛选条件求出生效日期
+         *        Resolve the dates kept by a day filter.
+         */
+        resolveDayFilter: resolveDayFilter,
+
+        /**
+         * @brief 收集记录中的日期（升序），即日期颜色的定义域
+         *        Collect dates in records (ascending), i.e. the date color domain.
+         */
+        collectDates: collectDates,
+
         /**
          * @brief 内部工具，仅调试使用
          *        Internal helpers, for debugging only.
          */
         _internal: {
             groupByApp: groupByApp,
-            buildHourlySeriesForApp: buildHourlySeriesForApp
+            buildHourlySeriesForApp: buildHourlySeriesForApp,
+            buildStackedSegments: buildStackedSegments,
+            buildMagnitudeSegments: buildMagnitudeSegments,
+            aggregateHour: aggregateHour,
+            filterRecordsByDay: filterRecordsByDay
         }
     };
 
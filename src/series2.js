@@ -1,26 +1,57 @@
 // series2.js
 
 /**
- * @brief 系列2：年度资产价格折线图模块
- *        Series 2: Annual asset price line chart module.
+ * @brief 系列2：资产价格折线图模块（年度 / 月度 / 日度）
+ *        Series 2: Asset price line chart module (annual, monthly or daily).
  *
- * @note 该模块假设全局存在 FINANCE_DATA（从 JS 常量文件加载）
- *       This module assumes global FINANCE_DATA is available (from JS constant file).
+ * @note 数据行由调用方传入（通常来自 DataLoader 加载的 finance CSV）。日期可以是整数年份，
+ *       也可以是任意粒度的 ISO 日期；X 轴统一使用 d3.scaleUtc。
+ *       Rows are passed in by the caller (usually the finance CSV loaded by DataLoader). Dates may be
+ *       integer years or ISO dates at any granularity; the X axis always uses d3.scaleUtc.
  */
 (function (global) {
     'use strict';
 
     /**
-     * @brief 资产代码到显示颜色映射
-     *        Asset code to color mapping.
+     * @brief 默认资产注册表（对应 data/ 中的 finance CSV）
+     *        Default asset registry (matching the finance CSV in data/).
      *
-     * @type {Object}
+     * @note zh-CN:
+     *  每项：key（内部代码）、column（CSV 列名）、label（图例 / 提示名称）、color（可选，
+     *  省略时取当前主题的配色并随主题切换）、unit（数值单位，显示在价格后）、currency（计价货币）。
+     *  新增黄金、ETH 或沪深 300 只需在 CSV 中加一列，并通过 options.assets 追加一项。
+     *
+     * @note en-US:
+     *  Each entry: key (internal code), column (CSV header), label (legend / tooltip name),
+     *  color (optional; when omitted it comes from the current theme and follows theme switches),
+     *  unit (shown after values) and currency (quote currency).
+     *  Adding gold, ETH or CSI 300 only takes a CSV column plus an entry in options.assets.
+     *
+     * @type {{key: string, column: string, label: string, color: (string|undefined), unit: string, currency: string}[]}
      */
-    const ASSET_COLORS = {
-        SPX: '#1f77b4',
-        NASDAQ: '#ff7f0e',
-        BTC: '#2ca02c'
-    };
+    const DEFAULT_ASSETS = [
+        {
+            key: 'SPX',
+            column: 'S&P 500 (Jan 1 close)',
+            label: 'S&P 500',
+            unit: 'pts',
+            currency: 'USD'
+        },
+        {
+            key: 'NASDAQ',
+            column: 'Nasdaq Composite (first trading day in Jan)',
+            label: 'Nasdaq Composite',
+            unit: 'pts',
+            currency: 'USD'
+        },
+        {
+            key: 'BTC',
+            column: 'Bitcoin USD (Jan 1)',
+            label: 'Bitcoin (Jan 1)',
+            unit: 'USD',
+            currency: 'USD'
+        }
+    ];
 
     /**
      * @brief 默认配置
@@ -29,22 +60,134 @@
      * @type {Object}
      */
     const DEFAULT_CONFIG = {
-        width: 720,
+        /**
+         * @brief 总宽度（像素）；null 表示跟随容器宽度，并在容器尺寸变化时重新布局
+         *        Total width (px); null follows the container width and re-lays out when
+         *        the container resizes.
+         */
+        width: null,
+        /**
+         * @brief 总高度（像素，含同比面板与概览条）
+         *        Total height (px, including the YoY panel and the overview strip).
+         */
         height: 420,
         marginTop: 40,
         marginRight: 100,
         marginBottom: 50,
         marginLeft: 70,
         /**
-         * @brief 是否使用对数坐标
-         *        Use log scale on Y axis.
+         * @brief 日期列名；null 时依次尝试 DATE_COLUMNS（Date / date / Year）
+         *        Date column name; null tries DATE_COLUMNS in order (Date / date / Year).
+         */
+        dateColumn: null,
+        /**
+         * @brief 资产注册表（见 DEFAULT_ASSETS）
+         *        Asset registry (see DEFAULT_ASSETS).
+         */
+        assets: DEFAULT_ASSETS,
+        /**
+         * @brief 是否使用对数坐标（也可通过图上的 Linear / Log 开关切换）
+         *        Use log scale on Y axis (also switchable with the on-chart Linear / Log toggle).
          */
         useLogScale: false,
+        /**
+         * @brief 通过图上开关切换坐标后的回调 function(useLogScale)
+         *        Called with the new value after the on-chart toggle switches the scale.
+         */
+        onScaleChange: null,
+        /**
+         * @brief 隐藏的资产代码（图例点击切换，重绘时保留）
+         *        Hidden asset codes (toggled from the legend, kept across re-renders).
+         */
+        hiddenAssets: [],
+        /**
+         * @brief 图例切换显示 / 隐藏后的回调 function(string[])
+         *        Called with the hidden asset codes after a legend toggle.
+         */
+        onHiddenAssetsChange: null,
+        /**
+         * @brief 是否在主图下方显示带刷选的概览条
+         *        Show the overview strip with a brush below the main chart.
+         */
+        showOverview: true,
+        /**
+         * @brief 概览条高度，以及它与主图之间的间距（留给 X 轴刻度，像素）
+         *        Overview strip height, and the gap above it (room for the X axis ticks, px).
+         */
+        overviewHeight: 48,
+        overviewGap: 38,
+        /**
+         * @brief 当前可见的日期窗口 [from, to]（Date、ISO 字符串或年份）；null 表示全部日期
+         *        Visible date window [from, to] (Dates, ISO strings or years); null shows every date.
+         */
+        dateWindow: null,
+        /**
+         * @brief 缩放 / 平移 / 刷选改变窗口后的回调 function([Date, Date] | null)
+         *        Called after zoom, pan or brush changes the window.
+         */
+        onDateWindowChange: null,
+        /**
+         * @brief 是否在主图与概览条之间显示同比柱状面板（共用主图 X 轴，创建时确定）
+         *        Show the YoY bar panel between the main plot and the overview strip
+         *        (shares the main X axis; fixed at creation).
+         */
+        showYoyPanel: false,
+        /**
+         * @brief 同比面板高度，以及它与主图之间的间距（像素）
+         *        YoY panel height, and the gap above it (px).
+         */
+        yoyPanelHeight: 90,
+        yoyPanelGap: 34,
+        /**
+         * @brief 指标表容器（选择器或元素）；设置后随窗口渲染 CAGR、最大回撤、波动率与同比
+         *        Metrics table container (selector or element); when set, CAGR, max drawdown,
+         *        volatility and YoY are rendered there for the visible window.
+         */
+        metricsTable: null,
         /**
          * @brief 折线插值方式
          *        Line interpolation curve.
          */
-        lineCurve: d3.curveMonotoneX
+        lineCurve: d3.curveMonotoneX,
+        /**
+         * @brief 缺失数据的画法：'break' 在缺口处断开折线；'dashed' 另用虚线连接缺口两侧
+         *        How missing data is drawn: 'break' splits the line at the gap; 'dashed' also
+         *        bridges the gap with a dashed segment.
+         */
+        gapStyle: 'break',
+        /**
+         * @brief 数据质量摘要容器（选择器或元素）；设置后列出每个资产缺失的日期
+         *        Data-quality summary container (selector or element); when set, lists each
+         *        asset's missing dates.
+         */
+        dataQuality: null,
+        /**
+         * @brief 更新时的过渡时长（毫秒）
+         *        Transition duration on update (ms).
+         */
+        transitionDuration: 640,
+        /**
+         * @brief 对比方式（见 COMPARISON_MODES）：'price' | 'rebased' | 'change' | 'return'
+         *        Comparison mode (see COMPARISON_MODES).
+         */
+        comparison: 'price',
+        /**
+         * @brief 基期（Date、ISO 字符串或年份）；null 表示数据的第一个日期。点击图表会修改它
+         *        Base date (Date, ISO string or year); null means the first date. Clicking the chart changes it.
+         */
+        baseDate: null,
+        /**
+         * @brief 点击图表选定基期后的回调 function(Date)
+         *        Called with the date after a click on the chart picks the base date.
+         */
+        onBaseDateChange: null,
+        /**
+         * @brief 注释列表（见 annotations.js）：x / from / to 为日期（Date、ISO 字符串或年份），
+         *        y 为价格；省略 y 时用 asset 字段读取该资产在该日期的值
+         *        Annotations (see annotations.js): x / from / to are dates (Dates, ISO strings or
+         *        years), y the price; without y, the asset field reads that asset's value on the date.
+         */
+        annotations: []
     };
 
     /**
@@ -70,30 +213,166 @@
     }
 
     /**
-     * @brief 解析 FINANCE_DATA 为标准行结构
-     *        Normalize FINANCE_DATA rows to a standard structure.
+     * @brief 校验资产注册表并补齐默认值（label 默认为 key，color 取当前主题的资产配色）
+     *        Validate the asset registry and fill defaults (label falls back to key,
+     *        color to the current theme's asset colors).
+     *
+     * @param {Object[]} assets
+     *        资产注册表 / Asset registry.
+     * @return {Object[]}
+     *         补齐后的新数组 / New array with defaults filled in.
+     */
+    function resolveAssets(assets) {
+        if (!Array.isArray(assets) || assets.length === 0) {
+            throw new Error('FinanceSeries2: assets 必须是非空数组 / assets must be a non-empty array.');
+        }
+        const seen = new Set();
+        return assets.map(function (a, index) {
+            if (!a || !a.key || !a.column) {
+                throw new Error('FinanceSeries2: 资产缺少 key 或 column / asset needs key and column (#' + index + ').');
+            }
+            if (seen.has(a.key)) {
+                throw new Error('FinanceSeries2: 资产 key 重复 / duplicate asset key: ' + a.key);
+            }
+            seen.add(a.key);
+            return Object.assign({
+                label: a.key,
+                color: ChartTheme.assetColor(a.key, index),
+                unit: '',
+                currency: ''
+            }, a);
+        });
+    }
+
+    /**
+     * @brief 按资产代码查找注册表条目 / Find a registry entry by asset key.
+     *
+     * @param {Object[]} assets
+     *        资产注册表 / Asset registry.
+     * @param {string} key
+     *        资产代码 / Asset code.
+     * @return {Object|undefined}
+     */
+    function findAsset(assets, key) {
+        return assets.find(function (a) { return a.key === key; });
+    }
+
+    /**
+     * @brief 未指定 dateColumn 时依次尝试的日期列
+     *        Date columns tried in order when dateColumn is not set.
+     *
+     * @type {string[]}
+     */
+    const DATE_COLUMNS = ['Date', 'date', 'Year'];
+
+    /**
+     * @brief 解析日期值为 UTC 时间
+     *        Parse a date value as a UTC time.
+     *
+     * @param {Date|string|number|null} value
+     *        Date、ISO 字符串（'2024'、'2024-03'、'2024-03-15'…）或整数年份（视为 1 月 1 日）/
+     *        A Date, an ISO string ('2024', '2024-03', '2024-03-15'…) or an integer year (Jan 1).
+     * @return {Date|null}
+     *         无法解析时为 null / null when it cannot be parsed.
+     */
+    function parseDate(value) {
+        if (value instanceof Date) {
+            return isNaN(value) ? null : value;
+        }
+        if (typeof value === 'number') {
+            return Number.isInteger(value) ? new Date(Date.UTC(value, 0, 1)) : null;
+        }
+        if (typeof value === 'string' && value.trim() !== '') {
+            const text = value.trim();
+            const date = /^\d{4}$/.test(text) ? new Date(Date.UTC(+text, 0, 1)) : d3.isoParse(text);
+            return date && !isNaN(date) ? date : null;
+        }
+        return null;
+    }
+
+    /**
+     * @brief 数据粒度：键 → UTC 间隔、日期格式与标题前缀
+     *        Data granularities: key → UTC interval, date format and title prefix.
+     *
+     * @type {Object.<string, {interval: Object, format: Function, title: string}>}
+     */
+    const GRANULARITIES = {
+        year: { interval: d3.utcYear, format: d3.utcFormat('%Y'), title: 'Annual prices' },
+        month: { interval: d3.utcMonth, format: d3.utcFormat('%Y-%m'), title: 'Monthly prices' },
+        day: { interval: d3.utcDay, format: d3.utcFormat('%Y-%m-%d'), title: 'Daily prices' }
+    };
+
+    /**
+     * @brief 按日期推断数据粒度（全部为 1 月 1 日 → year，全部为月初 → month，否则 day）
+     *        Infer the granularity from the dates (all Jan 1 → year, all month starts → month, else day).
+     *
+     * @param {Date[]} dates
+     *        日期 / Dates.
+     * @return {string}
+     *         GRANULARITIES 的键 / Key of GRANULARITIES.
+     */
+    function detectGranularity(dates) {
+        function aligned(interval) {
+            return dates.every(function (d) { return +interval.floor(d) === +d; });
+        }
+        if (aligned(d3.utcYear)) return 'year';
+        if (aligned(d3.utcMonth)) return 'month';
+        return 'day';
+    }
+
+    /**
+     * @brief 同比匹配的容差（天）：一年前那天没有数据时（周末、节假日），
+     *        取其之前最近的点，但不早于这个天数
+     *        YoY matching tolerance (days): when there is no point exactly one year earlier
+     *        (weekends, holidays), the closest earlier point is used, at most this many days before.
+     *
+     * @type {number}
+     */
+    const YOY_TOLERANCE_DAYS = 7;
+
+    const bisectPointDate = d3.bisector(function (d) { return d.date; }).right;
+
+    /**
+     * @brief 解析金融数据行为标准行结构
+     *        Normalize raw finance rows to a standard structure.
      *
      * @param {Object[]} rows
      *        原始金融数据行 / Raw finance rows.
+     * @param {Object[]} assets
+     *        资产注册表（按 column 读取）/ Asset registry (read by column).
+     * @param {string|null} [dateColumn]
+     *        日期列名，省略时依次尝试 DATE_COLUMNS / Date column; tries DATE_COLUMNS when omitted.
      * @return {Object[]}
-     *         标准化行：{ year: number, SPX: number|null, NASDAQ: number|null, BTC: number|null }
+     *         按日期排序的标准化行：{ date: Date, values: {key: number|null} } /
+     *         Normalized rows sorted by date.
      */
-    function normalizeFinanceRows(rows) {
-        return rows.map(function (r) {
-            function num(v) {
-                return typeof v === 'number'
-                    ? (isNaN(v) ? null : v)
-                    : (v == null ? null : (isNaN(+v) ? null : +v));
-            }
+    function normalizeFinanceRows(rows, assets, dateColumn) {
+        const columns = dateColumn ? [dateColumn] : DATE_COLUMNS;
 
+        function num(v) {
+            return typeof v === 'number'
+                ? (isNaN(v) ? null : v)
+                : (v == null || v === '' ? null : (isNaN(+v) ? null : +v));
+        }
+
+        return rows.map(function (r) {
+            const values = {};
+            assets.forEach(function (a) {
+                values[a.key] = num(r[a.column]);
+            });
+            let date = null;
+            columns.some(function (c) {
+                date = parseDate(r[c]);
+                return date != null;
+            });
             return {
-                year: r.Year,
-                SPX: num(r['S&P 500 (Jan 1 close)']),
-                NASDAQ: num(r['Nasdaq Composite (first trading day in Jan)']),
-                BTC: num(r['Bitcoin USD (Jan 1)'])
+                date: date,
+                values: values
             };
         }).filter(function (r) {
-            return typeof r.year === 'number';
+            return r.date != null;
+        }).sort(function (a, b) {
+            return a.date - b.date;
         });
     }
 
@@ -103,58 +382,347 @@
      *
      * @param {Object[]} rows
      *        标准行数组 / Normalized rows.
+     * @param {Object[]} assets
+     *        资产注册表 / Asset registry.
      * @return {Object}
-     *         { series: {SPX: [...], NASDAQ: [...], BTC: [...]}, meta: {...} }
+     *         { series: {key: [...]}, meta: { minDate, maxDate, granularity, gaps } }（按注册表顺序 /
+     *         in registry order），每个点为 { date, value, yoy }；yoy 为相对一年前的涨跌幅，
+     *         一年前（含 YOY_TOLERANCE_DAYS 容差）没有数据时为 null /
+     *         each point is { date, value, yoy }; yoy is the change vs one year earlier, null when
+     *         there is no point then (within YOY_TOLERANCE_DAYS).
+     *
+     * @note gaps 为 {key: [{ from, to, count, before, after }]}：该资产连续缺失（NaN / 空）的行，
+     *       before / after 为缺口两侧有数据的日期（位于数据开头或末尾时为 null）。
+     *       gaps is {key: [{ from, to, count, before, after }]}: runs of rows where the asset is
+     *       missing (NaN / empty); before / after are the dates with data on either side
+     *       (null at the start or end of the data).
      */
-    function buildSeriesByAsset(rows) {
+    function buildSeriesByAsset(rows, assets) {
         /** @type {Object.<string, Object[]>} */
-        const series = {
-            SPX: [],
-            NASDAQ: [],
-            BTC: []
-        };
+        const series = {};
+        assets.forEach(function (a) {
+            series[a.key] = [];
+        });
 
         rows.forEach(function (r) {
-            if (r.SPX != null) {
-                series.SPX.push({ year: r.year, value: r.SPX });
-            }
-            if (r.NASDAQ != null) {
-                series.NASDAQ.push({ year: r.year, value: r.NASDAQ });
-            }
-            if (r.BTC != null) {
-                series.BTC.push({ year: r.year, value: r.BTC });
-            }
+            assets.forEach(function (a) {
+                if (r.values[a.key] != null) {
+                    series[a.key].push({ date: r.date, value: r.values[a.key] });
+                }
+            });
         });
 
         Object.keys(series).forEach(function (k) {
-            series[k].sort(function (a, b) { return a.year - b.year; });
+            const points = series[k];
+            points.sort(function (a, b) { return a.date - b.date; });
+            points.forEach(function (d) {
+                const target = d3.utcYear.offset(d.date, -1);
+                const prev = points[bisectPointDate(points, target) - 1];
+                d.yoy = prev && d3.utcDay.count(prev.date, target) <= YOY_TOLERANCE_DAYS && prev.value !== 0
+                    ? d.value / prev.value - 1
+                    : null;
+            });
+        });
+
+        const gaps = {};
+        assets.forEach(function (a) {
+            gaps[a.key] = [];
+            let run = null;
+            rows.forEach(function (r, i) {
+                if (r.values[a.key] == null) {
+                    if (!run) {
+                        run = { from: r.date, to: r.date, count: 0, before: i > 0 ? rows[i - 1].date : null, after: null };
+                    }
+                    run.to = r.date;
+                    run.count += 1;
+                } else if (run) {
+                    run.after = r.date;
+                    gaps[a.key].push(run);
+                    run = null;
+                }
+            });
+            if (run) gaps[a.key].push(run);
         });
 
-        const years = rows.map(function (r) { return r.year; });
-        const minYear = d3.min(years);
-        const maxYear = d3.max(years);
+        const dates = rows.map(function (r) { return r.date; });
 
         return {
             series: series,
             meta: {
-                minYear: minYear,
-                maxYear: maxYear
+                minDate: d3.min(dates),
+                maxDate: d3.max(dates),
+                granularity: detectGranularity(dates),
+                gaps: gaps
             }
         };
     }
 
     /**
-     * @brief 计算内部绘图区尺寸
-     *        Compute inner chart drawing area size.
+     * @brief 对比方式：键 → 展示名称、Y 轴标题、参考线与数值格式
+     *        Comparison modes: key → labels, Y axis title, reference line and value format.
+     *
+     * @note zh-CN:
+     *  - price：原始价格
+     *  - rebased：以基期为 100 的指数（基期前后都保留）
+     *  - change：相对基期的涨跌幅（基期前为负的历史）
+     *  - return：相对基期的对数累计收益 ln(p / p_base)，可按时间相加，涨跌对称（+0.69 与 −0.69 分别为翻倍与腰斩）
+     *  每个资产的基值取基期当天的值；若该资产当天没有数据（如 2006 年的 BTC），取其之后第一个有数据的日期。
+     *
+     * @note en-US:
+     *  - price: raw prices
+     *  - rebased: index with the base date = 100 (dates before and after are kept)
+     *  - change: change relative to the base date (earlier dates show as negative history)
+     *  - return: log cumulative return ln(p / p_base) since the base date; additive over time and
+     *    symmetric (+0.69 doubles, −0.69 halves)
+     *  Each asset's base is its value on the base date, or its first later point when missing
+     *  (e.g. BTC in 2006).
+     *
+     * @type {Object.<string, {label: string, axisLabel: string, reference: number|null, format: Function|null}>}
+     */
+    const COMPARISON_MODES = {
+        price: {
+            label: '价格 / Price',
+            axisLabel: 'Index / Price',
+            reference: null,
+            format: null
+        },
+        rebased: {
+            label: '基期 = 100 / Rebased',
+            axisLabel: '指数（基期 = 100）/ Rebased (base = 100)',
+            reference: 100,
+            format: d3.format(',.1f')
+        },
+        change: {
+            label: '较基期涨跌 / % change',
+            axisLabel: '较基期涨跌 / Change since base date',
+            reference: 0,
+            format: d3.format('+.1%')
+        },
+        'return': {
+            label: '对数累计收益 / Log return',
+            axisLabel: '对数累计收益 ln(p / 基期) / Log cumulative return ln(p / base)',
+            reference: 0,
+            format: d3.format('+.3f')
+        }
+    };
+
+    /**
+     * @brief 按对比方式换算多资产序列
+     *        Transform multi-asset series by comparison mode.
+     *
+     * @param {Object} seriesResult
+     *        buildSeriesByAsset 的结果 / Result of buildSeriesByAsset.
+     * @param {string} mode
+     *        COMPARISON_MODES 的键 / Key of COMPARISON_MODES.
+     * @param {Date|string|number|null} baseDate
+     *        基期；超出数据范围或为 null 时取第一个日期 /
+     *        Base date; falls back to the first date when null or out of range.
+     * @return {Object}
+     *         { series, meta, mode, baseDate }，点为 { date, value, price, yoy }，
+     *         value 为换算后的值 / points are { date, value, price, yoy } with value transformed.
+     */
+    function applyComparison(seriesResult, mode, baseDate) {
+        if (!COMPARISON_MODES[mode]) {
+            throw new Error('FinanceSeries2: 未知对比方式 / unknown comparison mode: ' + mode);
+        }
+        const meta = seriesResult.meta;
+        const requested = parseDate(baseDate);
+        const base = requested && requested >= meta.minDate && requested <= meta.maxDate
+            ? requested
+            : meta.minDate;
+
+        const series = {};
+        Object.keys(seriesResult.series).forEach(function (key) {
+            const points = seriesResult.series[key];
+            const basePoint = points.find(function (d) { return d.date >= base; });
+
+            if (mode === 'price') {
+                series[key] = points.map(function (d) {
+                    return { date: d.date, value: d.value, price: d.value, yoy: d.yoy };
+                });
+                return;
+            }
+            // 基期之后才开始有数据的资产没有可比基值 / no base value available for this asset
+            if (!basePoint || basePoint.value === 0) {
+                series[key] = [];
+                return;
+            }
+
+            if (mode === 'return') {
+                // 非正价格没有对数收益 / non-positive prices have no log return
+                series[key] = points
+                    .filter(function (d) { return d.value / basePoint.value > 0; })
+                    .map(function (d) {
+                        return { date: d.date, value: Math.log(d.value / basePoint.value), price: d.value, yoy: d.yoy };
+                    });
+                return;
+            }
+
+            series[key] = points.map(function (d) {
+                const ratio = d.value / basePoint.value;
+                return {
+                    date: d.date,
+                    value: mode === 'rebased' ? ratio * 100 : ratio - 1,
+                    price: d.value,
+                    yoy: d.yoy
+                };
+            });
+        });
+
+        return {
+            series: series,
+            meta: meta,
+            mode: mode,
+            baseDate: base
+        };
+    }
+
+    /**
+     * @brief 规范化隐藏的资产：去掉注册表外的代码与重复项；会隐藏全部资产时改为全部显示
+     *        Normalize hidden assets: drop unknown and repeated keys; show everything when
+     *        every asset would be hidden.
+     *
+     * @param {string[]|null} hiddenAssets
+     *        要隐藏的资产代码 / Asset codes to hide.
+     * @param {Object[]} assets
+     *        资产注册表 / Asset registry.
+     * @return {string[]}
+     *
+     * @note 与图例点击相同的规则：至少保留一个可见资产。
+     *       Same rule as legend clicks: at least one asset stays visible.
+     */
+    function fitHiddenAssets(hiddenAssets, assets) {
+        const known = Array.from(new Set(hiddenAssets || [])).filter(function (key) {
+            return findAsset(assets, key);
+        });
+        return known.length < assets.length ? known : [];
+    }
+
+    /**
+     * @brief 规范化日期窗口：按先后排序并裁剪到数据范围；无效、为空或覆盖全部日期时为 null
+     *        Normalize a date window: sort the pair and clamp it to the data extent; null when
+     *        invalid, empty or covering every date.
+     *
+     * @param {Array|null} dateWindow
+     *        [start, end]，可为 parseDate 接受的任何值 / [start, end], any values parseDate accepts.
+     * @param {{minDate: Date, maxDate: Date}} meta
+     *        buildSeriesByAsset 的 meta / meta from buildSeriesByAsset.
+     * @return {Date[]|null}
+     */
+    function fitDateWindow(dateWindow, meta) {
+        if (!dateWindow || dateWindow.length !== 2 || !meta.minDate) return null;
+        const range = dateWindow.map(parseDate);
+        if (!range[0] || !range[1]) return null;
+        range.sort(d3.ascending);
+        const start = range[0] > meta.minDate ? range[0] : meta.minDate;
+        const end = range[1] < meta.maxDate ? range[1] : meta.maxDate;
+        if (start >= end || (+start === +meta.minDate && +end === +meta.maxDate)) return null;
+        return [start, end];
+    }
+
+    /**
+     * @brief 容器尚未布局时使用的宽度（像素）
+     *        Width used while the container has no layout yet (px).
+     *
+     * @type {number}
+     */
+    const FALLBACK_WIDTH = 720;
+
+    /**
+     * @brief 手机断点以下覆盖的尺寸：收窄左右边距、压低同比面板与概览条，图例移到图表上方
+     *        Sizes overridden below the phone breakpoint: narrower side margins, shorter YoY
+     *        panel and overview strip; the legend moves above the plot.
+     *
+     * @type {Object}
+     */
+    const COMPACT_LAYOUT = {
+        marginRight: 16,
+        marginLeft: 52,
+        marginBottom: 40,
+        overviewHeight: 36,
+        overviewGap: 32,
+        yoyPanelHeight: 64,
+        yoyPanelGap: 28
+    };
+
+    /**
+     * @brief 图例行高与紧凑布局下的列宽（像素）/ Legend row height and compact column width (px).
+     *
+     * @type {number}
+     */
+    const LEGEND_ROW_HEIGHT = 22;
+    const LEGEND_COLUMN_WIDTH = 132;
+
+    /**
+     * @brief 图上坐标开关的宽度（两个 40px 选项 + 间距）/ Width of the on-chart scale toggle.
+     *
+     * @type {number}
+     */
+    const SCALE_TOGGLE_WIDTH = 82;
+
+    /**
+     * @brief 按实际宽度解析布局：尺寸、边距，以及图例与坐标开关的位置
+     *        Resolve the layout for an actual width: sizes, margins and where the legend
+     *        and scale toggle go.
      *
      * @param {Object} cfg
      *        配置 / Config.
+     * @param {number} width
+     *        总宽度（cfg.width 或容器宽度）/ Total width (cfg.width or the container width).
+     * @param {number} assetCount
+     *        资产数量（紧凑布局下决定图例占几行）/ Asset count (legend rows in the compact layout).
+     * @return {Object}
+     *         带实际尺寸的配置副本，另含 compact、legend {x, y, columns} 与 toggle {x, y} /
+     *         A copy of the config with the actual sizes, plus compact, legend {x, y, columns}
+     *         and toggle {x, y}.
+     *
+     * @note zh-CN:
+     *  宽屏时图例竖排在右侧边距里、开关在其下方；手机宽度下右侧边距收窄，图例按列宽排成网格
+     *  放在标题上方，开关放在右上角，上边距随图例行数增加。
+     *
+     * @note en-US:
+     *  On wide screens the legend stacks in the right margin with the toggle below it. At phone
+     *  widths the right margin shrinks, the legend becomes a grid above the title, the toggle sits
+     *  top-right, and the top margin grows with the legend rows.
+     */
+    function resolveLayout(cfg, width, assetCount) {
+        const compact = ChartResponsive.isPhone(width);
+        const layout = Object.assign({}, cfg, compact ? COMPACT_LAYOUT : null, {
+            width: width,
+            compact: compact
+        });
+
+        if (compact) {
+            const columns = Math.max(1, Math.floor((width - 24 - SCALE_TOGGLE_WIDTH - 8) / LEGEND_COLUMN_WIDTH));
+            const rows = Math.ceil(assetCount / columns);
+            layout.marginTop = 10 + rows * LEGEND_ROW_HEIGHT + 30;
+            layout.legend = { x: 12, y: 10, columns: columns };
+            layout.toggle = { x: width - 12 - SCALE_TOGGLE_WIDTH, y: 10 };
+        } else {
+            layout.legend = { x: width - layout.marginRight + 10, y: layout.marginTop + 10, columns: 1 };
+            layout.toggle = {
+                x: layout.legend.x,
+                y: layout.legend.y + assetCount * LEGEND_ROW_HEIGHT + 14
+            };
+        }
+        return layout;
+    }
+
+    /**
+     * @brief 计算内部绘图区尺寸
+     *        Compute inner chart drawing area size.
+     *
+     * @param {Object} layout
+     *        resolveLayout 的结果（或带尺寸的配置）/ Result of resolveLayout (or a sized config).
      * @return {Object}
-     *         { innerWidth, innerHeight }
+     *         { innerWidth, innerHeight }（主图区域，不含同比面板与概览条 /
+     *         main plot, excluding the YoY panel and the overview strip）
      */
-    function computeInnerSize(cfg) {
-        const innerWidth = cfg.width - cfg.marginLeft - cfg.marginRight;
-        const innerHeight = cfg.height - cfg.marginTop - cfg.marginBottom;
+    function computeInnerSize(layout) {
+        const overview = layout.showOverview ? layout.overviewHeight + layout.overviewGap : 0;
+        const yoyPanel = layout.showYoyPanel ? layout.yoyPanelHeight + layout.yoyPanelGap : 0;
+        const innerWidth = layout.width - layout.marginLeft - layout.marginRight;
+        const innerHeight = layout.height - layout.marginTop - layout.marginBottom - overview - yoyPanel;
         return {
             innerWidth: innerWidth,
             innerHeight: innerHeight
@@ -162,203 +730,1729 @@
     }
 
     /**
-     * @brief 创建 SVG 及主绘图分组
-     *        Create SVG and main group.
+     * @brief 创建 SVG 及主绘图分组（尺寸由 viewBox 描述，见 createFinanceChart 的 applyLayout）
+     *        Create SVG and main group (sized through the viewBox, see applyLayout in
+     *        createFinanceChart).
      *
-     * @param {string} containerSelector
-     *        容器选择器 / Container selector.
+     * @param {string|Element} containerSelector
+     *        容器选择器或元素 / Container selector or element.
      * @param {Object} cfg
      *        配置 / Config.
      * @return {Object}
-     *         { svg, g, innerWidth, innerHeight }
+     *         { svg, g }
+     *
+     * @note CSS 让 SVG 占满容器宽度、高度按 viewBox 等比；固定 width 时用 max-width 限制放大，
+     *       窄屏下仍会等比缩小而不是溢出。
+     *       CSS makes the SVG fill the container width with the height following the viewBox
+     *       ratio; a fixed width caps it with max-width, so narrow screens scale it down
+     *       instead of overflowing.
      */
     function createSvgRoot(containerSelector, cfg) {
-        const size = computeInnerSize(cfg);
-
         const svg = d3.select(containerSelector)
             .append('svg')
-            .attr('width', cfg.width)
-            .attr('height', cfg.height);
+            .attr('class', 'series2-svg')
+            .attr('preserveAspectRatio', 'xMidYMid meet')
+            .style('max-width', cfg.width != null ? cfg.width + 'px' : null);
 
-        const g = svg.append('g')
-            .attr('transform',
-                'translate(' +
-                cfg.marginLeft + ',' +
-                cfg.marginTop + ')');
+        const g = svg.append('g');
 
         return {
             svg: svg,
-            g: g,
-            innerWidth: size.innerWidth,
-            innerHeight: size.innerHeight
+            g: g
         };
     }
 
     /**
-     * @brief 根据多资产序列绘制折线图
-     *        Render multi-asset line chart from series.
+     * @brief 图上坐标开关的选项 / Options of the on-chart scale toggle.
      *
-     * @param {string} containerSelector
-     *        容器选择器 / Container selector.
-     * @param {Object} seriesResult
-     *        来自 buildSeriesByAsset 的结果 / Result from buildSeriesByAsset.
-     * @param {Object} userOptions
-     *        用户配置 / User options.
+     * @type {{value: boolean, label: string, title: string}[]}
      */
-    function renderFromSeries(containerSelector, seriesResult, userOptions) {
-        const cfg = mergeConfig(userOptions);
-        const root = createSvgRoot(containerSelector, cfg);
-        const svg = root.svg;
-        const g = root.g;
-        const innerWidth = root.innerWidth;
-        const innerHeight = root.innerHeight;
-
-        const series = seriesResult.series;
-        const yearsAll = [];
-        const valuesAll = [];
-
-        Object.keys(series).forEach(function (key) {
-            series[key].forEach(function (d) {
-                yearsAll.push(d.year);
-                valuesAll.push(d.value);
-            });
-        });
-
-        const x = d3.scaleLinear()
-            .domain(d3.extent(yearsAll))
-            .range([0, innerWidth]);
-
-        let y;
-        if (cfg.useLogScale) {
-            const minPos = d3.min(valuesAll.filter(function (v) { return v > 0; }));
-            const maxVal = d3.max(valuesAll);
-            y = d3.scaleLog()
-                .clamp(true)
-                .domain([minPos || 1, maxVal || 10])
-                .range([innerHeight, 0])
-                .nice();
-        } else {
-            y = d3.scaleLinear()
-                .domain(d3.extent(valuesAll))
-                .range([innerHeight, 0])
-                .nice();
-        }
+    const SCALE_OPTIONS = [
+        { value: false, label: 'Linear', title: '线性坐标 / Linear scale' },
+        { value: true, label: 'Log', title: '对数坐标 / Log scale' }
+    ];
 
-        const xAxis = d3.axisBottom(x).ticks(10).tickFormat(d3.format('d'));
-        const yAxis = d3.axisLeft(y).ticks(8);
-
-        g.append('g')
-            .attr('class', 'series2-axis series2-axis-x')
-            .attr('transform', 'translate(0,' + innerHeight + ')')
-            .call(xAxis);
+    /**
+     * @brief 资产颜色（未登记时为黑色）/ Asset color (black when unregistered).
+     *
+     * @param {Object[]} assets
+     *        资产注册表 / Asset registry.
+     * @param {string} key
+     *        资产代码 / Asset code.
+     * @return {string}
+     */
+    function assetColor(assets, key) {
+        const asset = findAsset(assets, key);
+        return asset ? asset.color : '#000000';
+    }
 
-        g.append('g')
-            .attr('class', 'series2-axis series2-axis-y')
-            .call(yAxis);
+    /**
+     * @brief 价格与涨跌幅的展示格式 / Display formats for price and change.
+     *
+     * @type {Function}
+     */
+    const formatPrice = d3.format(',.2f');
+    const formatChange = d3.format('+.1%');
+    const formatVolatility = d3.format('.1%');
 
-        // 坐标轴标题（Y 轴）
-        g.append('text')
-            .attr('class', 'series2-axis-label')
-            .attr('transform', 'rotate(-90)')
-            .attr('x', -innerHeight / 2)
-            .attr('y', -cfg.marginLeft + 16)
-            .attr('text-anchor', 'middle')
-            .text('Index / Price');
+    /**
+     * @brief 带单位的价格文本 / Price text with the asset's unit.
+     *
+     * @param {Object|undefined} asset
+     *        注册表条目 / Registry entry.
+     * @param {number} value
+     *        价格 / Price.
+     * @return {string}
+     */
+    function formatAssetPrice(asset, value) {
+        return formatPrice(value) + (asset && asset.unit ? ' ' + asset.unit : '');
+    }
 
-        // 标题
-        g.append('text')
-            .attr('class', 'series2-title')
-            .attr('x', innerWidth / 2)
-            .attr('y', -16)
-            .attr('text-anchor', 'middle')
-            .text('Annual prices: S&P 500, Nasdaq, Bitcoin');
+    /**
+     * @brief 构造十字准线读数面板的内容（某一日期所有资产）
+     *        Build the crosshair readout for one date (all assets).
+     *
+     * @param {Date} date
+     *        日期 / Date.
+     * @param {{key: string, point: Object|null}[]} points
+     *        各资产在该日期的数据点 { date, value, price, yoy }，缺失时为 null /
+     *        Each asset's point on the date, null when missing.
+     * @param {string} mode
+     *        对比方式 / Comparison mode.
+     * @param {Date} baseDate
+     *        基期 / Base date.
+     * @param {Object[]} assets
+     *        资产注册表 / Asset registry.
+     * @param {Function} formatDate
+     *        按数据粒度的日期格式 / Date format for the data granularity.
+     * @return {Object}
+     *         ChartTooltip 内容 / ChartTooltip content.
+     */
+    function dateTooltip(date, points, mode, baseDate, assets, formatDate) {
+        const comparison = COMPARISON_MODES[mode];
+        return {
+            title: formatDate(date),
+            subtitle: comparison.format
+                ? comparison.label + ' · 基期 ' + formatDate(baseDate) + ' · 价格 / price'
+                : '价格 · 同比 / Price · YoY',
+            footer: comparison.format ? '点击图表设为基期 / click to set the base date' : null,
+            rows: points.map(function (p) {
+                const item = findAsset(assets, p.key);
+                let value = '—';
+                if (p.point && comparison.format) {
+                    value = comparison.format(p.point.value) + ' · ' + formatAssetPrice(item, p.point.price);
+                } else if (p.point) {
+                    value = formatAssetPrice(item, p.point.price) +
+                        (p.point.yoy == null ? '' : ' · ' + formatChange(p.point.yoy));
+                }
+                return {
+                    label: item && item.currency ? item.label + ' (' + item.currency + ')' : (item ? item.label : p.key),
+                    value: value,
+                    color: assetColor(assets, p.key)
+                };
+            })
+        };
+    }
 
-        const line = d3.line()
-            .x(function (d) { return x(d.year); })
-            .y(function (d) { return y(d.value); })
-            .curve(cfg.lineCurve);
+    /**
+     * @brief 构造直角坐标注释适配器（日期 → x，价格 → y）
+     *        Build the cartesian annotation layout (date → x, price → y).
+     *
+     * @param {Function} x
+     *        UTC 时间比例尺 / UTC time scale.
+     * @param {Function} y
+     *        价格比例尺（线性或对数）/ Price scale (linear or log).
+     * @param {Object} series
+     *        buildSeriesByAsset 的 series / series from buildSeriesByAsset.
+     * @param {number} innerWidth
+     * @param {number} innerHeight
+     * @return {Object}
+     *         ChartAnnotations.render 所需的 layout / Layout for ChartAnnotations.render.
+     */
+    function buildCartesianLayout(x, y, series, innerWidth, innerHeight) {
+        const isLog = typeof y.base === 'function';
 
-        const seriesGroup = g.append('g').attr('class', 'series2-lines');
+        // 对数坐标无法表示非正值 / a log axis cannot place non-positive values
+        function py(value) {
+            return isLog && value <= 0 ? null : y(value);
+        }
 
-        Object.keys(series).forEach(function (key) {
-            const data = series[key];
-            if (!data || data.length === 0) {
-                return;
+        return {
+            point: function (xValue, value) {
+                const date = parseDate(xValue);
+                const yPos = py(value);
+                return date == null || yPos == null ? null : [x(date), yPos];
+            },
+            band: function (from, to) {
+                const a = parseDate(from);
+                const b = parseDate(to);
+                if (a == null || b == null) return null;
+                const x0 = x(a < b ? a : b);
+                const x1 = x(a < b ? b : a);
+                return {
+                    path: 'M' + x0 + ',0H' + x1 + 'V' + innerHeight + 'H' + x0 + 'Z',
+                    labelAt: [(x0 + x1) / 2, 14],
+                    textAnchor: 'middle'
+                };
+            },
+            threshold: function (value) {
+                const yPos = py(value);
+                if (yPos == null) return null;
+                return {
+                    path: 'M0,' + yPos + 'H' + innerWidth,
+                    labelAt: [innerWidth - 4, yPos - 5],
+                    textAnchor: 'end'
+                };
+            },
+            valueAt: function (a) {
+                const date = parseDate(a.x);
+                const point = date && (series[a.asset] || []).find(function (d) { return +d.date === +date; });
+                return point ? point.value : null;
             }
-            const color = ASSET_COLORS[key] || '#000000';
-
-            const path = seriesGroup.append('path')
-                .datum(data)
-                .attr('class', 'series2-line series2-line-' + key)
-                .attr('fill', 'none')
-                .attr('stroke', color)
-                .attr('stroke-width', 2)
-                .attr('d', line);
-
-            const dotGroup = seriesGroup.append('g')
-                .attr('class', 'series2-dots series2-dots-' + key);
-
-            dotGroup.selectAll('circle')
-                .data(data)
-                .enter()
-                .append('circle')
-                .attr('cx', function (d) { return x(d.year); })
-                .attr('cy', function (d) { return y(d.value); })
-                .attr('r', 3)
-                .attr('fill', color)
-                .append('title')
-                .text(function (d) {
-                    return key + ' ' + d.year + ': ' + d.value;
-                });
-        });
+        };
+    }
 
-        // 图例 / legend
-        const legend = svg.append('g')
-            .attr('class', 'series2-legend')
-            .attr('transform',
-                'translate(' +
-                (cfg.width - cfg.marginRight + 10) + ',' +
-                (cfg.marginTop + 10) + ')');
-
-        const assets = [
-            { key: 'SPX', label: 'S&P 500' },
-            { key: 'NASDAQ', label: 'Nasdaq Composite' },
-            { key: 'BTC', label: 'Bitcoin (Jan 1)' }
-        ];
-
-        assets.forEach(function (item, index) {
-            const gLegendItem = legend.append('g')
-                .attr('transform', 'translate(0,' + (index * 22) + ')');
-
-            gLegendItem.append('rect')
-                .attr('width', 14)
-                .attr('height', 14)
-                .attr('fill', ASSET_COLORS[item.key] || '#000000');
-
-            gLegendItem.append('text')
-                .attr('x', 20)
-                .attr('y', 11)
-                .attr('alignment-baseline', 'middle')
-                .text(item.label);
-        });
+    /**
+     * @brief 缺口两侧都有数据（位于序列中间）/ The gap has data on both sides (it sits mid-series).
+     *
+     * @param {Object} gap
+     *        meta.gaps 中的一项 / Entry of meta.gaps.
+     * @return {boolean}
+     */
+    function isInteriorGap(gap) {
+        return gap.before != null && gap.after != null;
     }
 
     /**
-     * @brief 从原始金融数据行渲染折线图
-     *        Render line chart from raw finance data rows.
+     * @brief 在中间缺口处插入空值标记，由 line.defined 把折线断开
+     *        Insert null markers at interior gaps so line.defined breaks the line there.
+     *
+     * @param {Object[]} values
+     *        某资产的点 / One asset's points.
+     * @param {Object[]} gaps
+     *        该资产的缺口 / That asset's gaps.
+     * @return {Object[]}
+     */
+    function withGapMarkers(values, gaps) {
+        const markers = gaps.filter(isInteriorGap).map(function (gap) {
+            return { date: gap.from, value: null };
+        });
+        if (markers.length === 0) return values;
+        return values.concat(markers).sort(function (a, b) { return a.date - b.date; });
+    }
+
+    /**
+     * @brief 中间缺口两侧的点对，用于虚线连接
+     *        Point pairs on either side of interior gaps, bridged with dashed segments.
+     *
+     * @param {Object[]} values
+     *        某资产的点 / One asset's points.
+     * @param {Object[]} gaps
+     *        该资产的缺口 / That asset's gaps.
+     * @return {Object[][]}
+     *         [[before, after], ...]
+     */
+    function gapBridges(values, gaps) {
+        return gaps.filter(isInteriorGap)
+            .map(function (gap) {
+                const index = bisectPointDate(values, gap.from);
+                return [values[index - 1], values[index]];
+            })
+            .filter(function (pair) { return pair[0] && pair[1]; });
+    }
+
+    /**
+     * @brief 缺失数据带的高度与间距（像素），每个资产一条
+     *        Height and spacing of the missing-data lanes (px), one per asset.
+     *
+     * @type {number}
+     */
+    const GAP_LANE_HEIGHT = 4;
+    const GAP_LANE_SPACING = 2;
+
+    /**
+     * @brief 裁剪路径 id 计数器（同页多个实例时保证唯一）
+     *        Clip-path id counter (unique across instances on one page).
+     *
+     * @type {number}
+     */
+    let clipPathCounter = 0;
+
+    /**
+     * @brief 最小可见窗口（按数据粒度计的步数，例如 2 年或 2 天），限制缩放倍数
+     *        Smallest visible window in data steps (e.g. 2 years or 2 days), bounding the zoom factor.
+     *
+     * @type {number}
+     */
+    const MIN_WINDOW_STEPS = 2;
+
+    /**
+     * @brief 自适应时间刻度：由 d3.scaleUtc 选择间隔，但不会细于数据本身的粒度
+     *        （年度数据放大后不会出现月份刻度）
+     *        Adaptive time ticks: d3.scaleUtc picks the interval, but never finer than the
+     *        data itself (zoomed annual data shows no month ticks).
+     *
+     * @param {Function} x
+     *        UTC 时间比例尺 / UTC time scale.
+     * @param {string} granularity
+     *        GRANULARITIES 的键 / Key of GRANULARITIES.
+     * @param {number} count
+     *        期望的刻度数 / Desired tick count.
+     * @return {Date[]}
+     */
+    function timeTicks(x, granularity, count) {
+        const interval = GRANULARITIES[granularity].interval;
+        const ticks = x.ticks(count);
+        if (ticks.length < 2 || interval.offset(ticks[0], 1) <= ticks[1]) {
+            return ticks;
+        }
+        const coarse = x.ticks(interval);
+        const step = Math.ceil(coarse.length / count);
+        return coarse.filter(function (d, index) { return index % step === 0; });
+    }
+
+    /**
+     * @brief 创建多资产折线图实例
+     *        Create a multi-asset line chart instance.
+     *
+     * @param {string|Element} containerSelector
+     *        容器选择器或元素 / Container selector or element.
+     * @param {Object} userOptions
+     *        用户配置 / User options.
+     * @return {Object}
+     *         { update(rows, options), highlight(keys), node(), exportData(), destroy() }
+     *
+     * @note zh-CN:
+     *  坐标轴、标题、图例等骨架只在创建时生成；update 通过 D3 join 让坐标轴、
+     *  折线与点标记从旧状态过渡到新状态，多次调用不会叠加重复图表。
+     *
+     * @note en-US:
+     *  Axes, titles and legend are built once; update uses D3 joins so axes, lines
+     *  and dots transition from the previous state, and repeated calls never stack charts.
+     *
+     * @note 未指定 width 时宽度取自容器，容器尺寸变化（ResizeObserver）会重新布局并立即重绘；
+     *       手机宽度下切换为紧凑布局（见 resolveLayout）。
+     *       Without a width the chart takes the container's width and re-lays out and redraws
+     *       immediately when the container resizes (ResizeObserver); phone widths switch to the
+     *       compact layout (see resolveLayout).
+     *
+     * @example
+     *   const chart = FinanceSeries2.create('#series2', { height: 440 });
+     *   chart.update(data.finance);
+     *   chart.update(data.finance, { useLogScale: true });
+     *   chart.update(data.finance, { comparison: 'rebased', baseDate: '2015-01-01' });
+     *   chart.destroy();
+     */
+    function createFinanceChart(containerSelector, userOptions) {
+        let cfg = mergeConfig(userOptions);
+        /** @type {Object[]} 已补齐默认值的资产注册表 / resolved asset registry */
+        let assets = resolveAssets(cfg.assets);
+        const containerNode = d3.select(containerSelector).node();
+        const root = createSvgRoot(containerSelector, cfg);
+        const svg = root.svg;
+        const g = root.g;
+
+        /** @type {Object} 当前布局（见 resolveLayout）/ current layout (see resolveLayout) */
+        let layout = resolveLayout(cfg, measureWidth(), assets.length);
+        let innerWidth = 0;
+        let innerHeight = 0;
+
+        // 主图区域的裁剪，缩放后超出窗口的折线 / 点 / 注释不会溢出
+        // clip the plot so lines, dots and annotations outside the zoom window stay hidden
+        const clipId = 'series2-clip-' + (++clipPathCounter);
+        const clipRect = svg.append('defs')
+            .append('clipPath')
+            .attr('id', clipId)
+            .append('rect');
+
+        const xAxisGroup = g.append('g')
+            .attr('class', 'series2-axis series2-axis-x');
+
+        const yAxisGroup = g.append('g')
+            .attr('class', 'series2-axis series2-axis-y');
+
+        // 坐标轴标题（Y 轴，随对比方式变化）
+        const yLabel = g.append('text')
+            .attr('class', 'series2-axis-label')
+            .attr('transform', 'rotate(-90)')
+            .attr('text-anchor', 'middle')
+            .text('Index / Price');
+
+        // 标题（按数据粒度与资产注册表生成）/ title from the data granularity and asset registry
+        const title = g.append('text')
+            .attr('class', 'series2-title')
+            .attr('y', -16)
+            .attr('text-anchor', 'middle');
+
+        // 基期竖线 + 参考水平线（100 或 0%）/ base-date marker + reference line (100 or 0%)
+        const referenceGroup = g.append('g')
+            .attr('class', 'series2-reference')
+            .attr('clip-path', 'url(#' + clipId + ')')
+            .attr('opacity', 0);
+        const referenceLine = referenceGroup.append('line')
+            .attr('class', 'series2-reference-line')
+            .attr('x1', 0);
+        const baseLine = referenceGroup.append('line')
+            .attr('class', 'series2-base-line')
+            .attr('y1', 0);
+        const baseLabel = referenceGroup.append('text')
+            .attr('class', 'series2-base-label')
+            .attr('y', -4)
+            .attr('text-anchor', 'middle');
+
+        // 缺失数据带：主图底部每个资产一条 / missing-data lanes along the bottom of the plot
+        const gapBandGroup = g.append('g')
+            .attr('class', 'series2-gap-bands')
+            .attr('clip-path', 'url(#' + clipId + ')');
+
+        const seriesGroup = g.append('g')
+            .attr('class', 'series2-lines')
+            .attr('clip-path', 'url(#' + clipId + ')');
+
+        // 对数坐标下隐藏了非正值时的提示 / warning shown when the log scale hides non-positive values
+        const scaleWarning = g.append('text')
+            .attr('class', 'series2-scale-warning')
+            .attr('x', 6)
+            .attr('y', 14)
+            .attr('opacity', 0);
+        const annotationGroup = g.append('g')
+            .attr('class', 'series2-annotations annotation-layer')
+            .attr('clip-path', 'url(#' + clipId + ')');
+
+        // 十字准线：竖线 + 每条折线上的高亮点，位于注释之上 / crosshair above annotations
+        const crosshair = g.append('g')
+            .attr('class', 'series2-crosshair')
+            .style('display', 'none');
+
+        const crosshairLine = crosshair.append('line')
+            .attr('class', 'series2-crosshair-line')
+            .attr('y1', 0);
+
+        // 捕获指针的透明覆盖层 / transparent overlay capturing the pointer
+        const overlay = g.append('rect')
+            .attr('class', 'series2-overlay')
+            .attr('fill', 'none')
+            .attr('pointer-events', 'all');
+
+        const tooltip = ChartTooltip.shared();
+
+        /**
+         * @brief 最近一次 render 的比例尺与数据，供指针事件读取
+         *        Scales and data of the latest render, read by pointer handlers.
+         *
+         * @type {{x: Function, xFull: Function, y: Function, dates: Date[], minSpan: number, window: Date[]|null, assets: Object[], defined: Function, mode: string, baseDate: Date, formatDate: Function}|null}
+         */
+        let current = null;
+
+        /** @type {Object[]|null} 最近一次 update 的原始行 / raw rows of the latest update */
+        let lastRows = null;
+
+        const bisectDate = d3.bisector(function (date) { return date; }).center;
+
+        /**
+         * @brief 离指针最近的数据日期 / Data date nearest the pointer.
+         *
+         * @param {PointerEvent} event
+         *        指针事件 / Pointer event.
+         * @return {Date|null}
+         */
+        function nearestDate(event) {
+            if (!current || current.dates.length === 0) return null;
+            const mx = d3.pointer(event, g.node())[0];
+            return current.dates[bisectDate(current.dates, current.x.invert(mx))];
+        }
+
+        /**
+         * @brief 把十字准线吸附到离指针最近的数据日期
+         *        Snap the crosshair to the data date nearest the pointer.
+         *
+         * @param {PointerEvent} event
+         *        指针事件 / Pointer event.
+         */
+        function moveCrosshair(event) {
+            const date = nearestDate(event);
+            if (date == null) return;
+            const px = current.x(date);
+
+            const points = current.assets.map(function (asset) {
+                return {
+                    key: asset.key,
+                    point: asset.values.find(function (d) { return +d.date === +date; }) || null
+                };
+            });
+
+            crosshair.style('display', null);
+            crosshair.select('line.series2-crosshair-line')
+                .attr('x1', px)
+                .attr('x2', px);
+
+            crosshair.selectAll('circle.series2-crosshair-dot')
+                .data(points.filter(function (p) { return p.point && current.defined(p.point); }), function (p) { return p.key; })
+                .join('circle')
+                .attr('class', 'series2-crosshair-dot')
+                .attr('r', 5)
+                .attr('fill', function (p) { return assetColor(assets, p.key); })
+                .attr('cx', px)
+                .attr('cy', function (p) { return current.y(p.point.value); });
+
+            tooltip.show(event, dateTooltip(date, points, current.mode, current.baseDate, assets, current.formatDate));
+        }
+
+        /**
+         * @brief 点击图表：把最近的数据日期设为基期并重绘
+         *        Click on the chart: make the nearest data date the base date and redraw.
+         *
+         * @param {PointerEvent} event
+         *        指针事件 / Pointer event.
+         *
+         * @note 价格模式不使用基期，点击不做任何事（也不触发 onBaseDateChange）。
+         *       Price mode has no base date, so clicks do nothing (and don't fire onBaseDateChange).
+         */
+        function pickBaseDate(event) {
+            if (!current || current.mode === 'price') return;
+            const date = nearestDate(event);
+            if (date == null || +date === +current.baseDate) return;
+            cfg = mergeConfig(Object.assign({}, cfg, { baseDate: date }));
+            draw();
+            moveCrosshair(event);
+            if (typeof cfg.onBaseDateChange === 'function') {
+                cfg.onBaseDateChange(date);
+            }
+        }
+
+        function hideCrosshair() {
+            crosshair.style('display', 'none');
+            tooltip.hide();
+        }
+
+        overlay
+            .on('pointerenter pointermove', moveCrosshair)
+            .on('pointerleave', hideCrosshair)
+            .on('click', pickBaseDate);
+
+        // 同比柱状面板：与主图共用 X 比例尺 / YoY bar panel sharing the main X scale
+        const yoyPanel = g.append('g')
+            .attr('class', 'series2-yoy-panel')
+            .style('display', cfg.showYoyPanel ? null : 'none');
+        const yoyClipRect = svg.select('defs')
+            .append('clipPath')
+            .attr('id', clipId + '-yoy')
+            .append('rect');
+        const yoyAxisGroup = yoyPanel.append('g')
+            .attr('class', 'series2-axis series2-yoy-axis');
+        yoyPanel.append('text')
+            .attr('class', 'series2-yoy-label')
+            .attr('x', 4)
+            .attr('y', -6)
+            .text('同比 / YoY');
+        const yoyBars = yoyPanel.append('g')
+            .attr('class', 'series2-yoy-bars')
+            .attr('clip-path', 'url(#' + clipId + '-yoy)');
+        const yoyZeroLine = yoyPanel.append('line')
+            .attr('class', 'series2-yoy-zero')
+            .attr('x1', 0);
+
+        /** @type {d3.Selection|null} 指标表（首次渲染时创建）/ metrics table, created on first render */
+        let metricsTable = null;
+
+        /** @type {d3.Selection|null} 数据质量摘要（首次渲染时创建）/ data-quality summary, created on first render */
+        let qualityPanel = null;
+
+        // 概览条：全部日期的缩略折线 + 刷选 / overview strip: thumbnail lines over every date + brush
+        const overview = g.append('g')
+            .attr('class', 'series2-overview')
+            .style('display', cfg.showOverview ? null : 'none');
+        const overviewLines = overview.append('g').attr('class', 'series2-overview-lines');
+        const overviewAxisGroup = overview.append('g')
+            .attr('class', 'series2-axis series2-overview-axis');
+        const brushGroup = overview.append('g').attr('class', 'series2-brush');
+
+        /**
+         * @brief 程序化同步缩放 / 刷选时置位，避免两者互相回调
+         *        Set while zoom and brush are synced programmatically, so they don't echo each other.
+         *
+         * @type {boolean}
+         */
+        let syncing = false;
+
+        /**
+         * @brief 正在驱动窗口变化的交互（'zoom' | 'brush' | null），同步时跳过它自身
+         *        Interaction currently driving the window ('zoom' | 'brush' | null); syncing skips it.
+         *
+         * @type {string|null}
+         */
+        let windowSource = null;
+
+        /**
+         * @brief 设置可见日期窗口并立即重绘（缩放、平移、刷选共用）
+         *        Set the visible date window and redraw immediately (shared by zoom, pan and brush).
+         *
+         * @param {Date[]|null} dateWindow
+         *        [from, to]，null 表示全部 / [from, to], null for every date.
+         * @param {string} source
+         *        'zoom' 或 'brush' / 'zoom' or 'brush'.
+         */
+        function setDateWindow(dateWindow, source) {
+            cfg = mergeConfig(Object.assign({}, cfg, { dateWindow: dateWindow }));
+            windowSource = source;
+            if (lastRows) draw(true);
+            windowSource = null;
+            if (typeof cfg.onDateWindowChange === 'function') {
+                cfg.onDateWindowChange(dateWindow ? dateWindow.slice() : null);
+            }
+        }
+
+        /**
+         * @brief 规整窗口：至少 MIN_WINDOW_STEPS 个数据步长、不超出数据范围，覆盖全部日期时返回 null
+         *        Normalize a window: at least MIN_WINDOW_STEPS data steps wide, inside the data range,
+         *        null when it covers every date.
+         *
+         * @param {Date[]} domain
+         *        [from, to]
+         * @return {Date[]|null}
+         */
+        function normalizeWindow(domain) {
+            const full = current.xFull.domain().map(Number);
+            let from = Math.max(full[0], +domain[0]);
+            let to = Math.min(full[1], +domain[1]);
+            if (to - from < current.minSpan) {
+                const mid = (from + to) / 2;
+                from = Math.max(full[0], mid - current.minSpan / 2);
+                to = Math.min(full[1], from + current.minSpan);
+            }
+            return from <= full[0] && to >= full[1] ? null : [new Date(from), new Date(to)];
+        }
+
+        // 只作用于 X 轴的缩放 / 平移 / zoom and pan on the X axis only
+        const zoom = d3.zoom()
+            .on('zoom', function (event) {
+                if (syncing || !current) return;
+                setDateWindow(normalizeWindow(event.transform.rescaleX(current.xFull).domain()), 'zoom');
+            });
+
+        // 单击用于选基期，因此关闭双击缩放 / single clicks pick the base date, so drop dblclick zoom
+        overlay
+            .call(zoom)
+            .on('dblclick.zoom', null);
+
+        const brush = d3.brushX()
+            .on('brush end', function (event) {
+                if (syncing || !event.sourceEvent || !current) return;
+                setDateWindow(event.selection
+                    ? normalizeWindow(event.selection.map(current.xFull.invert))
+                    : null, 'brush');
+            });
+
+        /**
+         * @brief 把缩放变换与刷选框同步到当前窗口
+         *        Sync the zoom transform and brush selection to the current window.
+         *
+         * @param {Function} xFull
+         *        全部日期的 X 比例尺 / X scale over every date.
+         * @param {Date[]|null} dateWindow
+         *        当前窗口 / Current window.
+         * @param {number} minSpan
+         *        最小窗口（毫秒）/ Smallest window (ms).
+         */
+        function syncZoomAndBrush(xFull, dateWindow, minSpan) {
+            const range = dateWindow ? dateWindow.map(xFull) : xFull.range();
+            const k = innerWidth / Math.max(1, range[1] - range[0]);
+            const span = xFull.domain()[1] - xFull.domain()[0];
+            zoom.scaleExtent([1, Math.max(1, span / minSpan)]);
+            syncing = true;
+            if (windowSource !== 'zoom') {
+                overlay.call(zoom.transform, d3.zoomIdentity.scale(k).translate(-range[0], 0));
+            }
+            if (windowSource !== 'brush') {
+                brushGroup.call(brush.move, dateWindow ? range : null);
+            }
+            syncing = false;
+        }
+
+        /**
+         * @brief 图上开关：切换线性 / 对数坐标并以过渡重绘
+         *        On-chart toggle: switch linear / log and redraw with a transition.
+         *
+         * @param {boolean} useLogScale
+         *        是否使用对数坐标 / Whether to use the log scale.
+         */
+        function setScale(useLogScale) {
+            if (useLogScale === cfg.useLogScale) return;
+            cfg = mergeConfig(Object.assign({}, cfg, { useLogScale: useLogScale }));
+            if (lastRows) draw();
+            if (typeof cfg.onScaleChange === 'function') {
+                cfg.onScaleChange(useLogScale);
+            }
+        }
+
+        // 图例（位置由布局决定）/ legend (placed by the layout)
+        const legend = svg.append('g')
+            .attr('class', 'series2-legend');
+
+        /**
+         * @brief 图例点击：显示 / 隐藏资产并按剩余资产重新缩放 Y 轴
+         *        Legend click: show / hide an asset and rescale Y to the remaining ones.
+         *
+         * @param {string} key
+         *        资产代码 / Asset code.
+         *
+         * @note 最后一个可见资产不能被隐藏，避免出现空图。
+         *       The last visible asset cannot be hidden, so the chart is never empty.
+         */
+        function toggleAsset(key) {
+            const hidden = new Set(cfg.hiddenAssets || []);
+            if (hidden.has(key)) {
+                hidden.delete(key);
+            } else {
+                const visibleCount = assets.filter(function (d) { return !hidden.has(d.key); }).length;
+                if (visibleCount <= 1) return;
+                hidden.add(key);
+            }
+            cfg = mergeConfig(Object.assign({}, cfg, { hiddenAssets: Array.from(hidden) }));
+            if (lastRows) draw();
+            if (typeof cfg.onHiddenAssetsChange === 'function') {
+                cfg.onHiddenAssetsChange(cfg.hiddenAssets.slice());
+            }
+        }
+
+        /**
+         * @brief 外部高亮的资产（例如相关性矩阵选中的一对），图例悬停结束后恢复到它
+         *        Assets highlighted from outside (e.g. a pair picked in the correlation matrix);
+         *        legend hover falls back to it.
+         *
+         * @type {string[]|null}
+         */
+        let highlighted = null;
+
+        /**
+         * @brief 淡化给定资产以外的折线 / Dim every line except the given assets.
+         *
+         * @param {string[]|null} keys
+         *        保持高亮的资产，null 表示全部正常显示 / Assets kept bright, null for none dimmed.
+         */
+        function applyFocus(keys) {
+            const hidden = cfg.hiddenAssets || [];
+            const focus = keys
+                ? keys.filter(function (key) { return hidden.indexOf(key) === -1; })
+                : [];
+            seriesGroup.selectAll('g.series2-asset')
+                .classed('is-dimmed', function (d) { return focus.length > 0 && focus.indexOf(d.key) === -1; })
+                .classed('is-highlighted', function (d) { return !!highlighted && highlighted.indexOf(d.key) !== -1; });
+        }
+
+        /**
+         * @brief 图例悬停：淡化其他资产的折线 / Legend hover: dim the other assets' lines.
+         *
+         * @param {string|null} key
+         *        聚焦的资产代码，null 表示取消 / Focused asset code, null to clear.
+         */
+        function focusAsset(key) {
+            applyFocus(key != null ? [key] : highlighted);
+        }
+
+        /**
+         * @brief 高亮一组资产的折线（其余淡化），直到再次调用
+         *        Highlight a set of asset lines (dimming the rest) until called again.
+         *
+         * @param {string[]|null} keys
+         *        资产代码，null 或空数组表示取消 / Asset codes, null or empty to clear.
+         */
+        function highlight(keys) {
+            highlighted = keys && keys.length ? keys.slice() : null;
+            applyFocus(highlighted);
+        }
+
+        /**
+         * @brief 按注册表绘制图例，并按布局摆放图例与坐标开关
+         *        Draw the legend from the registry and place it and the scale toggle per the layout.
+         *
+         * @return {d3.Selection}
+         *         图例条目 / Legend items.
+         */
+        function renderLegend() {
+            legend.attr('transform', 'translate(' + layout.legend.x + ',' + layout.legend.y + ')');
+            scaleToggle.attr('transform', 'translate(' + layout.toggle.x + ',' + layout.toggle.y + ')');
+            const columns = layout.legend.columns;
+
+            return legend.selectAll('g.series2-legend-item')
+                .data(assets, function (d) { return d.key; })
+                .join(function (enter) {
+                    const item = enter.append('g')
+                        .attr('class', 'series2-legend-item')
+                        .attr('role', 'button')
+                        .attr('tabindex', 0)
+                        .on('click', function (event, d) { toggleAsset(d.key); })
+                        .on('keydown', function (event, d) {
+                            if (event.key === 'Enter' || event.key === ' ') {
+                                event.preventDefault();
+                                toggleAsset(d.key);
+                            }
+                        })
+                        .on('pointerenter focus', function (event, d) { focusAsset(d.key); })
+                        .on('pointerleave blur', function () { focusAsset(null); });
+                    item.append('rect')
+                        .attr('width', 14)
+                        .attr('height', 14);
+                    item.append('text')
+                        .attr('x', 20)
+                        .attr('y', 11)
+                        .attr('alignment-baseline', 'middle');
+                    return item;
+                })
+                .attr('transform', function (d, index) {
+                    return 'translate(' +
+                        (index % columns) * LEGEND_COLUMN_WIDTH + ',' +
+                        Math.floor(index / columns) * LEGEND_ROW_HEIGHT + ')';
+                })
+                .call(function (items) {
+                    items.select('rect').attr('fill', function (d) { return d.color; });
+                    items.select('text').text(function (d) { return d.label; });
+                });
+        }
+
+        // 坐标开关（图例下方）/ scale toggle below the legend
+        const scaleToggle = svg.append('g')
+            .attr('class', 'series2-scale-toggle')
+            .attr('role', 'radiogroup')
+            .attr('aria-label', '坐标 / Scale');
+
+        const scaleOptions = scaleToggle.selectAll('g.series2-scale-option')
+            .data(SCALE_OPTIONS)
+            .join(function (enter) {
+                const option = enter.append('g')
+                    .attr('class', 'series2-scale-option')
+                    .attr('role', 'radio')
+                    .attr('tabindex', 0)
+                    .attr('transform', function (d, index) {
+                        return 'translate(' + (index * 42) + ',0)';
+                    })
+                    .on('click', function (event, d) { setScale(d.value); })
+                    .on('keydown', function (event, d) {
+                        if (event.key === 'Enter' || event.key === ' ') {
+                            event.preventDefault();
+                            setScale(d.value);
+                        }
+                    });
+                option.append('title').text(function (d) { return d.title; });
+                option.append('rect')
+                    .attr('width', 40)
+                    .attr('height', 20)
+                    .attr('rx', 6);
+                option.append('text')
+                    .attr('x', 20)
+                    .attr('y', 14)
+                    .attr('text-anchor', 'middle')
+                    .text(function (d) { return d.label; });
+                return option;
+            });
+
+        /**
+         * @brief 实际宽度：固定 width 时用它，否则用观察到的宽度或读取容器宽度
+         *        Actual width: the fixed width when set, otherwise the observed width or the
+         *        measured container width.
+         *
+         * @param {number} [observedWidth]
+         *        ResizeObserver 报告的内容宽度 / Content width reported by the ResizeObserver.
+         * @return {number}
+         */
+        function measureWidth(observedWidth) {
+            if (cfg.width != null) return cfg.width;
+            return observedWidth || ChartResponsive.containerWidth(containerNode, FALLBACK_WIDTH);
+        }
+
+        /**
+         * @brief 按布局摆放骨架：viewBox、裁剪区、坐标轴、覆盖层、同比面板、概览条与缩放 / 刷选范围
+         *        Position the skeleton for a layout: viewBox, clip areas, axes, overlay, YoY panel,
+         *        overview strip and the zoom / brush extents.
+         *
+         * @param {Object} nextLayout
+         *        resolveLayout 的结果 / Result of resolveLayout.
+         *
+         * @note 只改几何位置，折线与刻度由随后的 draw 按新的 innerWidth / innerHeight 重绘。
+         *       Only geometry changes here; the following draw redraws lines and ticks for the
+         *       new innerWidth / innerHeight.
+         */
+        function applyLayout(nextLayout) {
+            layout = nextLayout;
+            const size = computeInnerSize(layout);
+            innerWidth = size.innerWidth;
+            innerHeight = size.innerHeight;
+            const yoyOffset = layout.showYoyPanel ? layout.yoyPanelGap + layout.yoyPanelHeight : 0;
+
+            svg.attr('viewBox', '0 0 ' + layout.width + ' ' + layout.height)
+                .classed('is-compact', layout.compact);
+            g.attr('transform', 'translate(' + layout.marginLeft + ',' + layout.marginTop + ')');
+
+            clipRect.attr('width', innerWidth).attr('height', innerHeight);
+            xAxisGroup.attr('transform', 'translate(0,' + innerHeight + ')');
+            yLabel.attr('x', -innerHeight / 2).attr('y', -layout.marginLeft + 16);
+            title.attr('x', innerWidth / 2);
+            referenceLine.attr('x2', innerWidth);
+            baseLine.attr('y2', innerHeight);
+            crosshairLine.attr('y2', innerHeight);
+            overlay.attr('width', innerWidth).attr('height', innerHeight);
+
+            yoyPanel.attr('transform', 'translate(0,' + (innerHeight + layout.yoyPanelGap) + ')');
+            yoyClipRect.attr('width', innerWidth).attr('height', layout.yoyPanelHeight);
+            yoyZeroLine.attr('x2', innerWidth);
+
+            overview.attr('transform', 'translate(0,' + (innerHeight + yoyOffset + layout.overviewGap) + ')');
+            overviewAxisGroup.attr('transform', 'translate(0,' + layout.overviewHeight + ')');
+
+            zoom.extent([[0, 0], [innerWidth, innerHeight]])
+                .translateExtent([[0, 0], [innerWidth, innerHeight]]);
+            brush.extent([[0, 0], [innerWidth, layout.overviewHeight]]);
+            brushGroup.call(brush);
+
+            renderLegend();
+        }
+
+        /**
+         * @brief 按当前配置与宽度重新布局，宽度或资产数变化时才重排
+         *        Re-layout for the current config and width; only re-arranges when they changed.
+         *
+         * @param {number} [observedWidth]
+         *        ResizeObserver 报告的宽度 / Width reported by the ResizeObserver.
+         * @return {boolean}
+         *         布局是否改变 / Whether the layout changed.
+         */
+        function relayout(observedWidth) {
+            const next = resolveLayout(cfg, measureWidth(observedWidth), assets.length);
+            const changed = ['width', 'height', 'marginTop', 'marginLeft', 'marginRight'].some(function (k) {
+                return next[k] !== layout[k];
+            }) || next.legend.columns !== layout.legend.columns || next.toggle.y !== layout.toggle.y;
+            if (changed) applyLayout(next);
+            return changed;
+        }
+
+        applyLayout(layout);
+
+        // 容器尺寸变化时重排并立即重绘（不做过渡）/ re-layout and redraw at once when the container resizes
+        const resizeWatcher = ChartResponsive.observeWidth(containerNode, function (width) {
+            if (cfg.width != null) return;
+            if (relayout(width) && lastRows) draw(true);
+        });
+
+        // 切换主题后重新取资产配色并立即重绘 / re-resolve asset colors and redraw at once after a theme switch
+        const themeWatcher = ChartTheme.observe(function () {
+            assets = resolveAssets(cfg.assets);
+            if (lastRows) draw(true);
+        });
+
+        /**
+         * @brief 按多资产序列重绘（内部使用）
+         *        Redraw from multi-asset series (internal).
+         *
+         * @param {Object} seriesResult
+         *        来自 applyComparison 的结果 / Result from applyComparison.
+         * @param {boolean} [immediate]
+         *        跳过过渡（缩放 / 刷选时逐帧重绘）/ Skip transitions (per-frame redraws while zooming).
+         */
+        function render(seriesResult, immediate) {
+            const comparison = COMPARISON_MODES[seriesResult.mode];
+            const hidden = new Set(cfg.hiddenAssets || []);
+            const granularity = GRANULARITIES[seriesResult.meta.granularity];
+            const datesAll = [];
+            const valuesAll = [];
+            const valuesVisible = [];
+
+            const dateWindow = cfg.dateWindow ? cfg.dateWindow.map(parseDate) : null;
+
+            function inWindow(d) {
+                return !dateWindow || (d.date >= dateWindow[0] && d.date <= dateWindow[1]);
+            }
+
+            // X 轴覆盖全部资产，Y 轴只按可见资产在当前窗口内的值缩放
+            // X spans all assets; Y fits the visible assets' values inside the current window
+            const series = {};
+            Object.keys(seriesResult.series).forEach(function (key) {
+                const visible = !hidden.has(key);
+                if (visible) {
+                    series[key] = seriesResult.series[key];
+                }
+                seriesResult.series[key].forEach(function (d) {
+                    datesAll.push(d.date);
+                    if (visible) valuesVisible.push(d.value);
+                    if (visible && inWindow(d)) valuesAll.push(d.value);
+                });
+            });
+            // 可见资产在窗口内没有数据（例如只剩 BTC 时刷选 2006–2009）：按它们的全部值缩放，Y 轴不会为空
+            // no visible values inside the window (e.g. only BTC left, brushed to 2006–2009):
+            // fit their full range so the Y axis is never empty
+            if (!valuesAll.length) {
+                valuesAll.push.apply(valuesAll, valuesVisible);
+            }
+
+            renderLegend()
+                .classed('is-hidden', function (d) { return hidden.has(d.key); })
+                .attr('aria-pressed', function (d) { return !hidden.has(d.key); });
+
+            title.text(granularity.title + ': ' + assets.map(function (a) { return a.label; }).join(', '));
+
+            const xFull = d3.scaleUtc()
+                .domain(d3.extent(datesAll))
+                .range([0, innerWidth]);
+            const x = dateWindow ? xFull.copy().domain(dateWindow) : xFull;
+            const minSpan = granularity.interval.offset(xFull.domain()[0], MIN_WINDOW_STEPS) - xFull.domain()[0];
+
+            const isLog = cfg.useLogScale;
+
+            // 对数坐标无法表示非正值：不画这些点，并在图上明确提示（不做 clamp）
+            // a log axis cannot show non-positive values: skip them and say so on the chart (no clamping)
+            function defined(d) {
+                return !isLog || d.value > 0;
+            }
+            const hiddenCount = isLog
+                ? valuesAll.filter(function (v) { return v <= 0; }).length
+                : 0;
+
+            let y;
+            if (isLog) {
+                const minPos = d3.min(valuesAll.filter(function (v) { return v > 0; }));
+                const maxVal = d3.max(valuesAll);
+                y = d3.scaleLog()
+                    .domain([minPos || 1, maxVal > 0 ? maxVal : 10])
+                    .range([innerHeight, 0])
+                    .nice();
+            } else {
+                // 参考值（100 或 0）始终可见 / keep the reference value in view
+                const domainValues = comparison.reference == null
+                    ? valuesAll
+                    : valuesAll.concat([comparison.reference]);
+                y = d3.scaleLinear()
+                    .domain(d3.extent(domainValues))
+                    .range([innerHeight, 0])
+                    .nice();
+            }
+
+            const duration = immediate ? 0 : cfg.transitionDuration;
+
+            // 刻度数随宽度变化，间隔由 scaleUtc 自适应 / tick count follows the width, the interval adapts
+            const tickCount = Math.max(2, Math.round(innerWidth / 80));
+            const xAxis = d3.axisBottom(x)
+                .tickValues(timeTicks(x, seriesResult.meta.granularity, tickCount))
+                .tickFormat(x.tickFormat());
+            const yAxis = d3.axisLeft(y).ticks(8);
+            if (seriesResult.mode === 'change') {
+                yAxis.tickFormat(d3.format('+.0%'));
+            } else if (seriesResult.mode === 'return') {
+                yAxis.tickFormat(d3.format('+'));
+            }
+
+            yLabel.text(comparison.axisLabel + (isLog ? ' · log' : ''));
+
+            scaleOptions
+                .classed('is-active', function (d) { return d.value === isLog; })
+                .attr('aria-checked', function (d) { return d.value === isLog; });
+
+            scaleWarning
+                .text(hiddenCount > 0
+                    ? '⚠ 对数坐标隐藏了 ' + hiddenCount + ' 个非正值 / ' +
+                      hiddenCount + ' non-positive values hidden on log scale'
+                    : '')
+                .transition().duration(duration)
+                .attr('opacity', hiddenCount > 0 ? 1 : 0);
+
+            xAxisGroup.transition().duration(duration).call(xAxis);
+            yAxisGroup.transition().duration(duration).call(yAxis);
+
+            // 缺失值（中间缺口的空标记）与对数坐标下的非正值都由 line.defined 断开
+            // missing values (null gap markers) and non-positive log values both break the line
+            const line = d3.line()
+                .defined(function (d) { return d.value != null && defined(d); })
+                .x(function (d) { return x(d.date); })
+                .y(function (d) { return y(d.value); })
+                .curve(cfg.lineCurve);
+
+            const gaps = seriesResult.meta.gaps || {};
+            const assetData = Object.keys(series)
+                .filter(function (key) { return series[key] && series[key].length > 0; })
+                .map(function (key) { return { key: key, values: series[key], gaps: gaps[key] || [] }; });
+
+            function linePath(d) {
+                return line(withGapMarkers(d.values, d.gaps));
+            }
+
+            function bridgePath(d) {
+                if (cfg.gapStyle !== 'dashed') return null;
+                return gapBridges(d.values, d.gaps)
+                    .filter(function (pair) { return defined(pair[0]) && defined(pair[1]); })
+                    .map(function (pair) {
+                        return 'M' + x(pair[0].date) + ',' + y(pair[0].value) +
+                            'L' + x(pair[1].date) + ',' + y(pair[1].value);
+                    })
+                    .join('') || null;
+            }
+
+            // 日度等密集数据只画折线，点标记会糊成一片 / dense data (e.g. daily) draws lines only
+            const densest = d3.max(assetData, function (a) { return a.values.filter(inWindow).length; }) || 0;
+            const showDots = densest <= innerWidth / 8;
+
+            const assetGroups = seriesGroup.selectAll('g.series2-asset')
+                .data(assetData, function (d) { return d.key; })
+                .join(
+                    function (enter) {
+                        const asset = enter.append('g')
+                            .attr('class', function (d) { return 'series2-asset series2-asset-' + d.key; })
+                            .attr('opacity', 0);
+                        asset.append('path')
+                            .attr('class', function (d) { return 'series2-gap-line series2-gap-line-' + d.key; })
+                            .attr('fill', 'none')
+                            .attr('d', bridgePath);
+                        asset.append('path')
+                            .attr('class', function (d) { return 'series2-line series2-line-' + d.key; })
+                            .attr('fill', 'none')
+                            .attr('stroke-width', 2)
+                            .attr('d', linePath);
+                        asset.append('g')
+                            .attr('class', function (d) { return 'series2-dots series2-dots-' + d.key; });
+                        return asset;
+                    },
+                    function (update) { return update; },
+                    function (exit) {
+                        return exit.transition().duration(duration)
+                            .attr('opacity', 0)
+                            .remove();
+                    }
+                );
+
+            assetGroups.transition().duration(duration).attr('opacity', 1);
+            applyFocus(highlighted);
+
+            assetGroups.select('path.series2-line')
+                .attr('stroke', function (d) { return assetColor(assets, d.key); })
+                .transition()
+                .duration(duration)
+                .attr('d', linePath);
+
+            assetGroups.select('path.series2-gap-line')
+                .attr('stroke', function (d) { return assetColor(assets, d.key); })
+                .attr('d', bridgePath);
+
+            renderGapBands(x, gaps, hidden, duration);
+
+            assetGroups.select('g.series2-dots').each(function (asset) {
+                d3.select(this).selectAll('circle')
+                    .data(showDots ? asset.values.filter(function (d) { return defined(d) && inWindow(d); }) : [],
+                        function (d) { return +d.date; })
+                    .join(
+                        function (enter) {
+                            return enter.append('circle')
+                                .attr('r', 3)
+                                .attr('cx', function (d) { return x(d.date); })
+                                .attr('cy', function (d) { return y(d.value); })
+                                .attr('opacity', 0);
+                        },
+                        function (update) { return update; },
+                        function (exit) {
+                            return exit.transition().duration(duration)
+                                .attr('opacity', 0)
+                                .remove();
+                        }
+                    )
+                    .attr('fill', assetColor(assets, asset.key))
+                    .transition()
+                    .duration(duration)
+                    .attr('cx', function (d) { return x(d.date); })
+                    .attr('cy', function (d) { return y(d.value); })
+                    .attr('opacity', 1);
+            });
+
+            const showReference = comparison.reference != null;
+            referenceGroup.transition().duration(duration)
+                .attr('opacity', showReference ? 1 : 0);
+            if (showReference) {
+                referenceLine.transition().duration(duration)
+                    .attr('y1', y(comparison.reference))
+                    .attr('y2', y(comparison.reference));
+                baseLine.transition().duration(duration)
+                    .attr('x1', x(seriesResult.baseDate))
+                    .attr('x2', x(seriesResult.baseDate));
+                baseLabel.text('基期 / Base ' + granularity.format(seriesResult.baseDate))
+                    .transition().duration(duration)
+                    .attr('x', x(seriesResult.baseDate));
+            }
+
+            renderOverview(xFull, series, seriesResult.meta.granularity, gaps);
+            syncZoomAndBrush(xFull, dateWindow, minSpan);
+
+            current = {
+                x: x,
+                xFull: xFull,
+                y: y,
+                dates: Array.from(new Set(datesAll.map(Number)))
+                    .sort(d3.ascending)
+                    .map(function (time) { return new Date(time); })
+                    .filter(function (date) { return inWindow({ date: date }); }),
+                minSpan: minSpan,
+                window: dateWindow,
+                assets: assetData,
+                defined: defined,
+                mode: seriesResult.mode,
+                baseDate: seriesResult.baseDate,
+                formatDate: granularity.format
+            };
+
+            ChartAnnotations.render(
+                annotationGroup,
+                cfg.annotations,
+                buildCartesianLayout(x, y, series, innerWidth, innerHeight),
+                { duration: duration }
+            );
+        }
+
+        /**
+         * @brief 绘制缺失数据带：每个可见资产一条，覆盖它没有数据的日期
+         *        Draw the missing-data lanes: one per visible asset, covering the dates it has no data.
+         *
+         * @param {Function} x
+         *        当前 X 比例尺 / Current X scale.
+         * @param {Object} gaps
+         *        meta.gaps
+         * @param {Set<string>} hidden
+         *        隐藏的资产 / Hidden assets.
+         * @param {number} duration
+         *        过渡时长 / Transition duration.
+         */
+        function renderGapBands(x, gaps, hidden, duration) {
+            const bands = [];
+            assets
+                .filter(function (a) { return !hidden.has(a.key); })
+                .forEach(function (a, lane) {
+                    (gaps[a.key] || []).forEach(function (gap) {
+                        bands.push({ key: a.key, lane: lane, gap: gap });
+                    });
+                });
+
+            // 带子延伸到与相邻有数据日期的中点 / bands reach halfway to the neighbouring dates with data
+            function x0(d) {
+                return d.gap.before ? (x(d.gap.before) + x(d.gap.from)) / 2 : x(d.gap.from);
+            }
+            function x1(d) {
+                return d.gap.after ? (x(d.gap.to) + x(d.gap.after)) / 2 : x(d.gap.to);
+            }
+
+            gapBandGroup.selectAll('rect.series2-gap-band')
+                .data(bands, function (d) { return d.key + ':' + (+d.gap.from); })
+                .join('rect')
+                .attr('class', 'series2-gap-band')
+                .attr('fill', function (d) { return assetColor(assets, d.key); })
+                .attr('height', GAP_LANE_HEIGHT)
+                .attr('y', function (d) {
+                    return innerHeight - (d.lane + 1) * (GAP_LANE_HEIGHT + GAP_LANE_SPACING);
+                })
+                .transition()
+                .duration(duration)
+                .attr('x', x0)
+                .attr('width', function (d) { return Math.max(0, x1(d) - x0(d)); });
+        }
+
+        /**
+         * @brief 渲染数据质量摘要：列出每个资产缺失的日期（连续的合并为区间）
+         *        Render the data-quality summary: each asset's missing dates (runs merged into ranges).
+         *
+         * @param {Object} meta
+         *        buildSeriesByAsset 的 meta / meta from buildSeriesByAsset.
+         */
+        function renderDataQuality(meta) {
+            if (!qualityPanel) {
+                qualityPanel = d3.select(cfg.dataQuality)
+                    .append('div')
+                    .attr('class', 'series2-quality');
+                qualityPanel.append('p')
+                    .attr('class', 'series2-quality-title')
+                    .text('数据质量 / Data quality');
+                qualityPanel.append('ul');
+            }
+
+            const formatDate = GRANULARITIES[meta.granularity].format;
+            function describe(asset) {
+                const runs = meta.gaps[asset.key] || [];
+                if (runs.length === 0) return '完整 / complete';
+                const missing = d3.sum(runs, function (gap) { return gap.count; });
+                return runs.map(function (gap) {
+                    return +gap.from === +gap.to
+                        ? formatDate(gap.from)
+                        : formatDate(gap.from) + '–' + formatDate(gap.to);
+                }).join(', ') + ' · 缺 ' + missing + ' / ' + missing + ' missing';
+            }
+
+            const items = qualityPanel.select('ul')
+                .selectAll('li')
+                .data(assets, function (a) { return a.key; })
+                .join(function (enter) {
+                    const li = enter.append('li');
+                    li.append('span').attr('class', 'series2-metrics-swatch');
+                    li.append('span').attr('class', 'series2-quality-name');
+                    li.append('span').attr('class', 'series2-quality-detail');
+                    return li;
+                })
+                .classed('is-complete', function (a) { return (meta.gaps[a.key] || []).length === 0; });
+
+            items.select('.series2-metrics-swatch').style('background', function (a) { return a.color; });
+            items.select('.series2-quality-name').text(function (a) { return a.label; });
+            items.select('.series2-quality-detail').text(describe);
+        }
+
+        /**
+         * @brief 绘制概览条：每个资产按自身范围归一化，便于看出全部日期的形状
+         *        Draw the overview strip: each asset normalized to its own range so the
+         *        whole history's shape stays visible.
+         *
+         * @param {Function} xFull
+         *        全部日期的 X 比例尺 / X scale over every date.
+         * @param {Object} series
+         *        可见资产序列 / Visible asset series.
+         * @param {string} granularity
+         *        数据粒度 / Data granularity.
+         * @param {Object} gaps
+         *        meta.gaps（缩略折线同样在缺口处断开）/ meta.gaps (thumbnails break at gaps too).
+         */
+        function renderOverview(xFull, series, granularity, gaps) {
+            if (!cfg.showOverview) return;
+
+            overviewAxisGroup.call(
+                d3.axisBottom(xFull)
+                    .tickValues(timeTicks(xFull, granularity, Math.max(2, Math.round(innerWidth / 80))))
+                    .tickFormat(xFull.tickFormat())
+                    .tickSizeOuter(0)
+            );
+
+            const lines = Object.keys(series)
+                .filter(function (key) { return series[key].length > 1; })
+                .map(function (key) { return { key: key, values: series[key] }; });
+
+            overviewLines.selectAll('path.series2-overview-line')
+                .data(lines, function (d) { return d.key; })
+                .join('path')
+                .attr('class', 'series2-overview-line')
+                .attr('fill', 'none')
+                .attr('stroke', function (d) { return assetColor(assets, d.key); })
+                .attr('d', function (d) {
+                    const yMini = d3.scaleLinear()
+                        .domain(d3.extent(d.values, function (p) { return p.value; }))
+                        .range([layout.overviewHeight - 2, 2]);
+                    return d3.line()
+                        .defined(function (p) { return p.value != null; })
+                        .x(function (p) { return xFull(p.date); })
+                        .y(function (p) { return yMini(p.value); })(withGapMarkers(d.values, gaps[d.key] || []));
+                });
+        }
+
+        /**
+         * @brief 按可见窗口计算指标，并更新同比面板与指标表
+         *        Compute metrics for the visible window and update the YoY panel and metrics table.
+         *
+         * @param {Object} seriesResult
+         *        buildSeriesByAsset 的结果（原始价格）/ Result of buildSeriesByAsset (raw prices).
+         * @param {boolean} [immediate]
+         *        跳过过渡 / Skip transitions.
+         */
+        function renderMetrics(seriesResult, immediate) {
+            if (!cfg.showYoyPanel && !cfg.metricsTable) return;
+            const metrics = FinanceMetrics.compute(seriesResult, current.window);
+            const hidden = new Set(cfg.hiddenAssets || []);
+            if (cfg.showYoyPanel) {
+                renderYoyPanel(metrics, hidden, immediate ? 0 : cfg.transitionDuration);
+            }
+            if (cfg.metricsTable) {
+                renderMetricsTable(metrics, hidden);
+            }
+        }
+
+        /**
+         * @brief 绘制同比柱状面板：每个日期一组柱子，每个可见资产一根
+         *        Draw the YoY bar panel: one group of bars per date, one bar per visible asset.
+         *
+         * @param {Object} metrics
+         *        FinanceMetrics.compute 的结果 / Result of FinanceMetrics.compute.
+         * @param {Set<string>} hidden
+         *        隐藏的资产 / Hidden assets.
+         * @param {number} duration
+         *        过渡时长 / Transition duration.
+         */
+        function renderYoyPanel(metrics, hidden, duration) {
+            const x = current.x;
+            const domain = x.domain();
+            const keys = assets
+                .map(function (a) { return a.key; })
+                .filter(function (key) { return !hidden.has(key) && metrics.yoy[key]; });
+            const bars = [];
+            keys.forEach(function (key) {
+                metrics.yoy[key].forEach(function (d) {
+                    bars.push({ key: key, date: d.date, value: d.value });
+                });
+            });
+
+            const inView = bars.filter(function (d) { return d.date >= domain[0] && d.date <= domain[1]; });
+            const yYoy = d3.scaleLinear()
+                .domain(d3.extent(inView.map(function (d) { return d.value; }).concat([0])))
+                .range([layout.yoyPanelHeight, 0])
+                .nice();
+
+            // 组宽取相邻日期的最小间距 / group width follows the smallest gap between dates
+            const positions = Array.from(new Set(bars.map(function (d) { return x(d.date); }))).sort(d3.ascending);
+            const gap = d3.min(d3.pairs(positions), function (p) { return p[1] - p[0]; });
+            const slot = Math.min(gap ? gap * 0.8 : innerWidth / 10, 64);
+            const inner = d3.scaleBand().domain(keys).range([-slot / 2, slot / 2]).padding(0.12);
+
+            yoyAxisGroup.transition().duration(duration)
+                .call(d3.axisLeft(yYoy).ticks(3).tickFormat(d3.format('+.0%')));
+            yoyZeroLine.transition().duration(duration)
+                .attr('y1', yYoy(0))
+                .attr('y2', yYoy(0));
+
+            yoyBars.selectAll('rect.series2-yoy-bar')
+                .data(bars, function (d) { return d.key + ':' + (+d.date); })
+                .join(
+                    function (enter) {
+                        return enter.append('rect')
+                            .attr('class', 'series2-yoy-bar')
+                            .attr('y', yYoy(0))
+                            .attr('height', 0)
+                            .on('pointerenter pointermove', function (event, d) {
+                                const asset = findAsset(assets, d.key);
+                                tooltip.show(event, {
+                                    title: current.formatDate(d.date),
+                                    subtitle: '同比 / YoY',
+                                    rows: [{
+                                        label: asset ? asset.label : d.key,
+                                        value: formatChange(d.value),
+                                        color: assetColor(assets, d.key)
+                                    }]
+                                });
+                            })
+                            .on('pointerleave', function () { tooltip.hide(); });
+                    },
+                    function (update) { return update; },
+                    function (exit) { return exit.remove(); }
+                )
+                .classed('is-negative', function (d) { return d.value < 0; })
+                .attr('fill', function (d) { return assetColor(assets, d.key); })
+                .attr('x', function (d) { return x(d.date) + inner(d.key); })
+                .attr('width', inner.bandwidth())
+                .transition()
+                .duration(duration)
+                .attr('y', function (d) { return yYoy(Math.max(0, d.value)); })
+                .attr('height', function (d) { return Math.abs(yYoy(d.value) - yYoy(0)); });
+        }
+
+        /**
+         * @brief 渲染指标表（HTML，放在 cfg.metricsTable 容器中）
+         *        Render the metrics table (HTML, inside the cfg.metricsTable container).
+         *
+         * @param {Object} metrics
+         *        FinanceMetrics.compute 的结果 / Result of FinanceMetrics.compute.
+         * @param {Set<string>} hidden
+         *        隐藏的资产（行变暗）/ Hidden assets (rows are dimmed).
+         */
+        function renderMetricsTable(metrics, hidden) {
+            if (!metricsTable) {
+                metricsTable = d3.select(cfg.metricsTable)
+                    .append('table')
+                    .attr('class', 'series2-metrics-table');
+                metricsTable.append('caption');
+                metricsTable.append('thead')
+                    .append('tr')
+                    .selectAll('th')
+                    .data(['资产 / Asset', 'CAGR', '最大回撤 / Max DD', '波动率 / Vol.', '同比 / YoY'])
+                    .join('th')
+                    .attr('scope', 'col')
+                    .text(function (d) { return d; });
+                metricsTable.append('tbody');
+            }
+
+            const formatDate = current.formatDate;
+            metricsTable.select('caption')
+                .text('区间 / Range ' + formatDate(metrics.range[0]) + ' – ' + formatDate(metrics.range[1]));
+
+            function pct(format, value) {
+                return value == null ? '—' : format(value);
+            }
+
+            const byKey = new Map(metrics.assets.map(function (m) { return [m.key, m]; }));
+            const rows = metricsTable.select('tbody')
+                .selectAll('tr')
+                .data(assets.filter(function (a) { return byKey.has(a.key); }), function (a) { return a.key; })
+                .join(function (enter) {
+                    const tr = enter.append('tr');
+                    const name = tr.append('th').attr('scope', 'row');
+                    name.append('span').attr('class', 'series2-metrics-swatch');
+                    name.append('span').attr('class', 'series2-metrics-name');
+                    tr.append('td').attr('class', 'series2-metrics-cagr');
+                    tr.append('td').attr('class', 'series2-metrics-drawdown');
+                    tr.append('td').attr('class', 'series2-metrics-volatility');
+                    tr.append('td').attr('class', 'series2-metrics-yoy');
+                    return tr;
+                })
+                .classed('is-hidden', function (a) { return hidden.has(a.key); });
+
+            rows.select('.series2-metrics-swatch').style('background', function (a) { return a.color; });
+            rows.select('.series2-metrics-name').text(function (a) { return a.label; });
+            rows.select('.series2-metrics-cagr').text(function (a) {
+                return pct(formatChange, byKey.get(a.key).cagr);
+            });
+            rows.select('.series2-metrics-drawdown')
+                .text(function (a) {
+                    const dd = byKey.get(a.key).maxDrawdown;
+                    return dd ? formatChange(dd.value) : '—';
+                })
+                .attr('title', function (a) {
+                    const dd = byKey.get(a.key).maxDrawdown;
+                    return dd && dd.value < 0 ? formatDate(dd.peak) + ' → ' + formatDate(dd.trough) : null;
+                });
+            rows.select('.series2-metrics-volatility').text(function (a) {
+                return pct(formatVolatility, byKey.get(a.key).volatility);
+            });
+            rows.select('.series2-metrics-yoy').text(function (a) {
+                return pct(formatChange, byKey.get(a.key).yoy);
+            });
+        }
+
+        /**
+         * @brief 用新数据 / 新配置更新图表
+         *        Update the chart with new rows and/or options.
+         *
+         * @param {Object[]} rows
+         *        原始金融数据行 / Raw finance rows.
+         * @param {Object} [nextOptions]
+         *        需要覆盖的配置 / Options to override.
+         */
+        function update(rows, nextOptions) {
+            if (!Array.isArray(rows)) {
+                throw new Error('FinanceSeries2: rows 必须是数组 / rows must be an array.');
+            }
+            if (nextOptions) {
+                cfg = mergeConfig(Object.assign({}, cfg, nextOptions));
+                assets = resolveAssets(cfg.assets);
+                svg.style('max-width', cfg.width != null ? cfg.width + 'px' : null);
+                relayout();
+            }
+            lastRows = rows;
+
+            // 配置可能来自手改的 URL：隐藏的资产至少留一个可见，窗口与基期限制在数据范围内
+            // options may come from a hand-edited URL: keep one asset visible, keep the window
+            // and base date inside the data
+            const meta = buildSeriesByAsset(normalizeFinanceRows(rows, assets, cfg.dateColumn), assets).meta;
+            const baseDate = parseDate(cfg.baseDate);
+            cfg.hiddenAssets = fitHiddenAssets(cfg.hiddenAssets, assets);
+            cfg.dateWindow = fitDateWindow(cfg.dateWindow, meta);
+            cfg.baseDate = baseDate && baseDate >= meta.minDate && baseDate <= meta.maxDate ? baseDate : null;
+            draw();
+        }
+
+        /**
+         * @brief 按当前配置从最近的数据行重绘 / Redraw the latest rows with the current config.
+         *
+         * @param {boolean} [immediate]
+         *        跳过过渡 / Skip transitions.
+         */
+        function draw(immediate) {
+            const seriesResult = buildSeriesByAsset(normalizeFinanceRows(lastRows, assets, cfg.dateColumn), assets);
+            render(applyComparison(seriesResult, cfg.comparison, cfg.baseDate), immediate);
+            renderMetrics(seriesResult, immediate);
+            if (cfg.dataQuality) {
+                renderDataQuality(seriesResult.meta);
+            }
+        }
+
+        /**
+         * @brief 销毁图表：中断过渡并移除 SVG
+         *        Destroy the chart: interrupt transitions and remove the SVG.
+         */
+        function destroy() {
+            hideCrosshair();
+            resizeWatcher.disconnect();
+            themeWatcher.disconnect();
+            svg.selectAll('*').interrupt();
+            svg.remove();
+            if (metricsTable) metricsTable.remove();
+            if (qualityPanel) qualityPanel.remove();
+        }
+
+        return {
+            update: update,
+            highlight: highlight,
+            /** @brief SVG 根节点（供导出使用）/ Root SVG node (for export). */
+            node: function () { return svg.node(); },
+            /** @brief 按当前视图导出数据（见模块级 exportData）/ Export data for the current view (see the module-level exportData). */
+            exportData: function () { return exportData(lastRows || [], cfg); },
+            /**
+             * @brief 规范化后实际使用的视图选项（供调用方回写 URL）
+             *        View options actually in use after normalization (for callers to write back to the URL).
+             */
+            viewState: function () {
+                return {
+                    baseDate: cfg.baseDate,
+                    hiddenAssets: (cfg.hiddenAssets || []).slice(),
+                    dateWindow: cfg.dateWindow ? cfg.dateWindow.slice() : null
+                };
+            },
+            destroy: destroy
+        };
+    }
+
+    /**
+     * @brief 按注册表把原始行拆分为多资产序列（供指标、相关性等模块复用）
+     *        Split raw rows into multi-asset series by registry (shared with metrics,
+     *        correlation and other modules).
+     *
+     * @param {Object[]} rows
+     *        原始金融数据行 / Raw finance rows.
+     * @param {Object[]} [assets]
+     *        资产注册表，默认 DEFAULT_ASSETS / Asset registry, DEFAULT_ASSETS by default.
+     * @param {string|null} [dateColumn]
+     *        日期列名 / Date column.
+     * @return {Object}
+     *         buildSeriesByAsset 的结果 / Result of buildSeriesByAsset.
+     */
+    function buildSeries(rows, assets, dateColumn) {
+        const registry = resolveAssets(assets || DEFAULT_ASSETS);
+        return buildSeriesByAsset(normalizeFinanceRows(rows, registry, dateColumn), registry);
+    }
+
+    /**
+     * @brief 导出文件中的日期格式（UTC 的 YYYY-MM-DD）/ Date format in exports (UTC YYYY-MM-DD).
+     *
+     * @type {Function}
+     */
+    const formatExportDate = d3.utcFormat('%Y-%m-%d');
+
+    /**
+     * @brief 导出当前视图的数据：按对比方式换算的各资产序列 + 可见窗口内的指标（可直接 JSON 序列化）
+     *        Export the current view's data: per-asset series in the comparison mode plus metrics
+     *        for the visible window (JSON-serializable).
+     *
+     * @param {Object[]} rows
+     *        原始金融数据行 / Raw finance rows.
+     * @param {Object} [userOptions]
+     *        与图表相同的 assets / dateColumn / comparison / baseDate / dateWindow / hiddenAssets /
+     *        The same assets / dateColumn / comparison / baseDate / dateWindow / hiddenAssets as the chart.
+     * @return {Object}
+     *         { granularity, comparison, baseDate, window, assets, series: {key: [{ date, price, value, yoy }]},
+     *         metrics: [{ key, first, last, cagr, maxDrawdown, drawdownPeak, drawdownTrough, volatility, yoy }], gaps }；
+     *         隐藏的资产不导出，序列只含窗口内的日期 / hidden assets are left out and series only
+     *         hold dates inside the window.
+     */
+    function exportData(rows, userOptions) {
+        if (!Array.isArray(rows)) {
+            throw new Error('FinanceSeries2: rows 必须是数组 / rows must be an array.');
+        }
+        const cfg = mergeConfig(userOptions);
+        const registry = resolveAssets(cfg.assets);
+        const hidden = new Set(cfg.hiddenAssets || []);
+        const visible = registry.filter(function (a) { return !hidden.has(a.key); });
+        const seriesResult = buildSeriesByAsset(normalizeFinanceRows(rows, registry, cfg.dateColumn), registry);
+        const compared = applyComparison(seriesResult, cfg.comparison, cfg.baseDate);
+        const dateWindow = cfg.dateWindow ? cfg.dateWindow.map(parseDate) : null;
+        const metrics = FinanceMetrics.compute(seriesResult, dateWindow);
+
+        function inWindow(d) {
+            return !dateWindow || (d.date >= dateWindow[0] && d.date <= dateWindow[1]);
+        }
+        function dateOrNull(date) {
+            return date ? formatExportDate(date) : null;
+        }
+
+        const series = {};
+        visible.forEach(function (a) {
+            series[a.key] = (compared.series[a.key] || []).filter(inWindow).map(function (d) {
+                return { date: formatExportDate(d.date), price: d.price, value: d.value, yoy: d.yoy };
+            });
+        });
+
+        return {
+            granularity: seriesResult.meta.granularity,
+            comparison: compared.mode,
+            baseDate: dateOrNull(compared.baseDate),
+            window: dateWindow ? dateWindow.map(formatExportDate) : null,
+            assets: visible.map(function (a) {
+                return { key: a.key, label: a.label, unit: a.unit, currency: a.currency };
+            }),
+            series: series,
+            metrics: metrics.assets.filter(function (m) { return !hidden.has(m.key); }).map(function (m) {
+                return {
+                    key: m.key,
+                    first: m.first ? { date: formatExportDate(m.first.date), price: m.first.value } : null,
+                    last: m.last ? { date: formatExportDate(m.last.date), price: m.last.value } : null,
+                    cagr: m.cagr,
+                    maxDrawdown: m.maxDrawdown ? m.maxDrawdown.value : null,
+                    drawdownPeak: m.maxDrawdown ? formatExportDate(m.maxDrawdown.peak) : null,
+                    drawdownTrough: m.maxDrawdown ? formatExportDate(m.maxDrawdown.trough) : null,
+                    volatility: m.volatility,
+                    yoy: m.yoy
+                };
+            }),
+            gaps: visible.reduce(function (out, a) {
+                out[a.key] = (seriesResult.meta.gaps[a.key] || []).map(function (gap) {
+                    return { from: formatExportDate(gap.from), to: formatExportDate(gap.to), count: gap.count };
+                });
+                return out;
+            }, {})
+        };
+    }
+
+    /**
+     * @brief 把 exportData 的结果摊平成表格
+     *        Flatten exportData's result into a table.
+     *
+     * @param {Object} exported
+     *        exportData 的结果 / Result of exportData.
+     * @param {string} [which]
+     *        'series'（默认，每个日期每个资产一行）或 'metrics'（每个资产一行）/
+     *        'series' (default, one row per date and asset) or 'metrics' (one row per asset).
+     * @return {{columns: string[], rows: Object[]}}
+     */
+    function exportTable(exported, which) {
+        if (which === 'metrics') {
+            return {
+                columns: ['asset', 'from', 'to', 'firstPrice', 'lastPrice', 'cagr', 'maxDrawdown',
+                    'drawdownPeak', 'drawdownTrough', 'volatility', 'yoy'],
+                rows: exported.metrics.map(function (m) {
+                    return {
+                        asset: m.key,
+                        from: m.first ? m.first.date : null,
+                        to: m.last ? m.last.date : null,
+                        firstPrice: m.first ? m.first.price : null,
+                        lastPrice: m.last ? m.last.price : null,
+                        cagr: m.cagr,
+                        maxDrawdown: m.maxDrawdown,
+                        drawdownPeak: m.drawdownPeak,
+                        drawdownTrough: m.drawdownTrough,
+                        volatility: m.volatility,
+                        yoy: m.yoy
+                    };
+                })
+            };
+        }
+        const rows = [];
+        exported.assets.forEach(function (a) {
+            exported.series[a.key].forEach(function (d) {
+                rows.push({ date: d.date, asset: a.key, price: d.price, value: d.value, yoy: d.yoy });
+            });
+        });
+        rows.sort(function (a, b) { return d3.ascending(a.date, b.date); });
+        return { columns: ['date', 'asset', 'price', 'value', 'yoy'], rows: rows };
+    }
+
+    /**
+     * @brief 从原始金融数据行渲染折线图
+     *        Render line chart from raw finance data rows.
      *
      * @param {string} containerSelector
      *        容器选择器 / Container selector.
      * @param {Object[]} rows
-     *        原始金融数据行（通常是 FINANCE_DATA）/
-     *        Raw finance rows (usually FINANCE_DATA).
+     *        原始金融数据行（通常是 DataLoader 加载的 finance）/
+     *        Raw finance rows (usually DataLoader's finance dataset).
      * @param {Object} userOptions
      *        用户配置 / User options.
+     * @return {Object}
+     *         图表实例，见 createFinanceChart / Chart instance, see createFinanceChart.
      *
      * @example
      *   FinanceSeries2.renderFromRawRows(
      *       '#series2-finance',
-     *       FINANCE_DATA,
+     *       data.finance,
      *       { width: 800, height: 460 }
      *   );
      */
@@ -366,9 +2460,9 @@
         if (!Array.isArray(rows)) {
             throw new Error('FinanceSeries2: rows 必须是数组 / rows must be an array.');
         }
-        const normalized = normalizeFinanceRows(rows);
-        const seriesResult = buildSeriesByAsset(normalized);
-        renderFromSeries(containerSelector, seriesResult, userOptions);
+        const chart = createFinanceChart(containerSelector, userOptions);
+        chart.update(rows);
+        return chart;
     }
 
     /**
@@ -379,9 +2473,36 @@
         /** @brief 默认配置 / Default configuration. */
         DEFAULT_CONFIG: DEFAULT_CONFIG,
 
+        /** @brief 默认资产注册表 / Default asset registry. */
+        DEFAULT_ASSETS: DEFAULT_ASSETS,
+
+        /** @brief 对比方式 / Comparison modes. */
+        COMPARISON_MODES: COMPARISON_MODES,
+
+        /** @brief 校验注册表并补齐 label / color 等默认值 / Validate a registry and fill defaults. */
+        resolveAssets: resolveAssets,
+
+        /** @brief 规范化隐藏的资产（至少留一个可见）/ Normalize hidden assets (one stays visible). */
+        fitHiddenAssets: fitHiddenAssets,
+
+        /** @brief 原始行 → 多资产序列 / Raw rows → multi-asset series. */
+        buildSeries: buildSeries,
+
+        /** @brief 导出当前视图的序列与指标 / Export the current view's series and metrics. */
+        exportData: exportData,
+
+        /** @brief 把导出结果摊平成表格（CSV 用）/ Flatten the export into a table (for CSV). */
+        exportTable: exportTable,
+
+        /**
+         * @brief 创建折线图实例（create → update → destroy）
+         *        Create a line chart instance (create → update → destroy).
+         */
+        create: createFinanceChart,
+
         /** 
-         * @brief 从原始数据行渲染折线图
-         *        Render line chart from raw rows.
+         * @brief 从原始数据行渲染折线图（一次性创建实例）
+         *        Render line chart from raw rows (creates an instance once).
          */
         renderFromRawRows: renderFromRawRows,
 
@@ -391,7 +2512,9 @@
          */
         _internal: {
             normalizeFinanceRows: normalizeFinanceRows,
-            buildSeriesByAsset: buildSeriesByAsset
+            buildSeriesByAsset: buildSeriesByAsset,
+            applyComparison: applyComparison,
+            parseDate: parseDate
         }
     };
 
@@ -0,0 +1,294 @@
+// theme.js
+
+/**
+ * @brief 主题：CSS 变量切换 + 图表配色 token 注册表（两个系列共用）
+ *        Themes: CSS custom property switching + chart color token registry (shared by both series).
+ *
+ * @note zh-CN:
+ *  页面颜色全部来自 css/style.css 中的 CSS 变量，按 <html> 上的主题类（theme-dark / theme-light /
+ *  theme-contrast）切换；图表里由 JS 计算的颜色（应用渐变、资产折线、日期分类色）登记在 THEMES 中。
+ *  apply 切换主题后通知 observe 的订阅者，图表实例据此不带过渡地重绘。
+ *  打印时临时切到浅色主题（白纸友好），打印结束后恢复。
+ *
+ * @note en-US:
+ *  Page colors all come from CSS custom properties in css/style.css, switched by the theme class
+ *  on <html> (theme-dark / theme-light / theme-contrast); colors computed in JS (app gradients,
+ *  asset lines, date categories) are registered in THEMES. apply switches the theme and notifies
+ *  observe subscribers, which chart instances use to redraw without transitions.
+ *  Printing temporarily switches to the light theme (friendly to white paper) and restores it after.
+ *
+ * @example
+ *   ChartTheme.apply('light');
+ *   ChartTheme.tokens().assets.SPX;   // '#1f5f99'
+ *   const watcher = ChartTheme.observe(function (name) { chart.redraw(); });
+ */
+(function (global) {
+    'use strict';
+
+    /**
+     * @brief 主题注册表：名称 → { short（切换按钮文字）, label, className, tokens }
+     *        Theme registry: name → { short (toggle text), label, className, tokens }.
+     *
+     * @note zh-CN:
+     *  tokens 字段：
+     *  - background / text：导出图片的底色与标题色；
+     *  - apps / appDefault：系列 1 应用的 HSL 渐变 token（hue、saturation、lightBase、alphaFrom、alphaTo）；
+     *  - assets：系列 2 资产代码 → 折线颜色；
+     *  - categorical：分类色（系列 1 日期配色、未登记资产的颜色）。
+     *
+     * @note en-US:
+     *  tokens fields:
+     *  - background / text: backdrop and title color of exported images;
+     *  - apps / appDefault: HSL gradient tokens for Series 1 apps (hue, saturation, lightBase, alphaFrom, alphaTo);
+     *  - assets: Series 2 asset key → line color;
+     *  - categorical: categorical colors (Series 1 dates, assets without a registered color).
+     *
+     * @type {Object.<string, {short: string, label: string, className: string, tokens: Object}>}
+     */
+    const THEMES = {
+        dark: {
+            short: '深色',
+            label: '深色 / Dark',
+            className: 'theme-dark',
+            tokens: {
+                background: '#0f172a',
+                text: '#e5e7eb',
+                apps: {
+                    '微信': { hue: 140, saturation: 76, lightBase: 48, alphaFrom: 0.16, alphaTo: 0.92 },
+                    'QQ': { hue: 198, saturation: 88, lightBase: 54, alphaFrom: 0.18, alphaTo: 0.96 }
+                },
+                // 主品牌紫色 / the brand purple
+                appDefault: { hue: 248, saturation: 86, lightBase: 52, alphaFrom: 0.20, alphaTo: 0.96 },
+                assets: { SPX: '#1f77b4', NASDAQ: '#ff7f0e', BTC: '#2ca02c' },
+                categorical: d3.schemeTableau10
+            }
+        },
+        light: {
+            short: '浅色',
+            label: '浅色 / Light',
+            className: 'theme-light',
+            tokens: {
+                background: '#ffffff',
+                text: '#0f172a',
+                apps: {
+                    '微信': { hue: 140, saturation: 70, lightBase: 36, alphaFrom: 0.18, alphaTo: 0.95 },
+                    'QQ': { hue: 202, saturation: 84, lightBase: 40, alphaFrom: 0.18, alphaTo: 0.95 }
+                },
+                appDefault: { hue: 248, saturation: 70, lightBase: 46, alphaFrom: 0.20, alphaTo: 0.95 },
+                assets: { SPX: '#1f5f99', NASDAQ: '#c2510a', BTC: '#1e7b1e' },
+                categorical: d3.schemeTableau10
+            }
+        },
+        contrast: {
+            short: '高对比',
+            label: '高对比 / High contrast',
+            className: 'theme-contrast',
+            tokens: {
+                background: '#000000',
+                text: '#ffffff',
+                apps: {
+                    '微信': { hue: 120, saturation: 100, lightBase: 50, alphaFrom: 0.35, alphaTo: 1 },
+                    'QQ': { hue: 190, saturation: 100, lightBase: 50, alphaFrom: 0.35, alphaTo: 1 }
+                },
+                appDefault: { hue: 50, saturation: 100, lightBase: 50, alphaFrom: 0.35, alphaTo: 1 },
+                assets: { SPX: '#00e5ff', NASDAQ: '#ffd400', BTC: '#ff4fd8' },
+                categorical: [
+                    '#ffd400', '#00e5ff', '#ff4fd8', '#7cff4f', '#ff8c1a',
+                    '#ffffff', '#b69cff', '#ff5c5c', '#4fc3ff', '#eeff41'
+                ]
+            }
+        }
+    };
+
+    /**
+     * @brief 默认主题（与 index.html 中 <html> 的类一致）/ Default theme (matches the class on <html> in index.html).
+     *
+     * @type {string}
+     */
+    const DEFAULT_THEME = 'dark';
+
+    /**
+     * @brief 保存用户选择的 localStorage 键 / localStorage key for the user's choice.
+     *
+     * @type {string}
+     */
+    const STORAGE_KEY = 'd3-multiseries-lab:theme';
+
+    /**
+     * @brief 打印时使用的主题 / Theme used while printing.
+     *
+     * @type {string}
+     */
+    const PRINT_THEME = 'light';
+
+    let currentName = DEFAULT_THEME;
+    const listeners = new Set();
+
+    /**
+     * @brief 读取保存的主题；没有时按系统偏好（高对比 → 浅色 → 默认）
+     *        Read the saved theme; without one, follow system preferences (contrast → light → default).
+     *
+     * @return {string}
+     */
+    function preferredTheme() {
+        try {
+            const saved = global.localStorage && global.localStorage.getItem(STORAGE_KEY);
+            if (saved && THEMES[saved]) return saved;
+        } catch (err) {
+            // 隐私模式下 localStorage 可能不可用 / localStorage may be unavailable in private mode
+        }
+        if (typeof global.matchMedia === 'function') {
+            if (global.matchMedia('(prefers-contrast: more)').matches) return 'contrast';
+            if (global.matchMedia('(prefers-color-scheme: light)').matches) return 'light';
+        }
+        return DEFAULT_THEME;
+    }
+
+    /**
+     * @brief 当前主题名称 / Current theme name.
+     *
+     * @return {string}
+     */
+    function current() {
+        return currentName;
+    }
+
+    /**
+     * @brief 主题的配色 token / Color tokens of a theme.
+     *
+     * @param {string} [name]
+     *        主题名称，省略时为当前主题 / Theme name, the current one when omitted.
+     * @return {Object}
+     */
+    function tokens(name) {
+        return (THEMES[name || currentName] || THEMES[DEFAULT_THEME]).tokens;
+    }
+
+    /**
+     * @brief 切换主题：替换 <html> 上的主题类并通知订阅者
+     *        Switch theme: swap the theme class on <html> and notify subscribers.
+     *
+     * @param {string} name
+     *        主题名称（THEMES 的键）/ Theme name (a THEMES key).
+     * @param {Object} [options]
+     *        { persist }：为 false 时不写入 localStorage（例如打印）/
+     *        persist: false skips localStorage (e.g. while printing).
+     */
+    function apply(name, options) {
+        if (!THEMES[name]) {
+            throw new Error('ChartTheme: 未知主题 / unknown theme: ' + name);
+        }
+        const persist = !options || options.persist !== false;
+        const root = global.document.documentElement;
+        Object.keys(THEMES).forEach(function (key) {
+            root.classList.toggle(THEMES[key].className, key === name);
+        });
+        if (persist) {
+            try {
+                global.localStorage.setItem(STORAGE_KEY, name);
+            } catch (err) {
+                // 同上，保存失败只影响下次访问 / as above; only affects the next visit
+            }
+        }
+        if (name === currentName) return;
+        currentName = name;
+        listeners.forEach(function (listener) { listener(name, tokens(name)); });
+    }
+
+    /**
+     * @brief 订阅主题切换
+     *        Subscribe to theme switches.
+     *
+     * @param {Function} onChange
+     *        function(name, tokens) / Called with the new theme name and its tokens.
+     * @return {{disconnect: Function}}
+     *         取消订阅 / Unsubscribes.
+     */
+    function observe(onChange) {
+        listeners.add(onChange);
+        return {
+            disconnect: function () { listeners.delete(onChange); }
+        };
+    }
+
+    /**
+     * @brief 应用在当前主题下的 HSL 渐变 token / HSL gradient token of an app in the current theme.
+     *
+     * @param {string} appName
+     *        应用名称 / App name.
+     * @return {{hue: number, saturation: number, lightBase: number, alphaFrom: number, alphaTo: number}}
+     */
+    function appToken(appName) {
+        const t = tokens();
+        return t.apps[appName] || t.appDefault;
+    }
+
+    /**
+     * @brief 资产在当前主题下的颜色；未登记时按序取分类色
+     *        Asset color in the current theme; falls back to the categorical colors by position.
+     *
+     * @param {string} key
+     *        资产代码 / Asset key.
+     * @param {number} index
+     *        资产在注册表中的位置 / Position in the asset registry.
+     * @return {string}
+     */
+    function assetColor(key, index) {
+        const t = tokens();
+        return t.assets[key] || t.categorical[index % t.categorical.length];
+    }
+
+    /**
+     * @brief 打印前切到浅色主题，打印后恢复（不保存）
+     *        Switch to the light theme before printing and back afterwards (not persisted).
+     */
+    function watchPrint() {
+        let beforePrint = null;
+        global.addEventListener('beforeprint', function () {
+            beforePrint = currentName;
+            apply(PRINT_THEME, { persist: false });
+        });
+        global.addEventListener('afterprint', function () {
+            if (beforePrint) apply(beforePrint, { persist: false });
+            beforePrint = null;
+        });
+    }
+
+    // 脚本在 <head> 中执行，此时即可设置 <html> 的类，避免先闪一下深色
+    // runs in <head>, so the class is set on <html> before the first paint
+    apply(preferredTheme(), { persist: false });
+    watchPrint();
+
+    /**
+     * @brief 对外暴露的 ChartTheme 模块 API
+     *        Public ChartTheme module API.
+     */
+    const api = {
+        /** @brief 主题注册表 / Theme registry. */
+        THEMES: THEMES,
+
+        /** @brief 默认主题 / Default theme. */
+        DEFAULT_THEME: DEFAULT_THEME,
+
+        /** @brief 当前主题名称 / Current theme name. */
+        current: current,
+
+        /** @brief 主题的配色 token / Color tokens of a theme. */
+        tokens: tokens,
+
+        /** @brief 切换主题 / Switch theme. */
+        apply: apply,
+
+        /** @brief 订阅主题切换 / Subscribe to theme switches. */
+        observe: observe,
+
+        /** @brief 应用的渐变 token / Gradient token of an app. */
+        appToken: appToken,
+
+        /** @brief 资产颜色 / Asset color. */
+        assetColor: assetColor
+    };
+
+    global.ChartTheme = api;
+
+})(this);
@@ -0,0 +1,174 @@
+// tooltip.js
+
+/**
+ * @brief 通用 HTML 提示框组件（两个系列共用）
+ *        Shared HTML tooltip component (used by both series).
+ *
+ * @note zh-CN:
+ *  取代 SVG <title>：即时显示、跟随指针、使用 style.css 中的毛玻璃 token 上色。
+ *  内容以结构化对象传入，组件用 textContent 写入，避免把数据当 HTML 注入。
+ *
+ * @note en-US:
+ *  Replaces SVG <title>: shows instantly, follows the pointer and is styled with the
+ *  glassmorphism tokens in style.css. Content is passed as a structured object and
+ *  written via textContent, so data is never injected as HTML.
+ */
+(function (global) {
+    'use strict';
+
+    /**
+     * @brief 指针与提示框之间的偏移（像素）
+     *        Offset between pointer and tooltip (px).
+     *
+     * @type {number}
+     */
+    const POINTER_OFFSET = 14;
+
+    /** @type {Object|null} */
+    let sharedInstance = null;
+
+    /**
+     * @brief 创建一个提示框实例（挂在 body 上）
+     *        Create a tooltip instance (attached to body).
+     *
+     * @return {Object}
+     *         { show(event, content), move(event), hide(), destroy() }
+     *
+     * @note content 结构 / content shape:
+     *   {
+     *     title: string,
+     *     subtitle?: string,
+     *     rows?: { label: string, value: string, color?: string, active?: boolean }[],
+     *     footer?: string
+     *   }
+     */
+    function createTooltip() {
+        const root = d3.select('body')
+            .append('div')
+            .attr('class', 'chart-tooltip')
+            .attr('role', 'tooltip')
+            .attr('aria-hidden', 'true');
+
+        const title = root.append('div').attr('class', 'chart-tooltip-title');
+        const subtitle = root.append('div').attr('class', 'chart-tooltip-subtitle');
+        const rows = root.append('div').attr('class', 'chart-tooltip-rows');
+        const footer = root.append('div').attr('class', 'chart-tooltip-footer');
+
+        /**
+         * @brief 写入内容 / Write content.
+         *
+         * @param {Object} content 见上方结构 / See shape above.
+         */
+        function render(content) {
+            title.text(content.title || '');
+            subtitle
+                .style('display', content.subtitle ? null : 'none')
+                .text(content.subtitle || '');
+            footer
+                .style('display', content.footer ? null : 'none')
+                .text(content.footer || '');
+
+            const row = rows.selectAll('div.chart-tooltip-row')
+                .data(content.rows || [])
+                .join(function (enter) {
+                    const r = enter.append('div').attr('class', 'chart-tooltip-row');
+                    r.append('span').attr('class', 'chart-tooltip-swatch');
+                    r.append('span').attr('class', 'chart-tooltip-label');
+                    r.append('span').attr('class', 'chart-tooltip-value');
+                    return r;
+                });
+
+            row.classed('is-active', function (d) { return !!d.active; });
+            row.select('.chart-tooltip-swatch')
+                .style('display', function (d) { return d.color ? null : 'none'; })
+                .style('background', function (d) { return d.color || null; });
+            row.select('.chart-tooltip-label').text(function (d) { return d.label; });
+            row.select('.chart-tooltip-value').text(function (d) { return d.value; });
+        }
+
+        /**
+         * @brief 根据指针位置摆放提示框，靠近视口边缘时翻转到另一侧
+         *        Position near the pointer, flipping sides near the viewport edge.
+         *
+         * @param {MouseEvent|PointerEvent} event 指针事件 / Pointer event.
+         */
+        function move(event) {
+            const node = root.node();
+            const width = node.offsetWidth;
+            const height = node.offsetHeight;
+            const viewportWidth = document.documentElement.clientWidth || global.innerWidth;
+            const viewportHeight = document.documentElement.clientHeight || global.innerHeight;
+
+            let left = event.clientX + POINTER_OFFSET;
+            let top = event.clientY + POINTER_OFFSET;
+            if (left + width > viewportWidth - 8) {
+                left = event.clientX - POINTER_OFFSET - width;
+            }
+            if (top + height > viewportHeight - 8) {
+                top = event.clientY - POINTER_OFFSET - height;
+            }
+
+            root
+                .style('left', Math.max(8, left) + 'px')
+                .style('top', Math.max(8, top) + 'px');
+        }
+
+        /**
+         * @brief 显示提示框 / Show the tooltip.
+         *
+         * @param {MouseEvent|PointerEvent} event 指针事件 / Pointer event.
+         * @param {Object} content 提示内容 / Tooltip content.
+         */
+        function show(event, content) {
+            render(content);
+            root.classed('is-visible', true).attr('aria-hidden', 'false');
+            move(event);
+        }
+
+        /**
+         * @brief 隐藏提示框 / Hide the tooltip.
+         */
+        function hide() {
+            root.classed('is-visible', false).attr('aria-hidden', 'true');
+        }
+
+        function destroy() {
+            root.remove();
+        }
+
+        return {
+            show: show,
+            move: move,
+            hide: hide,
+            destroy: destroy
+        };
+    }
+
+    /**
+     * @brief 获取页面共享的提示框（惰性创建）
+     *        Get the page-wide shared tooltip (created lazily).
+     *
+     * @return {Object}
+     */
+    function shared() {
+        if (!sharedInstance) {
+            sharedInstance = createTooltip();
+        }
+        return sharedInstance;
+    }
+
+    /**
+     * @brief 对外暴露的 ChartTooltip 模块 API
+     *        Public ChartTooltip module API.
+     */
+    const api = {
+        /** @brief 创建独立实例 / Create a standalone instance. */
+        create: createTooltip,
+
+        /** @brief 页面共享实例 / Page-wide shared instance. */
+        shared: shared
+    };
+
+    global.ChartTooltip = api;
+
+})(this);
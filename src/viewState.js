@@ -0,0 +1,250 @@
+// viewState.js
+
+/**
+ * @brief 页面视图状态 ⇄ URL 哈希（可分享链接 + 浏览器前进 / 后退）
+ *        Page view state ⇄ URL hash (shareable links + browser back / forward).
+ *
+ * @note zh-CN:
+ *  只负责编码、解码与 history 读写，不知道任何图表或控件：main.js 收集状态交给 write，
+ *  启动时用 read 恢复，前进 / 后退时通过 listen 收到解码后的状态。
+ *  与默认值相同的字段不写进 URL，链接保持简短；无法识别的参数直接忽略。
+ *
+ * @note en-US:
+ *  Only encodes, decodes and reads / writes history; knows nothing about charts or controls.
+ *  main.js collects the state and hands it to write, restores it with read on boot, and
+ *  receives the decoded state through listen on back / forward. Fields equal to their
+ *  defaults are left out so links stay short; unknown parameters are ignored.
+ *
+ * @example
+ *   ViewState.write({ apps: ['微信'], comparison: 'rebased', baseDate: new Date('2015-01-01') }, { defaults: DEFAULTS });
+ *   // → #apps=微信&compare=rebased&base=2015-01-01
+ *   ViewState.read();   // { apps: ['微信'], comparison: 'rebased', baseDate: Date(2015-01-01) }
+ */
+(function (global) {
+    'use strict';
+
+    /**
+     * @brief 日期在 URL 中的格式与解析（UTC 的 YYYY-MM-DD）/ Date format and parser in the URL (UTC YYYY-MM-DD).
+     *
+     * @type {Function}
+     */
+    const formatDate = d3.utcFormat('%Y-%m-%d');
+    const parseDate = d3.utcParse('%Y-%m-%d');
+
+    /**
+     * @brief 列表编码：逗号分隔 / List codec: comma separated.
+     */
+    const listCodec = {
+        encode: function (list) { return (list || []).join(','); },
+        decode: function (text) { return text ? text.split(',') : []; }
+    };
+
+    /**
+     * @brief 字符串编码 / String codec.
+     */
+    const stringCodec = {
+        encode: function (value) { return value == null ? '' : String(value); },
+        decode: function (text) { return text; }
+    };
+
+    /**
+     * @brief 日期编码：Date → YYYY-MM-DD（其他值原样写出）；无法解析的日期解码为 null
+     *        Date codec: Date → YYYY-MM-DD (other values written as is); unparseable dates decode to null.
+     */
+    const dateCodec = {
+        encode: function (value) {
+            if (value == null) return '';
+            return value instanceof Date ? formatDate(value) : String(value);
+        },
+        decode: function (text) { return (text && parseDate(text)) || null; }
+    };
+
+    /**
+     * @brief 状态字段：状态键 → { param（URL 参数名）, encode, decode }
+     *        State fields: state key → { param (URL parameter name), encode, decode }.
+     *
+     * @note 新增可分享的控件时，在这里登记一项即可。
+     *       Registering an entry here is all a new shareable control needs.
+     *
+     * @type {Object.<string, {param: string, encode: Function, decode: Function}>}
+     */
+    const FIELDS = {
+        apps: { param: 'apps', encode: listCodec.encode, decode: listCodec.decode },
+        dayFilter: {
+            param: 'days',
+            // 预设写名称，自选日期写日期列表 / presets by name, custom picks as a date list
+            encode: function (filter) {
+                if (!filter || !filter.mode) return '';
+                return filter.mode === 'custom' ? listCodec.encode(filter.dates) : filter.mode;
+            },
+            decode: function (text) {
+                if (text === 'all' || text === 'weekdays' || text === 'weekends') {
+                    return { mode: text, dates: [] };
+                }
+                return { mode: 'custom', dates: listCodec.decode(text) };
+            }
+        },
+        aggregation: { param: 'agg', encode: stringCodec.encode, decode: stringCodec.decode },
+        radialScale: { param: 'radial', encode: stringCodec.encode, decode: stringCodec.decode },
+        comparison: { param: 'compare', encode: stringCodec.encode, decode: stringCodec.decode },
+        baseDate: { param: 'base', encode: dateCodec.encode, decode: dateCodec.decode },
+        useLogScale: {
+            param: 'log',
+            encode: function (value) { return value ? '1' : '0'; },
+            decode: function (text) { return text === '1'; }
+        },
+        hiddenAssets: { param: 'hide', encode: listCodec.encode, decode: listCodec.decode },
+        dateWindow: {
+            param: 'window',
+            encode: function (range) {
+                return range ? range.map(dateCodec.encode).join(',') : '';
+            },
+            decode: function (text) {
+                const parts = listCodec.decode(text).map(dateCodec.decode);
+                return parts.length === 2 && parts[0] && parts[1] ? parts : null;
+            }
+        }
+    };
+
+    /**
+     * @brief 把状态编码为 URL 参数串（不含 #）
+     *        Encode a state into a URL parameter string (without #).
+     *
+     * @param {Object} state
+     *        视图状态（只编码 FIELDS 中登记的键）/ View state (only keys registered in FIELDS).
+     * @param {Object} [defaults]
+     *        默认状态，与之相同的字段省略 / Default state; equal fields are left out.
+     * @return {string}
+     */
+    function serialize(state, defaults) {
+        const params = new global.URLSearchParams();
+        Object.keys(FIELDS).forEach(function (key) {
+            if (!state || !(key in state)) return;
+            const field = FIELDS[key];
+            const text = field.encode(state[key]);
+            if (defaults && key in defaults && field.encode(defaults[key]) === text) return;
+            params.set(field.param, text);
+        });
+        // 逗号不转义，链接更易读 / keep commas unescaped for readable links
+        return params.toString().replace(/%2C/g, ',');
+    }
+
+    /**
+     * @brief 把 URL 参数串解码为状态（只包含出现的字段）
+     *        Decode a URL parameter string into a state (only the fields present).
+     *
+     * @param {string} text
+     *        location.hash 或 location.search（可带 # / ?）/ location.hash or location.search (# / ? allowed).
+     * @return {Object}
+     */
+    function parse(text) {
+        const params = new global.URLSearchParams(String(text || '').replace(/^[#?]/, ''));
+        const state = {};
+        Object.keys(FIELDS).forEach(function (key) {
+            const field = FIELDS[key];
+            if (params.has(field.param)) {
+                state[key] = field.decode(params.get(field.param));
+            }
+        });
+        return state;
+    }
+
+    /**
+     * @brief 读取当前 URL 中的状态（哈希优先，其次查询串）
+     *        Read the state in the current URL (hash first, then the query string).
+     *
+     * @return {Object}
+     */
+    function read() {
+        const location = global.location;
+        return parse(location.hash.length > 1 ? location.hash : location.search);
+    }
+
+    /**
+     * @brief 最近一次写入或读取的哈希，避免把自己的写入当作导航
+     *        Hash most recently written or handled, so our own writes aren't taken for navigation.
+     *
+     * @type {string|null}
+     */
+    let lastHash = null;
+
+    /**
+     * @brief 把状态写进 URL 哈希
+     *        Write a state into the URL hash.
+     *
+     * @param {Object} state
+     *        视图状态 / View state.
+     * @param {Object} [options]
+     *        { defaults, replace }：replace 为 true 时替换当前历史记录（缩放等连续操作），
+     *        否则新增一条，可用后退撤销 / replace swaps the current history entry (continuous
+     *        interactions such as zoom); otherwise a new entry is pushed so Back undoes it.
+     */
+    function write(state, options) {
+        const opts = options || {};
+        const text = serialize(state, opts.defaults);
+        const hash = text ? '#' + text : '';
+        if (hash === global.location.hash) return;
+        lastHash = hash;
+        const url = global.location.pathname + global.location.search + hash;
+        if (opts.replace) {
+            global.history.replaceState(null, '', url);
+        } else {
+            global.history.pushState(null, '', url);
+        }
+    }
+
+    /**
+     * @brief 监听前进 / 后退与手动修改哈希
+     *        Listen for back / forward and manual hash edits.
+     *
+     * @param {Function} onChange
+     *        function(state)，参数为解码后的完整状态 / called with the decoded state.
+     * @return {{disconnect: Function}}
+     *
+     * @note popstate 与 hashchange 可能对同一次导航各触发一次，按哈希去重。
+     *       popstate and hashchange may both fire for one navigation; they are de-duplicated by hash.
+     */
+    function listen(onChange) {
+        function handle() {
+            const hash = global.location.hash;
+            if (hash === lastHash) return;
+            lastHash = hash;
+            onChange(read());
+        }
+        global.addEventListener('popstate', handle);
+        global.addEventListener('hashchange', handle);
+        return {
+            disconnect: function () {
+                global.removeEventListener('popstate', handle);
+                global.removeEventListener('hashchange', handle);
+            }
+        };
+    }
+
+    /**
+     * @brief 对外暴露的 ViewState 模块 API
+     *        Public ViewState module API.
+     */
+    const api = {
+        /** @brief 状态字段注册表 / State field registry. */
+        FIELDS: FIELDS,
+
+        /** @brief 状态 → URL 参数串 / State → URL parameter string. */
+        serialize: serialize,
+
+        /** @brief URL 参数串 → 状态 / URL parameter string → state. */
+        parse: parse,
+
+        /** @brief 读取当前 URL 中的状态 / Read the state in the current URL. */
+        read: read,
+
+        /** @brief 把状态写进 URL 哈希 / Write a state into the URL hash. */
+        write: write,
+
+        /** @brief 监听前进 / 后退 / Listen for back / forward. */
+        listen: listen
+    };
+
+    global.ViewState = api;
+
+})(this);